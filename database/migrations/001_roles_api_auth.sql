@@ -0,0 +1,45 @@
+-- BD de Roles (config/config.js)
+-- Autenticación de la API de control: API tokens y permisos por rol
+
+CREATE TABLE IF NOT EXISTS roles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INT NOT NULL,
+    permission_id INT NOT NULL,
+    PRIMARY KEY (role_id, permission_id),
+    FOREIGN KEY (role_id) REFERENCES roles(id),
+    FOREIGN KEY (permission_id) REFERENCES permissions(id)
+);
+
+-- Solo se guarda el hash SHA-256 del token, nunca el token en texto plano
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    user_id INT NULL,
+    role_id INT NOT NULL,
+    description VARCHAR(255) NULL,
+    expires_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    last_used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (role_id) REFERENCES roles(id)
+);
+
+INSERT IGNORE INTO permissions (code, description) VALUES
+    ('*', 'Acceso total'),
+    ('whatsapp:start', 'Iniciar o reintentar la conexión de una línea'),
+    ('whatsapp:stop', 'Detener una línea'),
+    ('whatsapp:read', 'Consultar QR y estado de una línea'),
+    ('session:cleanup', 'Limpiar la sesión de una línea'),
+    ('stats:read', 'Consultar estado y estadísticas');
@@ -0,0 +1,6 @@
+-- BD de Roles (config/config.js)
+-- Permisos de la API de campañas
+
+INSERT IGNORE INTO permissions (code, description) VALUES
+    ('campaigns:read', 'Consultar campañas'),
+    ('campaigns:write', 'Crear, editar, activar y eliminar campañas');
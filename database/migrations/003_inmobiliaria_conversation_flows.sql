@@ -0,0 +1,10 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Flujos conversacionales: definición por campaña y grupos de mensajes por rama
+
+ALTER TABLE campaigns
+    ADD COLUMN flow_definition JSON NULL AFTER trigger_keywords;
+
+-- NULL = secuencia principal (la que se envía al detectar la campaña)
+ALTER TABLE messages
+    ADD COLUMN flow_group VARCHAR(50) NULL AFTER campaign_id,
+    ADD INDEX idx_messages_campaign_group (campaign_id, flow_group);
@@ -0,0 +1,17 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Leads capturados por las preguntas (QUESTION) de los flujos
+
+CREATE TABLE IF NOT EXISTS bot_leads (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    conversation_id INT NOT NULL UNIQUE,
+    campaign_id INT NULL,
+    user_phone VARCHAR(50) NOT NULL,
+    user_name VARCHAR(255) NULL,
+    answers JSON NULL,
+    completed_at DATETIME NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    INDEX idx_bot_leads_campaign (campaign_id),
+    INDEX idx_bot_leads_phone (user_phone),
+    FOREIGN KEY (conversation_id) REFERENCES bot_conversations(id)
+);
@@ -0,0 +1,4 @@
+-- BD de Roles (config/config.js)
+
+INSERT IGNORE INTO permissions (code, description) VALUES
+    ('leads:read', 'Consultar leads capturados por el bot');
@@ -0,0 +1,44 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Atención humana (handoff): estado HANDOFF, cola para asesores e historial de mensajes
+
+-- Conversaciones de handoff sin campaña detectada
+ALTER TABLE bot_conversations
+    MODIFY campaign_id INT NULL;
+
+-- Si status es ENUM, agregar HANDOFF
+ALTER TABLE bot_conversations
+    MODIFY status ENUM('INITIATED', 'IN_PROGRESS', 'HANDOFF', 'COMPLETED', 'FAILED', 'CANCELLED') NOT NULL DEFAULT 'INITIATED';
+
+CREATE TABLE IF NOT EXISTS bot_handoffs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    conversation_id INT NOT NULL,
+    user_phone VARCHAR(50) NOT NULL,
+    user_name VARCHAR(255) NULL,
+    line_id VARCHAR(50) NOT NULL,
+    corse VARCHAR(50) NULL,
+    reason VARCHAR(30) NOT NULL,
+    trigger_message TEXT NULL,
+    status ENUM('PENDING', 'ASSIGNED', 'CLOSED') NOT NULL DEFAULT 'PENDING',
+    assigned_agent_id INT NULL,
+    assigned_at DATETIME NULL,
+    closed_by_agent_id INT NULL,
+    closed_at DATETIME NULL,
+    last_inbound_at DATETIME NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    INDEX idx_bot_handoffs_status (status, created_at),
+    INDEX idx_bot_handoffs_conversation (conversation_id),
+    FOREIGN KEY (conversation_id) REFERENCES bot_conversations(id)
+);
+
+CREATE TABLE IF NOT EXISTS bot_handoff_messages (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    handoff_id INT NOT NULL,
+    direction ENUM('IN', 'OUT') NOT NULL,
+    body TEXT NULL,
+    agent_id INT NULL,
+    whatsapp_message_id VARCHAR(255) NULL,
+    created_at DATETIME NOT NULL,
+    INDEX idx_bot_handoff_messages_handoff (handoff_id),
+    FOREIGN KEY (handoff_id) REFERENCES bot_handoffs(id)
+);
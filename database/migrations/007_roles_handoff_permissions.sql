@@ -0,0 +1,4 @@
+-- BD de Roles (config/config.js)
+
+INSERT IGNORE INTO permissions (code, description) VALUES
+    ('handoff:manage', 'Atender la cola de handoff y responder a leads');
@@ -0,0 +1,12 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Límite propio de respuestas de fallback (cuando ninguna campaña coincide), por número y línea
+
+CREATE TABLE IF NOT EXISTS bot_fallback_rate_limit (
+    user_phone VARCHAR(50) NOT NULL,
+    line_id VARCHAR(50) NOT NULL,
+    reply_count_hour INT NOT NULL DEFAULT 0,
+    reply_count_day INT NOT NULL DEFAULT 0,
+    reply_count_total INT NOT NULL DEFAULT 0,
+    last_reply_at DATETIME NULL,
+    PRIMARY KEY (user_phone, line_id)
+);
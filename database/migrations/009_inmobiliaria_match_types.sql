@@ -0,0 +1,7 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Nuevos valores de match_type: REGEX (reglas regex), HANDOFF (conversación de asesor)
+-- y AMBIGUOUS (se preguntó al lead entre varias campañas)
+
+-- Si match_type es ENUM, pasarlo a texto
+ALTER TABLE bot_conversations
+    MODIFY match_type VARCHAR(20) NULL;
@@ -0,0 +1,7 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Vigencia de campañas: fuera de [starts_at, ends_at) la campaña no se activa aunque is_active = TRUE
+-- Las fechas se guardan en hora local de config.schedule.timezone (America/Lima)
+
+ALTER TABLE campaigns
+    ADD COLUMN starts_at DATETIME NULL AFTER priority,
+    ADD COLUMN ends_at DATETIME NULL AFTER starts_at;
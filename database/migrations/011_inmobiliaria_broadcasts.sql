@@ -0,0 +1,48 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Difusiones salientes (broadcasts) a una lista CSV o a un segmento de conversaciones, y lista de opt-out
+
+-- Conversaciones iniciadas por una difusión
+-- (match_type ya es VARCHAR(20) desde 009, admite 'BROADCAST')
+
+CREATE TABLE IF NOT EXISTS bot_broadcasts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    campaign_id INT NOT NULL,
+    line_id VARCHAR(50) NOT NULL,
+    source ENUM('CSV', 'SEGMENT') NOT NULL,
+    segment JSON NULL,
+    status ENUM('DRAFT', 'RUNNING', 'PAUSED', 'COMPLETED', 'CANCELLED') NOT NULL DEFAULT 'DRAFT',
+    total_recipients INT NOT NULL DEFAULT 0,
+    created_by INT NULL,
+    started_at DATETIME NULL,
+    finished_at DATETIME NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    INDEX idx_bot_broadcasts_status (status),
+    FOREIGN KEY (campaign_id) REFERENCES campaigns(id)
+);
+
+CREATE TABLE IF NOT EXISTS bot_broadcast_recipients (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    broadcast_id INT NOT NULL,
+    user_phone VARCHAR(50) NOT NULL,
+    user_name VARCHAR(255) NULL,
+    variables JSON NULL,
+    status ENUM('PENDING', 'SENT', 'FAILED', 'SKIPPED') NOT NULL DEFAULT 'PENDING',
+    status_reason VARCHAR(255) NULL,
+    conversation_id INT NULL,
+    sent_at DATETIME NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NULL,
+    UNIQUE KEY uq_bot_broadcast_recipients_phone (broadcast_id, user_phone),
+    INDEX idx_bot_broadcast_recipients_status (broadcast_id, status),
+    INDEX idx_bot_broadcast_recipients_sent (status, sent_at),
+    FOREIGN KEY (broadcast_id) REFERENCES bot_broadcasts(id)
+);
+
+-- Números que pidieron no recibir más mensajes
+CREATE TABLE IF NOT EXISTS bot_opt_outs (
+    user_phone VARCHAR(50) PRIMARY KEY,
+    source VARCHAR(30) NOT NULL,
+    opted_out_at DATETIME NOT NULL
+);
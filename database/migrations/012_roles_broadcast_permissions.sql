@@ -0,0 +1,4 @@
+-- BD de Roles (config/config.js)
+
+INSERT IGNORE INTO permissions (code, description) VALUES
+    ('broadcasts:manage', 'Crear, iniciar, pausar y cancelar difusiones');
@@ -0,0 +1,6 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Bajas pedidas por el lead (BAJA / STOP): línea por la que llegó y mensaje que la originó
+
+ALTER TABLE bot_opt_outs
+    ADD COLUMN line_id VARCHAR(50) NULL AFTER source,
+    ADD COLUMN trigger_message TEXT NULL AFTER line_id;
@@ -0,0 +1,4 @@
+-- BD de Roles (config/config.js)
+
+INSERT IGNORE INTO permissions (code, description) VALUES
+    ('ratelimits:manage', 'Bloquear, desbloquear y reiniciar límites de números');
@@ -0,0 +1,14 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Rate limiting con ventana deslizante: un registro por trigger (se conservan las últimas 24 horas)
+-- y por aviso de límite enviado; user_rate_limit queda para bloqueos y contadores informativos
+
+CREATE TABLE IF NOT EXISTS bot_rate_limit_triggers (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_phone VARCHAR(50) NOT NULL,
+    campaign_id INT NULL,
+    line_id VARCHAR(50) NULL,
+    kind ENUM('TRIGGER', 'NOTICE') NOT NULL DEFAULT 'TRIGGER',
+    triggered_at DATETIME NOT NULL,
+    INDEX idx_bot_rate_limit_triggers_user (user_phone, kind, triggered_at),
+    INDEX idx_bot_rate_limit_triggers_time (kind, triggered_at)
+);
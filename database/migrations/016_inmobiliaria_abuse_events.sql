@@ -0,0 +1,14 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Auditoría de la detección automática de abuso (advertencias y bloqueos escalonados)
+
+CREATE TABLE IF NOT EXISTS bot_abuse_events (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_phone VARCHAR(50) NOT NULL,
+    reason ENUM('BURST', 'REPEATED_MESSAGE', 'RATE_LIMIT_HITS') NOT NULL,
+    action ENUM('WARNING', 'TEMPORARY_BLOCK', 'PERMANENT_BLOCK') NOT NULL,
+    detail VARCHAR(255) NULL,
+    block_hours INT NULL,
+    created_at DATETIME NOT NULL,
+    INDEX idx_bot_abuse_events_user (user_phone, created_at),
+    INDEX idx_bot_abuse_events_created (created_at)
+);
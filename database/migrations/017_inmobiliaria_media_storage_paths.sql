@@ -0,0 +1,9 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- buildMediaUrl ya no reescribe "media/campaigns/yanachaga/" a "post/" al armar la URL:
+-- se corrigen las filas existentes para que apunten a la ruta real del frontend.
+-- Los archivos subidos con POST .../media/upload se guardan como "storage:<key>".
+
+UPDATE message_media
+SET file_path = REPLACE(file_path, 'media/campaigns/yanachaga/', 'post/')
+WHERE file_path LIKE 'media/campaigns/yanachaga/%'
+   OR file_path LIKE '/media/campaigns/yanachaga/%';
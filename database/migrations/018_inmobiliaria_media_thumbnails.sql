@@ -0,0 +1,5 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Miniatura generada al subir un video (POST /campaigns/:id/messages/:messageId/media/upload)
+
+ALTER TABLE message_media
+    ADD COLUMN thumbnail_path VARCHAR(500) NULL AFTER mime_type;
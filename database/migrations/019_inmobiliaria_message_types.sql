@@ -0,0 +1,26 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Nuevos tipos de mensaje: VIDEO y STICKER (con message_media), LOCATION, CONTACT y LINK (con messages.payload)
+
+INSERT INTO message_types (type_code)
+SELECT new_types.type_code
+FROM (
+    SELECT 'VIDEO' AS type_code
+    UNION ALL SELECT 'LOCATION'
+    UNION ALL SELECT 'CONTACT'
+    UNION ALL SELECT 'STICKER'
+    UNION ALL SELECT 'LINK'
+) AS new_types
+WHERE NOT EXISTS (
+    SELECT 1 FROM message_types mt WHERE mt.type_code = new_types.type_code
+);
+
+-- Datos de los tipos sin archivo:
+-- LOCATION {latitude, longitude, name, address, url}
+-- CONTACT  {name, phone, organization, email}
+-- LINK     {preview} (false = sin vista previa del enlace)
+ALTER TABLE messages
+    ADD COLUMN payload JSON NULL AFTER content;
+
+-- media_type guarda el tipo del mensaje (ahora también VIDEO)
+ALTER TABLE message_media
+    MODIFY COLUMN media_type VARCHAR(20) NOT NULL;
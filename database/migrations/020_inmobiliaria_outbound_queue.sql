@@ -0,0 +1,41 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Cola de salida: cada secuencia enviada a un lead y sus pasos (un mensaje por paso),
+-- para reanudar después de un reinicio y reintentar los errores transitorios
+
+CREATE TABLE IF NOT EXISTS bot_outbound_sequences (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    line_id VARCHAR(50) NOT NULL,
+    user_phone VARCHAR(50) NOT NULL,
+    conversation_id INT NULL,
+    variables JSON NULL,
+    -- Qué hacer al terminar una secuencia reanudada (ej: seguir el flujo desde el nodo)
+    context JSON NULL,
+    status ENUM('PENDING', 'COMPLETED', 'CANCELLED') NOT NULL DEFAULT 'PENDING',
+    created_at DATETIME NOT NULL,
+    completed_at DATETIME NULL,
+    INDEX idx_bot_outbound_sequences_status (status, created_at)
+);
+
+CREATE TABLE IF NOT EXISTS bot_outbound_jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    sequence_id INT NOT NULL,
+    step_index INT NOT NULL,
+    message_id INT NOT NULL,
+    -- Copia del mensaje al encolar (type_code, content, payload, delay_seconds)
+    message JSON NOT NULL,
+    -- Espera antes de enviar, contada desde que terminó el paso anterior
+    delay_seconds INT NOT NULL DEFAULT 0,
+    -- DEAD = agotó los reintentos o tuvo un error permanente (dead-letter)
+    status ENUM('PENDING', 'SENDING', 'SENT', 'DEAD', 'CANCELLED') NOT NULL DEFAULT 'PENDING',
+    -- NULL = espera a que termine el paso anterior
+    scheduled_at DATETIME NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT NULL,
+    whatsapp_message_id VARCHAR(100) NULL,
+    sent_at DATETIME NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NULL,
+    UNIQUE KEY uq_bot_outbound_jobs_step (sequence_id, step_index),
+    INDEX idx_bot_outbound_jobs_status (status, updated_at),
+    FOREIGN KEY (sequence_id) REFERENCES bot_outbound_sequences(id)
+);
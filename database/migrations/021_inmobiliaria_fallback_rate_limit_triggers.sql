@@ -0,0 +1,6 @@
+-- BD de Inmobiliaria (config/config2.js)
+-- Las respuestas de fallback usan la misma ventana deslizante que los triggers de campaña
+-- (un registro por respuesta); bot_fallback_rate_limit queda solo con contadores informativos
+
+ALTER TABLE bot_rate_limit_triggers
+    MODIFY kind ENUM('TRIGGER', 'NOTICE', 'FALLBACK') NOT NULL DEFAULT 'TRIGGER';
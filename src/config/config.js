@@ -8,5 +8,11 @@ module.exports = {
     },
     server: {
         port: 3002
+    },
+    auth: {
+        // Secreto para validar JWT firmados (HS256). Sin secreto solo se aceptan API tokens
+        jwtSecret: process.env.JWT_SECRET || null,
+        // Segundos que se cachean los permisos resueltos de cada rol
+        permissionsCacheSeconds: 60
     }
 };
\ No newline at end of file
@@ -10,9 +10,204 @@ module.exports = {
         port: 3003
     },
     rateLimits: {
+        // Campañas enviadas por número en ventanas deslizantes (última hora / últimas 24 horas)
         hour: 2,
-        day: 10
+        day: 10,
+        // Límites propios por línea y por campaña (además del global). Ej: { ventas: { hour: 1, day: 5 } }
+        lines: {},
+        campaigns: {},
+        // Respuesta cuando se alcanza el límite ({nombre}, {campana}); vacío = no responder
+        alreadySentMessage: 'Hola {nombre}, ya te enviamos la información de *{campana}* hace poco 😊 Si tienes alguna duda escribe *asesor*.',
+        // Como máximo un aviso de límite por número en este intervalo
+        noticeCooldownMinutes: 60,
+        // Si la BD no responde: OPEN (permitir todo), CLOSED (no enviar nada) o
+        // MEMORY (seguir contando en memoria y conciliar con la BD cuando vuelva)
+        onDatabaseError: 'MEMORY'
+    },
+    abuse: {
+        // Detección automática de abuso por número
+        enabled: true,
+        // Ráfaga: N mensajes entrantes en X segundos
+        burst: { messages: 8, seconds: 60 },
+        // El mismo mensaje repetido N veces en X minutos
+        repeatedMessage: { count: 4, minutes: 10 },
+        // N rechazos por rate limit en X minutos
+        rateLimitHits: { count: 5, minutes: 60 },
+        // Escalamiento: 1ª infracción = advertencia, luego bloqueos temporales de base × 2^(n-1) horas
+        // y al superar maxTemporaryBlocks, bloqueo permanente
+        temporaryBlockBaseHours: 1,
+        maxTemporaryBlocks: 3,
+        // Infracciones más antiguas que esto no cuentan para el escalamiento
+        strikeResetDays: 30,
+        warningMessage: 'Estamos recibiendo demasiados mensajes desde tu número. Si continúa, dejaremos de responder por un tiempo 🙏'
     },
     messageDelay: 2,
+    cache: {
+        // Cache en memoria de campañas, mensajes y media (evita consultar la BD en cada mensaje)
+        enabled: true,
+        ttlSeconds: 300
+    },
+    mediaCache: {
+        // Cache en disco de imágenes, audios y documentos descargados del frontend
+        enabled: true,
+        // null = carpeta .media_cache en la raíz del proyecto
+        directory: null,
+        maxSizeMb: 500,
+        // Después de este tiempo se revalida con ETag / Last-Modified (si el frontend no responde se usa la copia local)
+        revalidateAfterSeconds: 3600,
+        timeoutSeconds: 30
+    },
+    mediaProcessing: {
+        // Binario de ffmpeg para convertir audio, reducir imágenes y sacar miniaturas de video
+        // Sin ffmpeg los archivos se envían tal cual (el audio que no sea OGG/Opus va como audio normal)
+        ffmpegPath: 'ffmpeg',
+        timeoutSeconds: 60,
+        // Límites de WhatsApp por tipo de archivo
+        maxSizeMb: {
+            image: 5,
+            audio: 16,
+            video: 16,
+            document: 100
+        },
+        image: {
+            // Las imágenes más grandes (lado mayor en px o peso) se reducen a JPEG
+            maxDimension: 1600,
+            maxSizeKb: 1024,
+            // Calidad JPEG de ffmpeg: 2 (mejor) a 31 (peor)
+            quality: 4
+        },
+        voiceNoteBitrateKbps: 32,
+        thumbnailWidth: 320,
+        // Conversiones hechas al enviar que se guardan en memoria (archivos del frontend)
+        memoryCacheEntries: 50
+    },
+    campaignMatching: {
+        // Peso del mejor match de cada campaña (se multiplica por su confianza)
+        typeWeights: {
+            EXACT: 100,
+            KEYWORD: 60,
+            REGEX: 60,
+            SYNONYM: 40
+        },
+        // Bonus por cada término adicional que coincide (hasta maxExtraTerms)
+        termWeight: 10,
+        maxExtraTerms: 3,
+        // Puntos por cada nivel de prioridad de la campaña
+        priorityWeight: 1,
+        // Si el segundo candidato queda a menos de estos puntos del primero se pregunta al lead
+        ambiguityMargin: 10,
+        maxDisambiguationOptions: 3,
+        disambiguationMessage: '¿Sobre cuál proyecto quieres información? Responde con el número:'
+    },
+    flows: {
+        // Minutos que se espera la respuesta de un nodo antes de liberar la conversación
+        replyTimeoutMinutes: 60,
+        // Respuestas inválidas permitidas antes de cerrar el flujo
+        maxInvalidReplies: 3,
+        invalidReplyMessage: 'No entendí tu respuesta 🙏'
+    },
+    handoff: {
+        // Frases con las que el lead pide hablar con una persona
+        keywords: ['asesor', 'asesora', 'hablar con alguien', 'hablar con una persona', 'humano', 'agente'],
+        confirmationMessage: 'Te comunicamos con un asesor, en breve te responderá 🙌'
+    },
+    fallback: {
+        // Respuesta cuando ninguna campaña coincide:
+        // MENU (saludo + campañas activas), SUGGEST ("¿Quisiste decir...?", si no hay sugerencia usa MENU),
+        // HANDOFF (pasa a un asesor) o NONE (no responde)
+        mode: 'MENU',
+        greeting: '¡Hola {nombre}! 👋 Gracias por escribirnos.',
+        menuHeader: 'Estos son nuestros proyectos, escribe la palabra indicada para recibir información:',
+        menuFooter: 'Si prefieres hablar con una persona, escribe *asesor*.',
+        suggestionMessage: '¿Quisiste decir *{campana}*? Escribe *{keyword}* y te envío la información 😊',
+        // Similitud mínima (0 a 1) para sugerir una campaña
+        suggestionMinScore: 0.75,
+        // Límite propio de respuestas de fallback por número y línea
+        rateLimits: {
+            hour: 1,
+            day: 3
+        },
+        // Configuración por línea, sobrescribe la anterior. Ej: { ventas: { mode: 'HANDOFF' } }
+        lines: {}
+    },
+    optOut: {
+        // Mensajes que dan de baja al número: keywords si son el mensaje completo ("BAJA"),
+        // frases si aparecen en cualquier parte ("por favor no me escriban más")
+        keywords: ['baja', 'stop', 'darme de baja', 'desuscribir', 'cancelar suscripcion'],
+        phrases: ['no me escriban', 'no me escribas', 'no me envien mas', 'no quiero recibir mensajes'],
+        confirmationMessage: 'Listo {nombre}, no te enviaremos más mensajes. Si cambias de opinión escribe *ALTA* ✅',
+        // Mensaje completo con el que el número vuelve a recibir mensajes
+        resubscribeKeywords: ['alta', 'suscribir'],
+        resubscribeMessage: '¡Bienvenido de vuelta {nombre}! Volverás a recibir nuestras novedades 🙌'
+    },
+    broadcasts: {
+        // Espera mínima entre destinatarios de una misma línea + variación aleatoria (jitter)
+        minIntervalSeconds: 20,
+        jitterSeconds: 15,
+        // Máximo de destinatarios enviados por línea en las últimas 24 horas (todas las difusiones)
+        dailyCapPerLine: 200,
+        // Código de país para números del CSV sin él
+        defaultCountryCode: '51',
+        maxRecipients: 5000,
+        // Espera antes de reintentar si la línea está desconectada o se alcanzó el tope diario
+        retryWaitSeconds: 300
+    },
+    outboundQueue: {
+        // Intentos por paso ante errores transitorios (red, WhatsApp Web desconectado, frontend caído)
+        maxAttempts: 5,
+        // Espera entre intentos: base * 2^(intento - 1), con tope
+        backoffBaseSeconds: 5,
+        backoffMaxSeconds: 600,
+        // Cada cuánto se buscan secuencias pendientes (reinicios o líneas que se reconectan)
+        pollSeconds: 30,
+        // Las secuencias más antiguas se cancelan en vez de reanudarse (el lead ya no las espera)
+        maxResumeAgeHours: 24
+    },
+    schedule: {
+        timezone: 'America/Lima',
+        // Horario de atención de asesores por día ('HH:mm-HH:mm' o null = cerrado)
+        businessHours: {
+            mon: '09:00-18:00',
+            tue: '09:00-18:00',
+            wed: '09:00-18:00',
+            thu: '09:00-18:00',
+            fri: '09:00-18:00',
+            sat: '09:00-13:00',
+            sun: null
+        },
+        // Se envían después de la campaña fuera de horario; {apertura} = "mañana a las 09:00"
+        afterHoursMessages: [
+            'Gracias por escribirnos {nombre} 🙌 En este momento estamos fuera de nuestro horario de atención.',
+            'Un asesor te responderá {apertura}.'
+        ],
+        // Horario por línea, sobrescribe lo anterior. Ej: { ventas: { businessHours: {...}, afterHoursMessages: [...] } }
+        lines: {}
+    },
+    whatsapp: {
+        // Línea usada cuando una petición no indica lineId
+        defaultLineId: 'default'
+    },
+    storage: {
+        // Dónde se guardan los archivos subidos por POST .../media/upload: 'local' o 's3'
+        driver: 'local',
+        // URL pública del bot, usada para servir los archivos desde GET /media/...
+        publicBaseUrl: 'http://localhost:3003',
+        maxUploadMb: 16,
+        local: {
+            // null = carpeta storage en la raíz del proyecto
+            directory: null
+        },
+        s3: {
+            // Cualquier servicio compatible con S3 (AWS, MinIO, Cloudflare R2, DigitalOcean Spaces)
+            endpoint: 'https://s3.amazonaws.com',
+            region: 'us-east-1',
+            bucket: '',
+            accessKeyId: '',
+            secretAccessKey: '',
+            // URL pública del bucket; vacío = los archivos se sirven a través del bot
+            publicUrl: ''
+        }
+    },
+    // Frontend con los archivos de media que no están en storage (rutas relativas en message_media.file_path)
     frontendMediaUrl: 'https://whatsbotadivisorfronted.onrender.com'
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+const logger = require('../utils/logger');
+const authService = require('../services/auth.service');
+
+// Permisos requeridos por los endpoints de la API
+const PERMISSIONS = {
+    WHATSAPP_START: 'whatsapp:start',
+    WHATSAPP_STOP: 'whatsapp:stop',
+    WHATSAPP_READ: 'whatsapp:read',
+    SESSION_CLEANUP: 'session:cleanup',
+    STATS_READ: 'stats:read',
+    CAMPAIGNS_READ: 'campaigns:read',
+    CAMPAIGNS_WRITE: 'campaigns:write',
+    LEADS_READ: 'leads:read',
+    HANDOFF_MANAGE: 'handoff:manage',
+    BROADCASTS_MANAGE: 'broadcasts:manage',
+    RATE_LIMITS_MANAGE: 'ratelimits:manage'
+};
+
+/**
+ * Extrae el token del header Authorization (Bearer) o X-API-Key
+ * @param {object} req - Request de Express
+ * @returns {string|null}
+ */
+function extractToken(req) {
+    const header = req.headers.authorization;
+
+    if (header && header.startsWith('Bearer ')) {
+        return header.substring(7).trim();
+    }
+
+    return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Autentica al usuario y deja {userId, role, permissions, method} en req.auth
+ */
+async function authenticate(req, res, next) {
+    try {
+        const auth = await authService.authenticate(extractToken(req));
+
+        if (!auth) {
+            logger.warn(`[AUTH] ❌ Petición no autenticada: ${req.method} ${req.path} - IP: ${req.ip}`);
+            return res.status(401).json({
+                success: false,
+                message: 'No autenticado: envía un token válido en el header Authorization'
+            });
+        }
+
+        req.auth = auth;
+        next();
+
+    } catch (error) {
+        logger.error('[AUTH] Error autenticando petición:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verificando credenciales'
+        });
+    }
+}
+
+/**
+ * Crea un middleware que exige un permiso (debe usarse después de authenticate)
+ * @param {string} permission - Código del permiso requerido
+ * @returns {Function}
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!req.auth || !authService.hasPermission(req.auth.permissions, permission)) {
+            logger.warn(`[AUTH] 🚫 Permiso "${permission}" denegado - Rol: ${req.auth ? req.auth.role : 'N/A'} - ${req.method} ${req.path}`);
+            return res.status(403).json({
+                success: false,
+                message: `No tienes permiso para esta acción (${permission})`
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    PERMISSIONS,
+    authenticate,
+    requirePermission
+};
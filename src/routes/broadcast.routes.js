@@ -0,0 +1,354 @@
+const express = require('express');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const broadcastService = require('../services/broadcast.service');
+const campaignService = require('../services/campaign.service');
+const sessionService = require('../services/session.service');
+const { parseCsv } = require('../utils/csv');
+const { toChatId, parseId } = require('../utils/helpers');
+const { PERMISSIONS, authenticate, requirePermission } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Columnas del CSV reconocidas como teléfono y nombre; el resto se usa como variables ({columna})
+const PHONE_COLUMNS = ['telefono', 'teléfono', 'celular', 'phone', 'numero', 'número'];
+const NAME_COLUMNS = ['nombre', 'name'];
+
+router.use(authenticate, requirePermission(PERMISSIONS.BROADCASTS_MANAGE));
+
+/**
+ * Convierte las filas de un CSV en destinatarios
+ * @param {string} text - Contenido del CSV
+ * @returns {{recipients: Array, invalidRows: Array, error: string|null}}
+ */
+function recipientsFromCsv(text) {
+    const { headers, rows } = parseCsv(text);
+    const phoneColumn = headers.find(header => PHONE_COLUMNS.includes(header));
+    const nameColumn = headers.find(header => NAME_COLUMNS.includes(header));
+
+    if (!phoneColumn) {
+        return { recipients: [], invalidRows: [], error: `El CSV debe tener una columna de teléfono (${PHONE_COLUMNS.join(', ')})` };
+    }
+
+    const recipients = [];
+    const invalidRows = [];
+
+    rows.forEach((row, i) => {
+        const userPhone = toChatId(row[phoneColumn], config.broadcasts.defaultCountryCode);
+
+        if (!userPhone) {
+            // +2: encabezado y numeración desde 1
+            invalidRows.push({ row: i + 2, phone: row[phoneColumn] });
+            return;
+        }
+
+        const variables = { ...row };
+        delete variables[phoneColumn];
+        delete variables[nameColumn];
+
+        recipients.push({ userPhone, userName: nameColumn ? row[nameColumn] : null, variables });
+    });
+
+    return { recipients, invalidRows, error: null };
+}
+
+/**
+ * Middleware que carga la difusión :id en req.broadcast
+ */
+async function loadBroadcast(req, res, next) {
+    try {
+        const broadcastId = parseId(req.params.id);
+
+        if (!broadcastId) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de difusión inválido'
+            });
+        }
+
+        req.broadcast = await broadcastService.getBroadcastById(broadcastId);
+
+        if (!req.broadcast) {
+            return res.status(404).json({
+                success: false,
+                message: `Difusión ${broadcastId} no encontrada`
+            });
+        }
+
+        next();
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /broadcasts
+ * Lista difusiones. Query: status, page, pageSize
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !broadcastService.BROADCAST_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Estado inválido (permitidos: ${broadcastService.BROADCAST_STATUSES.join(', ')})`
+            });
+        }
+
+        const page = parseId(req.query.page) || 1;
+        const pageSize = Math.min(parseId(req.query.pageSize) || 50, 200);
+
+        const { broadcasts, total } = await broadcastService.listBroadcasts({ status, page, pageSize });
+
+        res.json({
+            success: true,
+            broadcasts,
+            pagination: {
+                page,
+                pageSize,
+                total
+            }
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en GET /broadcasts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando difusiones: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /broadcasts
+ * Crea una difusión en DRAFT.
+ * JSON: {name, campaign_id, line_id, csv} o {name, campaign_id, line_id, segment: {campaign_id, statuses, from, to, corse}}
+ * También acepta el CSV como cuerpo (Content-Type: text/csv) con name, campaign_id y line_id en la query
+ */
+router.post('/', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    try {
+        const isRawCsv = typeof req.body === 'string';
+        const data = isRawCsv ? { ...req.query, csv: req.body } : (req.body || {});
+        const campaignId = parseId(data.campaign_id);
+        const lineId = data.line_id;
+
+        if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "name" es requerido'
+            });
+        }
+
+        if (!campaignId || !(await campaignService.getCampaignById(campaignId))) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "campaign_id" debe ser una campaña existente'
+            });
+        }
+
+        if (!lineId || !sessionService.getSession(lineId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "line_id" debe ser una línea registrada (ver POST /start-whatsapp)'
+            });
+        }
+
+        if ((data.csv === undefined) === (data.segment === undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Indica "csv" o "segment" (solo uno)'
+            });
+        }
+
+        let source;
+        let segment = null;
+        let recipients;
+        let invalidRows = [];
+
+        if (data.csv !== undefined) {
+            const parsed = recipientsFromCsv(data.csv);
+
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            source = 'CSV';
+            recipients = parsed.recipients;
+            invalidRows = parsed.invalidRows;
+        } else {
+            if (typeof data.segment !== 'object' || data.segment === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El campo "segment" debe ser un objeto'
+                });
+            }
+
+            source = 'SEGMENT';
+            segment = {
+                campaignId: parseId(data.segment.campaign_id),
+                statuses: Array.isArray(data.segment.statuses) ? data.segment.statuses : [],
+                from: data.segment.from || null,
+                to: data.segment.to || null,
+                corse: data.segment.corse || null
+            };
+            recipients = await broadcastService.getSegmentRecipients(segment);
+        }
+
+        if (recipients.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'La difusión no tiene destinatarios válidos',
+                invalidRows
+            });
+        }
+
+        if (recipients.length > config.broadcasts.maxRecipients) {
+            return res.status(400).json({
+                success: false,
+                message: `Máximo ${config.broadcasts.maxRecipients} destinatarios por difusión`
+            });
+        }
+
+        const { broadcastId, total } = await broadcastService.createBroadcast({
+            name: data.name.trim(),
+            campaignId,
+            lineId,
+            source,
+            segment,
+            recipients,
+            createdBy: req.auth.userId || null
+        });
+
+        logger.info(`[API] Difusión ${broadcastId} creada por usuario ${req.auth.userId}`);
+
+        res.status(201).json({
+            success: true,
+            broadcastId,
+            recipients: total,
+            invalidRows
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en POST /broadcasts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creando difusión: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /broadcasts/:id
+ * Detalle de la difusión con el progreso por estado
+ */
+router.get('/:id', loadBroadcast, (req, res) => {
+    res.json({
+        success: true,
+        broadcast: req.broadcast
+    });
+});
+
+/**
+ * GET /broadcasts/:id/recipients
+ * Destinatarios y su estado. Query: status (PENDING, SENT, FAILED, SKIPPED), page, pageSize
+ */
+router.get('/:id/recipients', loadBroadcast, async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !broadcastService.RECIPIENT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Estado inválido (permitidos: ${broadcastService.RECIPIENT_STATUSES.join(', ')})`
+            });
+        }
+
+        const page = parseId(req.query.page) || 1;
+        const pageSize = Math.min(parseId(req.query.pageSize) || 100, 500);
+
+        const { recipients, total } = await broadcastService.listRecipients(req.broadcast.id, { status, page, pageSize });
+
+        res.json({
+            success: true,
+            recipients,
+            pagination: {
+                page,
+                pageSize,
+                total
+            }
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en GET /broadcasts/${req.params.id}/recipients:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando destinatarios: ' + error.message
+        });
+    }
+});
+
+/**
+ * Crea el handler de un cambio de estado (start, pause, resume, cancel)
+ * @param {string} action - Nombre de la acción (para logs y mensajes)
+ * @param {Function} change - Función del servicio que aplica el cambio
+ * @returns {Function}
+ */
+function statusHandler(action, change) {
+    return async (req, res) => {
+        try {
+            const changed = await change(req.broadcast.id);
+
+            if (!changed) {
+                return res.status(409).json({
+                    success: false,
+                    message: `No se puede ${action} la difusión ${req.broadcast.id} en estado ${req.broadcast.status}`
+                });
+            }
+
+            logger.info(`[API] Difusión ${req.broadcast.id}: ${action} por usuario ${req.auth.userId}`);
+
+            res.json({
+                success: true,
+                broadcast: await broadcastService.getBroadcastById(req.broadcast.id)
+            });
+
+        } catch (error) {
+            logger.error(`[API] Error en POST /broadcasts/${req.params.id} (${action}):`, error);
+            res.status(500).json({
+                success: false,
+                message: `Error al ${action} la difusión: ` + error.message
+            });
+        }
+    };
+}
+
+/**
+ * POST /broadcasts/:id/start
+ * Inicia el envío (DRAFT → RUNNING)
+ */
+router.post('/:id/start', loadBroadcast, statusHandler('iniciar', broadcastService.startBroadcast));
+
+/**
+ * POST /broadcasts/:id/pause
+ * Pausa el envío después del destinatario en curso
+ */
+router.post('/:id/pause', loadBroadcast, statusHandler('pausar', broadcastService.pauseBroadcast));
+
+/**
+ * POST /broadcasts/:id/resume
+ * Reanuda una difusión pausada
+ */
+router.post('/:id/resume', loadBroadcast, statusHandler('reanudar', broadcastService.resumeBroadcast));
+
+/**
+ * POST /broadcasts/:id/cancel
+ * Cancela la difusión; los pendientes no se envían
+ */
+router.post('/:id/cancel', loadBroadcast, statusHandler('cancelar', broadcastService.cancelBroadcast));
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const cacheService = require('../services/cache.service');
+const mediaCacheService = require('../services/media-cache.service');
+const { PERMISSIONS, authenticate, requirePermission } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * GET /cache
+ * Estadísticas de los caches de campañas, mensajes y media, y del cache de archivos en disco
+ */
+router.get('/', requirePermission(PERMISSIONS.STATS_READ), (req, res) => {
+    res.json({
+        success: true,
+        caches: cacheService.getStats(),
+        mediaFiles: mediaCacheService.getStats()
+    });
+});
+
+/**
+ * POST /cache/invalidate
+ * Vacía los caches (ej: después de editar campañas directamente en la BD)
+ */
+router.post('/invalidate', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), (req, res) => {
+    try {
+        cacheService.invalidateAll(`solicitado por ${req.auth.userId || req.auth.role}`);
+
+        res.json({
+            success: true,
+            message: 'Caches invalidados',
+            caches: cacheService.getStats()
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en POST /cache/invalidate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error invalidando caches: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,516 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const campaignService = require('../services/campaign.service');
+const messageService = require('../services/message.service');
+const { validateTriggerKeywords } = require('../utils/keyword-matcher');
+const { validateFlowDefinition } = require('../services/flow.service');
+const { parseId } = require('../utils/helpers');
+const { normalizeLocalDateTime } = require('../utils/schedule');
+const { PERMISSIONS, authenticate, requirePermission } = require('../middleware/auth.middleware');
+const messageRoutes = require('./message.routes');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * Valida el body de creación/actualización de campaña
+ * @param {object} body - Body de la petición
+ * @param {boolean} isCreate - En creación name y trigger_keywords son obligatorios
+ * @returns {{errors: Array<string>, data: object}}
+ */
+function validateCampaignBody(body, isCreate) {
+    const errors = [];
+    const data = {};
+
+    if (body.name !== undefined || isCreate) {
+        if (typeof body.name !== 'string' || body.name.trim().length === 0) {
+            errors.push('El campo "name" es requerido');
+        } else {
+            data.name = body.name.trim();
+        }
+    }
+
+    if (body.description !== undefined) {
+        data.description = body.description;
+    }
+
+    if (body.trigger_keywords !== undefined || isCreate) {
+        const validation = validateTriggerKeywords(body.trigger_keywords);
+        if (!validation.valid) {
+            errors.push(...validation.errors.map(error => `trigger_keywords: ${error}`));
+        } else {
+            data.triggerKeywords = validation.value;
+        }
+    }
+
+    // null elimina el flujo (vuelve a la secuencia fija)
+    if (body.flow_definition === null) {
+        data.flowDefinition = null;
+    } else if (body.flow_definition !== undefined) {
+        const validation = validateFlowDefinition(body.flow_definition);
+        if (!validation.valid) {
+            errors.push(...validation.errors.map(error => `flow_definition: ${error}`));
+        } else {
+            data.flowDefinition = validation.value;
+        }
+    }
+
+    if (body.priority !== undefined) {
+        if (!Number.isInteger(body.priority)) {
+            errors.push('El campo "priority" debe ser un entero');
+        } else {
+            data.priority = body.priority;
+        }
+    }
+
+    if (body.is_active !== undefined) {
+        data.isActive = Boolean(body.is_active);
+    }
+
+    // Vigencia en hora local de config.schedule.timezone; null = sin límite
+    for (const [field, key] of [['starts_at', 'startsAt'], ['ends_at', 'endsAt']]) {
+        if (body[field] === null) {
+            data[key] = null;
+        } else if (body[field] !== undefined) {
+            const value = normalizeLocalDateTime(body[field]);
+            if (!value) {
+                errors.push(`El campo "${field}" debe tener formato "YYYY-MM-DD" o "YYYY-MM-DD HH:mm"`);
+            } else {
+                data[key] = value;
+            }
+        }
+    }
+
+    return { errors, data };
+}
+
+/**
+ * Valida que la vigencia termine después de empezar
+ * @param {string|null} startsAt
+ * @param {string|null} endsAt
+ * @returns {Array<string>}
+ */
+function validateWindow(startsAt, endsAt) {
+    return startsAt && endsAt && endsAt <= startsAt
+        ? ['"ends_at" debe ser posterior a "starts_at"']
+        : [];
+}
+
+/**
+ * Middleware que valida :id y lo deja en req.campaignId
+ */
+function requireCampaignId(req, res, next) {
+    req.campaignId = parseId(req.params.id);
+
+    if (!req.campaignId) {
+        return res.status(400).json({
+            success: false,
+            message: 'ID de campaña inválido'
+        });
+    }
+
+    next();
+}
+
+/**
+ * Responde 404 si la operación no encontró la campaña
+ */
+function notFound(res, campaignId) {
+    return res.status(404).json({
+        success: false,
+        message: `Campaña ${campaignId} no encontrada`
+    });
+}
+
+/**
+ * Middleware que verifica que la campaña exista (para sub-rutas)
+ */
+async function requireExistingCampaign(req, res, next) {
+    try {
+        const campaign = await campaignService.getCampaignById(req.campaignId);
+
+        if (!campaign) {
+            return notFound(res, req.campaignId);
+        }
+
+        next();
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Editor de la secuencia de mensajes de una campaña
+router.use('/:id/messages', requireCampaignId, requireExistingCampaign, messageRoutes);
+
+/**
+ * GET /campaigns
+ * Lista campañas (?active=true para solo activas)
+ */
+router.get('/', requirePermission(PERMISSIONS.CAMPAIGNS_READ), async (req, res) => {
+    try {
+        const campaigns = req.query.active === 'true'
+            ? await campaignService.getActiveCampaigns()
+            : await campaignService.listCampaigns();
+
+        res.json({
+            success: true,
+            campaigns
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en GET /campaigns:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando campañas: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /campaigns/simulate
+ * Dry-run de detección: evalúa el mensaje contra todas las campañas activas sin enviar nada.
+ * Body: {message, trigger_keywords (opcional, reglas sin guardar), priority, name}
+ */
+router.post('/simulate', requirePermission(PERMISSIONS.CAMPAIGNS_READ), async (req, res) => {
+    try {
+        const { message, trigger_keywords, priority, name } = req.body;
+
+        if (typeof message !== 'string' || message.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "message" es requerido'
+            });
+        }
+
+        let draft = null;
+
+        if (trigger_keywords !== undefined) {
+            const validation = validateTriggerKeywords(trigger_keywords);
+
+            if (!validation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'trigger_keywords inválido',
+                    errors: validation.errors
+                });
+            }
+
+            if (priority !== undefined && !Number.isInteger(priority)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El campo "priority" debe ser un entero'
+                });
+            }
+
+            draft = {
+                triggerKeywords: validation.value,
+                priority: priority || 0,
+                name
+            };
+        }
+
+        const simulation = await campaignService.simulateDetection(message, draft);
+
+        res.json({
+            success: true,
+            message,
+            ...simulation
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en POST /campaigns/simulate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error simulando detección: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /campaigns/:id
+ * Detalle de una campaña con sus trigger_keywords
+ */
+router.get('/:id', requirePermission(PERMISSIONS.CAMPAIGNS_READ), requireCampaignId, async (req, res) => {
+    try {
+        const campaign = await campaignService.getCampaignById(req.campaignId);
+
+        if (!campaign) {
+            return notFound(res, req.campaignId);
+        }
+
+        res.json({
+            success: true,
+            campaign
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en GET /campaigns/${req.params.id}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error obteniendo campaña: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /campaigns/:id/stats
+ * Estadísticas de conversaciones de una campaña
+ */
+router.get('/:id/stats', requirePermission(PERMISSIONS.STATS_READ), requireCampaignId, async (req, res) => {
+    try {
+        const campaign = await campaignService.getCampaignById(req.campaignId);
+
+        if (!campaign) {
+            return notFound(res, req.campaignId);
+        }
+
+        const stats = await campaignService.getCampaignStats(req.campaignId);
+
+        res.json({
+            success: true,
+            campaignId: req.campaignId,
+            stats
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en GET /campaigns/${req.params.id}/stats:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error obteniendo estadísticas: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /campaigns/:id/media-check
+ * Revisa la media de los mensajes activos (formato real, límites de WhatsApp, conversiones pendientes)
+ */
+router.get('/:id/media-check', requirePermission(PERMISSIONS.CAMPAIGNS_READ), requireCampaignId, async (req, res) => {
+    try {
+        const campaign = await campaignService.getCampaignById(req.campaignId);
+
+        if (!campaign) {
+            return notFound(res, req.campaignId);
+        }
+
+        const { valid, issues } = await messageService.validateCampaignMedia(req.campaignId);
+
+        res.json({
+            success: true,
+            campaignId: req.campaignId,
+            valid,
+            issues
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en GET /campaigns/${req.params.id}/media-check:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error revisando media: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /campaigns
+ * Crea una campaña (se crea inactiva salvo que se envíe is_active)
+ */
+router.post('/', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), async (req, res) => {
+    try {
+        const { errors, data } = validateCampaignBody(req.body, true);
+
+        errors.push(...validateWindow(data.startsAt, data.endsAt));
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Datos de campaña inválidos',
+                errors
+            });
+        }
+
+        const campaignId = await campaignService.createCampaign(data);
+        const campaign = await campaignService.getCampaignById(campaignId);
+
+        logger.info(`[API] Campaña ${campaignId} creada por usuario ${req.auth.userId}`);
+
+        res.status(201).json({
+            success: true,
+            campaign
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en POST /campaigns:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creando campaña: ' + error.message
+        });
+    }
+});
+
+/**
+ * PUT /campaigns/:id
+ * Actualiza los campos enviados de una campaña
+ */
+router.put('/:id', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), requireCampaignId, async (req, res) => {
+    try {
+        const { errors, data } = validateCampaignBody(req.body, false);
+
+        // Si solo se envía uno de los extremos se compara contra el guardado
+        if (errors.length === 0 && (data.startsAt !== undefined || data.endsAt !== undefined)) {
+            const current = await campaignService.getCampaignById(req.campaignId);
+
+            if (!current) {
+                return notFound(res, req.campaignId);
+            }
+
+            errors.push(...validateWindow(
+                data.startsAt !== undefined ? data.startsAt : current.starts_at,
+                data.endsAt !== undefined ? data.endsAt : current.ends_at
+            ));
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Datos de campaña inválidos',
+                errors
+            });
+        }
+
+        const updated = await campaignService.updateCampaign(req.campaignId, data);
+
+        if (!updated) {
+            return notFound(res, req.campaignId);
+        }
+
+        res.json({
+            success: true,
+            campaign: await campaignService.getCampaignById(req.campaignId)
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en PUT /campaigns/${req.params.id}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error actualizando campaña: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /campaigns/:id/activate
+ * POST /campaigns/:id/deactivate
+ * Al activar se revisa la media de la campaña (409 si hay errores; body {force: true} para activar igual)
+ */
+for (const [action, isActive] of [['activate', true], ['deactivate', false]]) {
+    router.post(`/:id/${action}`, requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), requireCampaignId, async (req, res) => {
+        try {
+            if (isActive && !(req.body && req.body.force === true)) {
+                const { valid, issues } = await messageService.validateCampaignMedia(req.campaignId);
+
+                if (!valid) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'La campaña tiene media inválida; corrígela o envía {force: true} para activarla igual',
+                        issues: issues.filter(issue => issue.errors.length > 0)
+                    });
+                }
+            }
+
+            const updated = await campaignService.setCampaignActive(req.campaignId, isActive);
+
+            if (!updated) {
+                return notFound(res, req.campaignId);
+            }
+
+            // Se descarga la media en segundo plano para que el primer lead no espere al frontend
+            if (isActive) {
+                messageService.prewarmCampaignMedia(req.campaignId).catch(() => {});
+            }
+
+            res.json({
+                success: true,
+                message: isActive ? 'Campaña activada' : 'Campaña desactivada',
+                campaignId: req.campaignId,
+                is_active: isActive
+            });
+
+        } catch (error) {
+            logger.error(`[API] Error en POST /campaigns/${req.params.id}/${action}:`, error);
+            res.status(500).json({
+                success: false,
+                message: 'Error cambiando estado de campaña: ' + error.message
+            });
+        }
+    });
+}
+
+/**
+ * PATCH /campaigns/:id/priority
+ * Cambia la prioridad de evaluación de una campaña
+ */
+router.patch('/:id/priority', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), requireCampaignId, async (req, res) => {
+    try {
+        const { priority } = req.body;
+
+        if (!Number.isInteger(priority)) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "priority" debe ser un entero'
+            });
+        }
+
+        const updated = await campaignService.updateCampaignPriority(req.campaignId, priority);
+
+        if (!updated) {
+            return notFound(res, req.campaignId);
+        }
+
+        res.json({
+            success: true,
+            campaignId: req.campaignId,
+            priority
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en PATCH /campaigns/${req.params.id}/priority:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error cambiando prioridad: ' + error.message
+        });
+    }
+});
+
+/**
+ * DELETE /campaigns/:id
+ * Soft delete (deleted_at) de una campaña
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), requireCampaignId, async (req, res) => {
+    try {
+        const deleted = await campaignService.deleteCampaign(req.campaignId);
+
+        if (!deleted) {
+            return notFound(res, req.campaignId);
+        }
+
+        logger.info(`[API] Campaña ${req.campaignId} eliminada por usuario ${req.auth.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Campaña eliminada',
+            campaignId: req.campaignId
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en DELETE /campaigns/${req.params.id}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error eliminando campaña: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,190 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const handoffService = require('../services/handoff.service');
+const sessionService = require('../services/session.service');
+const { parseId } = require('../utils/helpers');
+const { PERMISSIONS, authenticate, requirePermission } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission(PERMISSIONS.HANDOFF_MANAGE));
+
+/**
+ * Middleware que carga el handoff :id en req.handoff
+ */
+async function loadHandoff(req, res, next) {
+    try {
+        const handoffId = parseId(req.params.id);
+
+        if (!handoffId) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de handoff inválido'
+            });
+        }
+
+        req.handoff = await handoffService.getHandoffById(handoffId);
+
+        if (!req.handoff) {
+            return res.status(404).json({
+                success: false,
+                message: `Handoff ${handoffId} no encontrado`
+            });
+        }
+
+        next();
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Responde 409 si el handoff ya está cerrado
+ */
+function rejectIfClosed(req, res, next) {
+    if (req.handoff.status === 'CLOSED') {
+        return res.status(409).json({
+            success: false,
+            message: `El handoff ${req.handoff.id} ya está cerrado`
+        });
+    }
+    next();
+}
+
+/**
+ * GET /handoffs
+ * Cola de atención humana. Query: status (PENDING, ASSIGNED, CLOSED), lineId, page, pageSize
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, lineId } = req.query;
+
+        if (status && !handoffService.HANDOFF_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Estado inválido (permitidos: ${handoffService.HANDOFF_STATUSES.join(', ')})`
+            });
+        }
+
+        const page = parseId(req.query.page) || 1;
+        const pageSize = Math.min(parseId(req.query.pageSize) || 50, 200);
+
+        const { handoffs, total } = await handoffService.listHandoffs({ status, lineId, page, pageSize });
+
+        res.json({
+            success: true,
+            handoffs,
+            pagination: {
+                page,
+                pageSize,
+                total
+            }
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en GET /handoffs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando handoffs: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /handoffs/:id
+ * Detalle del handoff con el historial de mensajes
+ */
+router.get('/:id', loadHandoff, (req, res) => {
+    res.json({
+        success: true,
+        handoff: req.handoff
+    });
+});
+
+/**
+ * POST /handoffs/:id/assign
+ * El asesor autenticado toma el handoff
+ */
+router.post('/:id/assign', loadHandoff, rejectIfClosed, async (req, res) => {
+    try {
+        await handoffService.assignHandoff(req.handoff.id, req.auth.userId);
+
+        res.json({
+            success: true,
+            handoff: await handoffService.getHandoffById(req.handoff.id)
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en POST /handoffs/${req.params.id}/assign:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error asignando handoff: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /handoffs/:id/reply
+ * Envía un mensaje del asesor al lead por la misma línea. Body: {message}
+ */
+router.post('/:id/reply', loadHandoff, rejectIfClosed, async (req, res) => {
+    try {
+        const { message } = req.body;
+
+        if (typeof message !== 'string' || message.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "message" es requerido'
+            });
+        }
+
+        const session = sessionService.getSession(req.handoff.line_id);
+
+        if (!session || !session.isClientReady()) {
+            return res.status(503).json({
+                success: false,
+                message: `La línea ${req.handoff.line_id} no está conectada`
+            });
+        }
+
+        const whatsappMessageId = await handoffService.sendAgentReply(req.handoff, session.client, req.auth.userId, message);
+
+        res.json({
+            success: true,
+            whatsappMessageId
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en POST /handoffs/${req.params.id}/reply:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error enviando respuesta: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /handoffs/:id/close
+ * Cierra el handoff; el bot vuelve a responder a ese número
+ */
+router.post('/:id/close', loadHandoff, rejectIfClosed, async (req, res) => {
+    try {
+        await handoffService.closeHandoff(req.handoff, req.auth.userId);
+
+        res.json({
+            success: true,
+            message: 'Handoff cerrado',
+            handoffId: req.handoff.id
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en POST /handoffs/${req.params.id}/close:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error cerrando handoff: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const leadService = require('../services/lead.service');
+const { parseId } = require('../utils/helpers');
+const { PERMISSIONS, authenticate, requirePermission } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission(PERMISSIONS.LEADS_READ));
+
+/**
+ * GET /leads
+ * Lista leads capturados. Query: campaignId, completed (true/false), page, pageSize
+ */
+router.get('/', async (req, res) => {
+    try {
+        const page = parseId(req.query.page) || 1;
+        const pageSize = Math.min(parseId(req.query.pageSize) || 50, 200);
+        const completed = req.query.completed === undefined ? null : req.query.completed === 'true';
+
+        const { leads, total } = await leadService.listLeads({
+            campaignId: parseId(req.query.campaignId),
+            completed,
+            page,
+            pageSize
+        });
+
+        res.json({
+            success: true,
+            leads,
+            pagination: {
+                page,
+                pageSize,
+                total
+            }
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en GET /leads:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando leads: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /leads/:id
+ * Detalle de un lead con sus respuestas
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const leadId = parseId(req.params.id);
+
+        if (!leadId) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de lead inválido'
+            });
+        }
+
+        const lead = await leadService.getLeadById(leadId);
+
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: `Lead ${leadId} no encontrado`
+            });
+        }
+
+        res.json({
+            success: true,
+            lead
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en GET /leads/${req.params.id}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error obteniendo lead: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const storageService = require('../services/storage.service');
+
+// Sin autenticación: el panel muestra los archivos con <img>/<audio> y las keys llevan hash del contenido
+const router = express.Router();
+
+/**
+ * GET /media/<key>
+ * Sirve un archivo subido con POST /campaigns/:id/messages/:messageId/media/upload
+ */
+router.get('/*', async (req, res) => {
+    try {
+        const key = req.params[0];
+        const data = await storageService.readFile(key);
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                message: 'Archivo no encontrado'
+            });
+        }
+
+        res.set('Content-Type', storageService.getMimeType(key));
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
+        res.send(data);
+
+    } catch (error) {
+        logger.error(`[API] Error en GET /media/${req.params[0]}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error leyendo archivo: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,507 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const config = require('../config/config2');
+const messageService = require('../services/message.service');
+const storageService = require('../services/storage.service');
+const mediaProcessingService = require('../services/media-processing.service');
+const { parseId } = require('../utils/helpers');
+const { PERMISSIONS, requirePermission } = require('../middleware/auth.middleware');
+
+// Se monta en /campaigns/:id/messages (req.campaignId lo deja campaign.routes)
+const router = express.Router();
+
+/**
+ * Valida delay_seconds (entero >= 0)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidDelay(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Valida flow_group (null = secuencia principal)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidFlowGroup(value) {
+    return value === null || (typeof value === 'string' && /^[a-zA-Z0-9_-]{1,50}$/.test(value));
+}
+
+/**
+ * Middleware que carga el mensaje :messageId de la campaña en req.message
+ */
+async function loadMessage(req, res, next) {
+    try {
+        const messageId = parseId(req.params.messageId);
+
+        if (!messageId) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de mensaje inválido'
+            });
+        }
+
+        req.message = await messageService.getMessageById(req.campaignId, messageId);
+
+        if (!req.message) {
+            return res.status(404).json({
+                success: false,
+                message: `Mensaje ${messageId} no encontrado en la campaña ${req.campaignId}`
+            });
+        }
+
+        next();
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Responde 400 con la lista de errores de validación
+ */
+function invalid(res, errors) {
+    return res.status(400).json({
+        success: false,
+        message: 'Mensaje inválido',
+        errors
+    });
+}
+
+/**
+ * GET /campaigns/:id/messages
+ * Secuencia completa (incluye mensajes inactivos) con su media
+ */
+router.get('/', requirePermission(PERMISSIONS.CAMPAIGNS_READ), async (req, res) => {
+    try {
+        const messages = await messageService.getAllCampaignMessages(req.campaignId);
+
+        res.json({
+            success: true,
+            campaignId: req.campaignId,
+            messages
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en GET /campaigns/${req.campaignId}/messages:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error obteniendo mensajes: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /campaigns/:id/messages
+ * Agrega un mensaje a la secuencia (al final salvo que se envíe sort_order)
+ * Body: {type_code, content, payload, delay_seconds, sort_order, is_active, flow_group, media: [{file_path, file_name, mime_type}]}
+ * payload: LOCATION {latitude, longitude, name, address, url}, CONTACT {name, phone, organization, email}, LINK {preview}
+ */
+router.post('/', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), async (req, res) => {
+    try {
+        const { type_code, content, payload = null, delay_seconds, sort_order, is_active = true, flow_group = null, media = [] } = req.body;
+        const errors = [];
+
+        if (!type_code || typeof type_code !== 'string') {
+            errors.push('El campo "type_code" es requerido');
+        } else if (!messageService.MESSAGE_TYPES.includes(type_code.toUpperCase())) {
+            errors.push(`"type_code" debe ser uno de: ${messageService.MESSAGE_TYPES.join(', ')}`);
+        }
+        if (delay_seconds !== undefined && !isValidDelay(delay_seconds)) {
+            errors.push('"delay_seconds" debe ser un entero >= 0');
+        }
+        if (sort_order !== undefined && !Number.isInteger(sort_order)) {
+            errors.push('"sort_order" debe ser un entero');
+        }
+        if (!Array.isArray(media)) {
+            errors.push('"media" debe ser un arreglo');
+        }
+        if (!isValidFlowGroup(flow_group)) {
+            errors.push('"flow_group" debe ser null o un identificador (letras, números, "-", "_")');
+        }
+
+        if (errors.length > 0) {
+            return invalid(res, errors);
+        }
+
+        const typeCode = type_code.toUpperCase();
+
+        if (media.length > 0 && !messageService.acceptsMedia(typeCode)) {
+            return invalid(res, [`Los mensajes ${typeCode} no admiten media`]);
+        }
+
+        // Los borradores inactivos pueden guardarse sin media; se valida al activarlos
+        const mediaErrors = messageService.validateMessageMedia(typeCode, content, media);
+        if (mediaErrors.length > 0 && (is_active || media.length > 0)) {
+            return invalid(res, mediaErrors);
+        }
+
+        const payloadErrors = messageService.validateMessagePayload(typeCode, content, payload);
+        if (payloadErrors.length > 0 && (is_active || payload !== null)) {
+            return invalid(res, payloadErrors);
+        }
+
+        const messageId = await messageService.createMessage({
+            campaignId: req.campaignId,
+            typeCode,
+            content: content || null,
+            payload,
+            delaySeconds: delay_seconds,
+            sortOrder: sort_order !== undefined ? sort_order : null,
+            isActive: Boolean(is_active),
+            flowGroup: flow_group,
+            media
+        });
+
+        res.status(201).json({
+            success: true,
+            message: await messageService.getMessageById(req.campaignId, messageId)
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en POST /campaigns/${req.campaignId}/messages:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creando mensaje: ' + error.message
+        });
+    }
+});
+
+/**
+ * PUT /campaigns/:id/messages/order
+ * Reordena la secuencia. Body: {message_ids: [3, 1, 2]}
+ */
+router.put('/order', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), async (req, res) => {
+    try {
+        const { message_ids } = req.body;
+
+        if (!Array.isArray(message_ids) || message_ids.length === 0 || !message_ids.every(id => parseId(id))) {
+            return invalid(res, ['"message_ids" debe ser un arreglo de IDs']);
+        }
+
+        const current = await messageService.getAllCampaignMessages(req.campaignId);
+        const currentIds = current.map(message => message.id).sort((a, b) => a - b);
+        const requestedIds = message_ids.map(Number);
+        const sortedRequested = [...requestedIds].sort((a, b) => a - b);
+
+        if (currentIds.length !== sortedRequested.length || currentIds.some((id, i) => id !== sortedRequested[i])) {
+            return invalid(res, [`"message_ids" debe contener exactamente los mensajes de la campaña: [${currentIds.join(', ')}]`]);
+        }
+
+        await messageService.reorderMessages(req.campaignId, requestedIds);
+
+        res.json({
+            success: true,
+            messages: await messageService.getAllCampaignMessages(req.campaignId)
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en PUT /campaigns/${req.campaignId}/messages/order:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error reordenando mensajes: ' + error.message
+        });
+    }
+});
+
+/**
+ * PUT /campaigns/:id/messages/:messageId
+ * Edita contenido, payload, delay y/o grupo del flujo. Body: {content, payload, delay_seconds, flow_group}
+ */
+router.put('/:messageId', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), loadMessage, async (req, res) => {
+    try {
+        const { content, payload, delay_seconds, flow_group } = req.body;
+
+        if (delay_seconds !== undefined && !isValidDelay(delay_seconds)) {
+            return invalid(res, ['"delay_seconds" debe ser un entero >= 0']);
+        }
+
+        if (flow_group !== undefined && !isValidFlowGroup(flow_group)) {
+            return invalid(res, ['"flow_group" debe ser null o un identificador (letras, números, "-", "_")']);
+        }
+
+        if (content !== undefined && req.message.type_code === 'TEXT') {
+            const errors = messageService.validateMessageMedia('TEXT', content);
+            if (errors.length > 0) {
+                return invalid(res, errors);
+            }
+        }
+
+        if (content !== undefined || payload !== undefined) {
+            const errors = messageService.validateMessagePayload(
+                req.message.type_code,
+                content !== undefined ? content : req.message.content,
+                payload !== undefined ? payload : req.message.payload
+            );
+            if (errors.length > 0) {
+                return invalid(res, errors);
+            }
+        }
+
+        await messageService.updateMessage(req.message.id, {
+            content,
+            payload,
+            delaySeconds: delay_seconds,
+            flowGroup: flow_group
+        });
+
+        res.json({
+            success: true,
+            message: await messageService.getMessageById(req.campaignId, req.message.id)
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en PUT /campaigns/${req.campaignId}/messages/${req.params.messageId}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error actualizando mensaje: ' + error.message
+        });
+    }
+});
+
+/**
+ * PATCH /campaigns/:id/messages/:messageId/active
+ * Activa o desactiva un mensaje. Body: {is_active}
+ */
+router.patch('/:messageId/active', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), loadMessage, async (req, res) => {
+    try {
+        const isActive = Boolean(req.body.is_active);
+
+        if (isActive) {
+            const errors = [
+                ...messageService.validateMessageMedia(req.message.type_code, req.message.content, req.message.media),
+                ...messageService.validateMessagePayload(req.message.type_code, req.message.content, req.message.payload)
+            ];
+            if (errors.length > 0) {
+                return invalid(res, errors);
+            }
+        }
+
+        await messageService.setMessageActive(req.message.id, isActive);
+
+        res.json({
+            success: true,
+            messageId: req.message.id,
+            is_active: isActive
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en PATCH /campaigns/${req.campaignId}/messages/${req.params.messageId}/active:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error cambiando estado del mensaje: ' + error.message
+        });
+    }
+});
+
+/**
+ * DELETE /campaigns/:id/messages/:messageId
+ * Elimina un mensaje de la secuencia (soft delete)
+ */
+router.delete('/:messageId', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), loadMessage, async (req, res) => {
+    try {
+        await messageService.deleteMessage(req.message.id);
+
+        res.json({
+            success: true,
+            message: 'Mensaje eliminado',
+            messageId: req.message.id
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en DELETE /campaigns/${req.campaignId}/messages/${req.params.messageId}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error eliminando mensaje: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /campaigns/:id/messages/:messageId/media
+ * Adjunta un archivo. Body: {file_path, file_name, mime_type, sort_order}
+ */
+router.post('/:messageId/media', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), loadMessage, async (req, res) => {
+    try {
+        const { type_code: typeCode, media } = req.message;
+        const newMedia = {
+            file_path: req.body.file_path,
+            file_name: req.body.file_name,
+            mime_type: req.body.mime_type,
+            sort_order: req.body.sort_order
+        };
+
+        if (!messageService.acceptsMedia(typeCode)) {
+            return invalid(res, [`Los mensajes ${typeCode} no admiten media`]);
+        }
+
+        const errors = messageService.validateMessageMedia(typeCode, req.message.content, [newMedia]);
+        if (errors.length > 0) {
+            return invalid(res, errors);
+        }
+
+        // Todos los tipos salvo GALLERY envían solo el primer archivo
+        if (typeCode !== 'GALLERY' && media.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Un mensaje ${typeCode} solo envía un archivo; quita el actual (ID ${media[0].id}) antes de adjuntar otro`
+            });
+        }
+
+        // Se descarga el archivo para revisar su formato real y el límite de tamaño de WhatsApp
+        const inspection = await messageService.inspectMessageMedia(typeCode, newMedia);
+        if (inspection.errors.length > 0) {
+            return invalid(res, inspection.errors);
+        }
+
+        const mediaId = await messageService.addMessageMedia(req.message.id, typeCode, newMedia);
+
+        res.status(201).json({
+            success: true,
+            mediaId,
+            warnings: [...inspection.warnings, ...inspection.conversions],
+            message: await messageService.getMessageById(req.campaignId, req.message.id)
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en POST /campaigns/${req.campaignId}/messages/${req.params.messageId}/media:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error adjuntando media: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /campaigns/:id/messages/:messageId/media/upload
+ * Sube un archivo al storage y lo adjunta. Body: contenido binario con su Content-Type
+ * Query: file_name, sort_order
+ */
+router.post(
+    '/:messageId/media/upload',
+    requirePermission(PERMISSIONS.CAMPAIGNS_WRITE),
+    express.raw({ type: () => true, limit: `${config.storage.maxUploadMb}mb` }),
+    loadMessage,
+    async (req, res) => {
+        try {
+            const { type_code: typeCode, media } = req.message;
+            const fileName = req.query.file_name || null;
+
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                return invalid(res, ['El body debe ser el contenido del archivo']);
+            }
+
+            // Content-Type genérico o ausente: se deduce de la extensión de file_name
+            const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+            const mimeType = contentType && contentType !== 'application/octet-stream'
+                ? contentType
+                : storageService.getMimeType(fileName || '');
+
+            if (!messageService.acceptsMedia(typeCode)) {
+                return invalid(res, [`Los mensajes ${typeCode} no admiten media`]);
+            }
+
+            const errors = messageService.validateMessageMedia(typeCode, req.message.content, [
+                { file_path: 'upload', mime_type: mimeType }
+            ]);
+            if (errors.length > 0) {
+                return invalid(res, errors);
+            }
+
+            if (typeCode !== 'GALLERY' && media.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Un mensaje ${typeCode} solo envía un archivo; quita el actual (ID ${media[0].id}) antes de adjuntar otro`
+                });
+            }
+
+            // Formato real, conversión (nota de voz, imagen reducida, miniatura de video) y límites de WhatsApp
+            const prepared = await mediaProcessingService.prepareUpload(req.body, { typeCode, mimeType, fileName });
+            if (prepared.errors.length > 0) {
+                return invalid(res, prepared.errors);
+            }
+
+            const folder = `campaigns/${req.campaignId}`;
+            const filePath = await storageService.saveFile(prepared.data, {
+                folder,
+                fileName: prepared.fileName,
+                mimeType: prepared.mimeType
+            });
+
+            const thumbnailPath = prepared.thumbnail
+                ? await storageService.saveFile(prepared.thumbnail, { folder, fileName: 'miniatura.jpg', mimeType: 'image/jpeg' })
+                : null;
+
+            const mediaId = await messageService.addMessageMedia(req.message.id, typeCode, {
+                file_path: filePath,
+                file_name: prepared.fileName,
+                mime_type: prepared.mimeType,
+                thumbnail_path: thumbnailPath,
+                sort_order: parseId(req.query.sort_order) || undefined
+            });
+
+            res.status(201).json({
+                success: true,
+                mediaId,
+                url: messageService.buildMediaUrl(filePath),
+                thumbnailUrl: thumbnailPath ? messageService.buildMediaUrl(thumbnailPath) : null,
+                converted: prepared.converted,
+                warnings: prepared.warnings,
+                message: await messageService.getMessageById(req.campaignId, req.message.id)
+            });
+
+        } catch (error) {
+            logger.error(`[API] Error en POST /campaigns/${req.campaignId}/messages/${req.params.messageId}/media/upload:`, error);
+            res.status(500).json({
+                success: false,
+                message: 'Error subiendo archivo: ' + error.message
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /campaigns/:id/messages/:messageId/media/:mediaId
+ * Quita un archivo del mensaje (no permite dejar sin media a un mensaje activo)
+ */
+router.delete('/:messageId/media/:mediaId', requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), loadMessage, async (req, res) => {
+    try {
+        const mediaId = parseId(req.params.mediaId);
+        const remaining = req.message.media.filter(media => media.id !== mediaId);
+
+        if (remaining.length === req.message.media.length) {
+            return res.status(404).json({
+                success: false,
+                message: `Media ${req.params.mediaId} no encontrada en el mensaje ${req.message.id}`
+            });
+        }
+
+        if (req.message.is_active) {
+            const errors = messageService.validateMessageMedia(req.message.type_code, req.message.content, remaining);
+            if (errors.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'El mensaje está activo y quedaría sin la media requerida; desactívalo primero',
+                    errors
+                });
+            }
+        }
+
+        await messageService.removeMessageMedia(req.message.id, mediaId);
+
+        res.json({
+            success: true,
+            message: await messageService.getMessageById(req.campaignId, req.message.id)
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en DELETE /campaigns/${req.campaignId}/messages/${req.params.messageId}/media/${req.params.mediaId}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error quitando media: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
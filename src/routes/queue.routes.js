@@ -0,0 +1,62 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const outboundQueueService = require('../services/outbound-queue.service');
+const { parseId } = require('../utils/helpers');
+const { PERMISSIONS, authenticate, requirePermission } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission(PERMISSIONS.STATS_READ));
+
+/**
+ * GET /queue
+ * Pasos de la cola de salida por estado y secuencias enviándose en este proceso
+ */
+router.get('/', async (req, res) => {
+    try {
+        const stats = await outboundQueueService.getQueueStats();
+
+        res.json({
+            success: true,
+            ...stats
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en GET /queue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error obteniendo estado de la cola: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /queue/dead-letters
+ * Mensajes descartados (reintentos agotados o error permanente). Query: page, pageSize
+ */
+router.get('/dead-letters', async (req, res) => {
+    try {
+        const page = parseId(req.query.page) || 1;
+        const pageSize = Math.min(parseId(req.query.pageSize) || 50, 200);
+        const { jobs, total } = await outboundQueueService.listDeadJobs({ page, pageSize });
+
+        res.json({
+            success: true,
+            jobs,
+            pagination: {
+                page,
+                pageSize,
+                total
+            }
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en GET /queue/dead-letters:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando mensajes descartados: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const rateLimitService = require('../services/ratelimit.service');
+const abuseService = require('../services/abuse.service');
+const { toChatId, parseId } = require('../utils/helpers');
+const { PERMISSIONS, authenticate, requirePermission } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission(PERMISSIONS.RATE_LIMITS_MANAGE));
+
+/**
+ * Middleware que normaliza :phone ("999888777", "+51 999 888 777" o chat ID) en req.userPhone
+ */
+function parsePhone(req, res, next) {
+    req.userPhone = toChatId(req.params.phone, config.broadcasts.defaultCountryCode);
+
+    if (!req.userPhone) {
+        return res.status(400).json({
+            success: false,
+            message: `Número inválido: ${req.params.phone}`
+        });
+    }
+
+    next();
+}
+
+/**
+ * Lee page y pageSize de la query
+ * @param {object} query - req.query
+ * @returns {{page: number, pageSize: number}}
+ */
+function getPagination(query) {
+    return {
+        page: parseId(query.page) || 1,
+        pageSize: Math.min(parseId(query.pageSize) || 50, 200)
+    };
+}
+
+/**
+ * GET /rate-limits/blocked
+ * Números bloqueados (permanentes y temporales vigentes). Query: page, pageSize
+ */
+router.get('/blocked', async (req, res) => {
+    try {
+        const { page, pageSize } = getPagination(req.query);
+        const { blocked, total } = await rateLimitService.listBlocked({ page, pageSize });
+
+        res.json({
+            success: true,
+            blocked,
+            pagination: {
+                page,
+                pageSize,
+                total
+            }
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en GET /rate-limits/blocked:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando bloqueados: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /rate-limits/throttled
+ * Números que alcanzaron el límite por hora o por día. Query: page, pageSize
+ */
+router.get('/throttled', async (req, res) => {
+    try {
+        const { page, pageSize } = getPagination(req.query);
+        const { throttled, total } = await rateLimitService.listThrottled({ page, pageSize });
+
+        res.json({
+            success: true,
+            throttled,
+            pagination: {
+                page,
+                pageSize,
+                total
+            }
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en GET /rate-limits/throttled:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando usuarios limitados: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /rate-limits/metrics
+ * Veces que el rate limiter tomó el camino degradado (BD caída) y triggers pendientes de conciliar
+ */
+router.get('/metrics', (req, res) => {
+    res.json({
+        success: true,
+        metrics: rateLimitService.getDegradedStats()
+    });
+});
+
+/**
+ * GET /rate-limits/abuse-events
+ * Auditoría de advertencias y bloqueos automáticos por abuso. Query: phone, page, pageSize
+ */
+router.get('/abuse-events', async (req, res) => {
+    try {
+        let userPhone = null;
+
+        if (req.query.phone) {
+            userPhone = toChatId(req.query.phone, config.broadcasts.defaultCountryCode);
+
+            if (!userPhone) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Número inválido: ${req.query.phone}`
+                });
+            }
+        }
+
+        const { page, pageSize } = getPagination(req.query);
+        const { events, total } = await abuseService.listAbuseEvents({ userPhone, page, pageSize });
+
+        res.json({
+            success: true,
+            events,
+            pagination: {
+                page,
+                pageSize,
+                total
+            }
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en GET /rate-limits/abuse-events:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando eventos de abuso: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /rate-limits/:phone
+ * Estado de rate limit de un número
+ */
+router.get('/:phone', parsePhone, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            state: await rateLimitService.getRateLimitState(req.userPhone)
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en GET /rate-limits/${req.params.phone}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error obteniendo estado: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /rate-limits/:phone/block
+ * Bloquea un número. Body: {reason, hours} (sin hours = bloqueo indefinido)
+ */
+router.post('/:phone/block', parsePhone, async (req, res) => {
+    try {
+        const { reason, hours } = req.body;
+
+        if (typeof reason !== 'string' || reason.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "reason" es requerido'
+            });
+        }
+
+        if (hours !== undefined && hours !== null && !(typeof hours === 'number' && hours > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "hours" debe ser un número mayor a 0 (omitir para bloqueo indefinido)'
+            });
+        }
+
+        await rateLimitService.blockUser(req.userPhone, reason.trim(), hours || null);
+
+        logger.info(`[API] ${req.userPhone} bloqueado por usuario ${req.auth.userId} (${hours ? `${hours} h` : 'indefinido'})`);
+
+        res.json({
+            success: true,
+            state: await rateLimitService.getRateLimitState(req.userPhone)
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en POST /rate-limits/${req.params.phone}/block:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error bloqueando número: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /rate-limits/:phone/unblock
+ * Quita cualquier bloqueo del número (temporal, indefinido o en blocked_numbers)
+ */
+router.post('/:phone/unblock', parsePhone, async (req, res) => {
+    try {
+        const unblocked = await rateLimitService.unblockUser(req.userPhone);
+
+        if (!unblocked) {
+            return res.status(404).json({
+                success: false,
+                message: `${req.userPhone} no está bloqueado`
+            });
+        }
+
+        logger.info(`[API] ${req.userPhone} desbloqueado por usuario ${req.auth.userId}`);
+
+        res.json({
+            success: true,
+            state: await rateLimitService.getRateLimitState(req.userPhone)
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en POST /rate-limits/${req.params.phone}/unblock:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error desbloqueando número: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /rate-limits/:phone/reset
+ * Reinicia los contadores de campañas y fallback del número
+ */
+router.post('/:phone/reset', parsePhone, async (req, res) => {
+    try {
+        await rateLimitService.resetRateLimit(req.userPhone);
+
+        logger.info(`[API] Contadores de ${req.userPhone} reiniciados por usuario ${req.auth.userId}`);
+
+        res.json({
+            success: true,
+            state: await rateLimitService.getRateLimitState(req.userPhone)
+        });
+
+    } catch (error) {
+        logger.error(`[API] Error en POST /rate-limits/${req.params.phone}/reset:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Error reiniciando contadores: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
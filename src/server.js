@@ -4,7 +4,18 @@ const fs = require('fs');
 const path = require('path');
 const config = require('./config/config2');
 const logger = require('./utils/logger');
-const whatsappService = require('./services/whatsapp.service');
+const sessionService = require('./services/session.service');
+const { PERMISSIONS, authenticate, requirePermission } = require('./middleware/auth.middleware');
+const campaignRoutes = require('./routes/campaign.routes');
+const leadRoutes = require('./routes/lead.routes');
+const handoffRoutes = require('./routes/handoff.routes');
+const cacheRoutes = require('./routes/cache.routes');
+const broadcastRoutes = require('./routes/broadcast.routes');
+const rateLimitRoutes = require('./routes/ratelimit.routes');
+const mediaRoutes = require('./routes/media.routes');
+const queueRoutes = require('./routes/queue.routes');
+const broadcastService = require('./services/broadcast.service');
+const outboundQueueService = require('./services/outbound-queue.service');
 const dbRoles = require('./config/database');
 const dbInmobiliaria = require('./config/database2');
 
@@ -13,9 +24,12 @@ const PORT = config.server.port || 3002;
 
 
 
-// Estado global
-let cleanupInProgress = false;
-let initializationTimeout = null;
+// Estado global por línea
+const cleanupInProgress = new Set();
+const initializationTimeouts = new Map();
+
+const AUTH_FOLDER = path.join(__dirname, '..', '.wwebjs_auth');
+const CACHE_FOLDER = path.join(__dirname, '..', '.wwebjs_cache');
 
 // Middlewares
 app.use(cors());
@@ -28,113 +42,186 @@ app.use((req, res, next) => {
     next();
 });
 
+/**
+ * Resuelve la línea de WhatsApp de la petición (body.lineId o query.lineId)
+ * y la deja en req.lineId
+ */
+function requireLineId(req, res, next) {
+    try {
+        req.lineId = sessionService.resolveLineId((req.body && req.body.lineId) || req.query.lineId);
+        next();
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
 // ==================== FUNCIONES DE LIMPIEZA Y SALUD ====================
 
 /**
- * Limpia las carpetas de sesión de WhatsApp
- * @param {number} retries - Número de reintentos
+ * Limpia el timeout de inicialización de una línea
+ * @param {string} lineId - Identificador de la línea
  */
-async function cleanupSessionFolders(retries = 3) {
-    if (cleanupInProgress) {
-        logger.warn('[CLEANUP] Limpieza ya en progreso, esperando...');
-        return false;
+function clearInitializationTimeout(lineId) {
+    const timeout = initializationTimeouts.get(lineId);
+    if (timeout) {
+        clearTimeout(timeout);
+        initializationTimeouts.delete(lineId);
     }
+}
 
-    cleanupInProgress = true;
-        logger.info('[CLEANUP] 🧹 Iniciando limpieza de carpetas de sesión...');
+/**
+ * Verifica si alguna línea tiene un cliente activo o inicializando
+ * @returns {boolean}
+ */
+function hasActiveSessions() {
+    return sessionService.getAllStatuses().some(status => status.isReady || status.isInitializing);
+}
 
-    const foldersToClean = ['.wwebjs_auth', '.wwebjs_cache'];
+/**
+ * Elimina una carpeta con reintentos (renombra como último recurso)
+ * @param {string} folderPath - Ruta absoluta de la carpeta
+ * @param {number} retries - Número de reintentos
+ */
+async function removeFolder(folderPath, retries) {
+    const folder = path.relative(path.join(__dirname, '..'), folderPath);
 
-    for (const folder of foldersToClean) {
-        const folderPath = path.join(__dirname, '..', folder);
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        try {
+            if (!fs.existsSync(folderPath)) {
+                logger.info(`[CLEANUP] 📁 Carpeta ${folder} no existe`);
+                break;
+            }
 
-        for (let attempt = 1; attempt <= retries; attempt++) {
-            try {
-                if (!fs.existsSync(folderPath)) {
-                    logger.info(`[CLEANUP] 📁 Carpeta ${folder} no existe`);
-                    break;
-                }
+            // Esperar antes de intentar borrar
+            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
 
-                // Esperar antes de intentar borrar
-                await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+            // Eliminar carpeta
+            fs.rmSync(folderPath, {
+                recursive: true,
+                force: true,
+                maxRetries: 3,
+                retryDelay: 1000
+            });
 
-                // Eliminar carpeta
-                fs.rmSync(folderPath, {
-                    recursive: true,
-                    force: true,
-                    maxRetries: 3,
-                    retryDelay: 1000
-                });
+            logger.info(`[CLEANUP] ✅ Carpeta ${folder} eliminada (intento ${attempt})`);
+            break;
 
-                logger.info(`[CLEANUP] ✅ Carpeta ${folder} eliminada (intento ${attempt})`);
-                break;
+        } catch (error) {
+            logger.warn(`[CLEANUP] ⚠️ Error eliminando ${folder} (intento ${attempt}/${retries}):`, error.code);
 
-            } catch (error) {
-                logger.warn(`[CLEANUP] ⚠️ Error eliminando ${folder} (intento ${attempt}/${retries}):`, error.code);
-
-                if (attempt === retries) {
-                    logger.error(`[CLEANUP] ❌ No se pudo eliminar ${folder} después de ${retries} intentos`);
-
-                     // Intentar renombrar como último recurso (Windows)
-                    try {
-                        const backupPath = folderPath + '_old_' + Date.now();
-                        fs.renameSync(folderPath, backupPath);
-                        logger.info(`[CLEANUP] Carpeta ${folder} renombrada a: ${backupPath}`);
-                    } catch (renameError) {
-                        logger.error(`[CLEANUP] No se pudo renombrar ${folder}:`, renameError.code);
-                    }
+            if (attempt === retries) {
+                logger.error(`[CLEANUP] ❌ No se pudo eliminar ${folder} después de ${retries} intentos`);
+
+                 // Intentar renombrar como último recurso (Windows)
+                try {
+                    const backupPath = folderPath + '_old_' + Date.now();
+                    fs.renameSync(folderPath, backupPath);
+                    logger.info(`[CLEANUP] Carpeta ${folder} renombrada a: ${backupPath}`);
+                } catch (renameError) {
+                    logger.error(`[CLEANUP] No se pudo renombrar ${folder}:`, renameError.code);
                 }
             }
         }
     }
+}
+
+/**
+ * Limpia la carpeta de sesión de una línea de WhatsApp.
+ * La caché compartida (.wwebjs_cache) solo se borra si no queda ninguna línea activa.
+ * @param {string} lineId - Identificador de la línea
+ * @param {number} retries - Número de reintentos
+ */
+async function cleanupSessionFolders(lineId, retries = 3) {
+    if (cleanupInProgress.has(lineId)) {
+        logger.warn(`[CLEANUP] Limpieza de la línea ${lineId} ya en progreso, esperando...`);
+        return false;
+    }
+
+    cleanupInProgress.add(lineId);
+    logger.info(`[CLEANUP] 🧹 Iniciando limpieza de carpetas de sesión (línea ${lineId})...`);
+
+    try {
+        // LocalAuth guarda cada clientId en .wwebjs_auth/session-<clientId>
+        await removeFolder(path.join(AUTH_FOLDER, `session-${lineId}`), retries);
+
+        if (!hasActiveSessions()) {
+            await removeFolder(CACHE_FOLDER, retries);
+        }
+    } finally {
+        cleanupInProgress.delete(lineId);
+    }
 
-    cleanupInProgress = false;
-    logger.info('[CLEANUP] 🧹 Limpieza completada');
+    logger.info(`[CLEANUP] 🧹 Limpieza completada (línea ${lineId})`);
     return true;
 }
 
 /**
- * Verifica la salud de la sesión (detecta carpetas huérfanas)
+ * Verifica la salud de las sesiones: migra la carpeta de la versión de una sola línea
+ * y reporta carpetas de líneas sin cliente activo (no se borran: conservan el login de WhatsApp)
  */
 async function verifySessionHealth() {
-    const authPath = path.join(__dirname, '..', '.wwebjs_auth');
-    const cachePath = path.join(__dirname, '..', '.wwebjs_cache');
-    const status = whatsappService.getStatus();
+    if (!fs.existsSync(AUTH_FOLDER)) return;
+
+    const sessionFolders = fs.readdirSync(AUTH_FOLDER, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name.startsWith('session'));
+
+    for (const entry of sessionFolders) {
+        // "session" sin sufijo es la sesión de instalaciones de una sola línea (LocalAuth sin clientId)
+        if (entry.name === 'session') {
+            const defaultLineId = config.whatsapp.defaultLineId;
+            const target = path.join(AUTH_FOLDER, `session-${defaultLineId}`);
+
+            if (fs.existsSync(target)) {
+                logger.warn(`[HEALTH] ⚠️ Carpeta de sesión sin línea asignada (.wwebjs_auth/session) ignorada: la línea ${defaultLineId} ya tiene sesión`);
+                continue;
+            }
+
+            try {
+                fs.renameSync(path.join(AUTH_FOLDER, entry.name), target);
+                logger.info(`[HEALTH] Sesión de una sola línea migrada a la línea ${defaultLineId}`);
+            } catch (error) {
+                logger.error(`[HEALTH] No se pudo migrar la sesión a la línea ${defaultLineId}:`, error.code);
+            }
+            continue;
+        }
 
-    // Si hay carpetas pero no hay sesión activa, limpiar
-    if ((fs.existsSync(authPath) || fs.existsSync(cachePath)) &&
-        !status.isReady && !status.isInitializing) {
+        const lineId = entry.name.substring('session-'.length);
+        const session = sessionService.getSession(lineId);
+        const status = session ? session.getStatus() : null;
 
-        logger.warn('[HEALTH] ⚠️ Detectadas carpetas de sesión huérfanas, limpiando...');
-        await cleanupSessionFolders();
+        if (!status || (!status.isReady && !status.isInitializing)) {
+            logger.info(`[HEALTH] Carpeta de sesión de la línea ${lineId} sin cliente activo (se conserva; POST /cleanup-session para borrarla)`);
+        }
     }
 }
 
 /**
- * Maneja errores de WhatsApp y limpia el estado
+ * Maneja errores de WhatsApp y limpia el estado de una línea
+ * @param {string} lineId - Identificador de la línea
  * @param {string} errorMessage - Mensaje de error
  */
-async function handleWhatsAppError(errorMessage) {
-    logger.error(`[ERROR-HANDLER] ❌ Error de WhatsApp: ${errorMessage}`);
+async function handleWhatsAppError(lineId, errorMessage) {
+    logger.error(`[ERROR-HANDLER] ❌ Error de WhatsApp (línea ${lineId}): ${errorMessage}`);
 
     // Limpiar timeout si existe
-    if (initializationTimeout) {
-        clearTimeout(initializationTimeout);
-        initializationTimeout = null;
-    }
+    clearInitializationTimeout(lineId);
 
     try {
         // Destruir cliente
-        if (whatsappService.isClientReady() || whatsappService.getStatus().isInitializing) {
-            logger.info('[ERROR-HANDLER] Deteniendo cliente...');
-            await whatsappService.destroy();
+        const session = sessionService.getSession(lineId);
+        if (session && (session.isClientReady() || session.getStatus().isInitializing)) {
+            logger.info(`[ERROR-HANDLER] Deteniendo cliente de la línea ${lineId}...`);
+            await session.destroy();
         }
 
         // Esperar a que se liberen recursos
         await new Promise(resolve => setTimeout(resolve, 3000));
 
         // Limpiar carpetas
-        await cleanupSessionFolders();
+        await cleanupSessionFolders(lineId);
 
         logger.info('[ERROR-HANDLER] ✅ Error manejado, estado limpiado');
 
@@ -147,30 +234,27 @@ async function handleWhatsAppError(errorMessage) {
 
 /**
  * POST /start-whatsapp
- * Inicia el bot de WhatsApp con rol y permisos
+ * Inicia el bot de WhatsApp de una línea con rol y permisos
  */
-app.post('/start-whatsapp', async (req, res) => {
+app.post('/start-whatsapp', authenticate, requirePermission(PERMISSIONS.WHATSAPP_START), requireLineId, async (req, res) => {
     try {
-        const { role, permissions } = req.body;
+        // Rol y permisos provienen del usuario autenticado, no del body
+        const { role, permissions } = req.auth;
+        const lineId = req.lineId;
 
-        logger.info(`[API] 🚀 Solicitud de inicio de WhatsApp - Rol: ${role}`);
+        logger.info(`[API] 🚀 Solicitud de inicio de WhatsApp - Línea: ${lineId} - Rol: ${role}`);
 
-        // Validar rol
-        if (!role) {
-            return res.status(400).json({
-                success: false,
-                message: 'El campo "role" es requerido'
-            });
-        }
+        const session = sessionService.getOrCreateSession(lineId);
 
         // Verificar estado actual
-        const status = whatsappService.getStatus();
+        const status = session.getStatus();
 
         if (status.isReady) {
             return res.json({
                 success: true,
                 message: 'WhatsApp ya está conectado',
                 status: 'connected',
+                lineId,
                 role: status.role,
                 qr: null
             });
@@ -181,8 +265,9 @@ app.post('/start-whatsapp', async (req, res) => {
                 success: true,
                 message: 'WhatsApp se está inicializando',
                 status: 'initializing',
+                lineId,
                 role: status.role,
-                qr: whatsappService.getQRCode()
+                qr: session.getQRCode()
             });
         }
 
@@ -190,23 +275,21 @@ app.post('/start-whatsapp', async (req, res) => {
         await verifySessionHealth();
 
         // Establecer timeout de inicialización (30 segundos)
-        initializationTimeout = setTimeout(async () => {
-            logger.error('[API] ⏰ Timeout de inicialización (30s), limpiando...');
-            await handleWhatsAppError('Timeout al iniciar WhatsApp');
-        }, 30000);
+        clearInitializationTimeout(lineId);
+        initializationTimeouts.set(lineId, setTimeout(async () => {
+            logger.error(`[API] ⏰ Timeout de inicialización (30s) en línea ${lineId}, limpiando...`);
+            await handleWhatsAppError(lineId, 'Timeout al iniciar WhatsApp');
+        }, 30000));
 
         // Iniciar WhatsApp (proceso asíncrono)
-        whatsappService.initialize(role, permissions || [])
+        session.initialize(role, permissions)
             .then(() => {
-                if (initializationTimeout) {
-                    clearTimeout(initializationTimeout);
-                    initializationTimeout = null;
-                }
-                logger.info('[API] ✅ WhatsApp inicializado correctamente');
+                clearInitializationTimeout(lineId);
+                logger.info(`[API] ✅ WhatsApp inicializado correctamente (línea ${lineId})`);
             })
             .catch(async (error) => {
-                logger.error('[API] ❌ Error inicializando WhatsApp:', error);
-                await handleWhatsAppError(`Error de inicialización: ${error.message}`);
+                logger.error(`[API] ❌ Error inicializando WhatsApp (línea ${lineId}):`, error);
+                await handleWhatsAppError(lineId, `Error de inicialización: ${error.message}`);
             });
 
         // Responder inmediatamente
@@ -214,6 +297,7 @@ app.post('/start-whatsapp', async (req, res) => {
             success: true,
             message: 'Inicialización de WhatsApp en progreso',
             status: 'initializing',
+            lineId,
             role: role,
             qr: null
         });
@@ -228,20 +312,35 @@ app.post('/start-whatsapp', async (req, res) => {
 });
 
 /**
- * GET /get-qr
- * Obtiene el código QR actual o el estado de conexión
+ * GET /get-qr?lineId=
+ * Obtiene el código QR actual o el estado de conexión de una línea
  */
-app.get('/get-qr', async (req, res) => {
+app.get('/get-qr', authenticate, requirePermission(PERMISSIONS.WHATSAPP_READ), requireLineId, async (req, res) => {
     try {
-        const status = whatsappService.getStatus();
-        const qrCode = whatsappService.getQRCode();
+        const lineId = req.lineId;
+        const session = sessionService.getSession(lineId);
+
+        if (!session) {
+            return res.json({
+                status: 'disconnected',
+                qr: null,
+                message: 'WhatsApp no está conectado',
+                lineId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const status = session.getStatus();
+        const qrCode = session.getQRCode();
 
         if (status.isReady) {
             return res.json({
                 status: 'connected',
                 qr: null,
                 message: 'WhatsApp está conectado',
+                lineId,
                 role: status.role,
+                botNumber: status.botNumber,
                 timestamp: new Date().toISOString()
             });
         }
@@ -251,6 +350,7 @@ app.get('/get-qr', async (req, res) => {
                 status: 'qr_ready',
                 qr: qrCode,
                 message: 'Escanea el código QR',
+                lineId,
                 role: status.role,
                 timestamp: new Date().toISOString()
             });
@@ -261,6 +361,7 @@ app.get('/get-qr', async (req, res) => {
                 status: 'initializing',
                 qr: null,
                 message: 'Generando código QR...',
+                lineId,
                 role: status.role,
                 timestamp: new Date().toISOString()
             });
@@ -270,6 +371,7 @@ app.get('/get-qr', async (req, res) => {
             status: 'disconnected',
             qr: null,
             message: 'WhatsApp no está conectado',
+            lineId,
             timestamp: new Date().toISOString()
         });
 
@@ -285,33 +387,35 @@ app.get('/get-qr', async (req, res) => {
 
 /**
  * POST /stop-whatsapp
- * Detiene el bot de WhatsApp
+ * Detiene el bot de WhatsApp de una línea
  */
-app.post('/stop-whatsapp', async (req, res) => {
+app.post('/stop-whatsapp', authenticate, requirePermission(PERMISSIONS.WHATSAPP_STOP), requireLineId, async (req, res) => {
     try {
-        logger.info('[API] 🛑 Solicitud de detener WhatsApp');
+        const lineId = req.lineId;
+
+        logger.info(`[API] 🛑 Solicitud de detener WhatsApp - Línea: ${lineId}`);
 
-        const status = whatsappService.getStatus();
+        const session = sessionService.getSession(lineId);
+        const status = session ? session.getStatus() : null;
 
-        if (!status.isReady && !status.isInitializing) {
+        if (!status || (!status.isReady && !status.isInitializing)) {
             return res.json({
                 success: true,
                 message: 'WhatsApp ya está detenido',
+                lineId,
                 status: 'disconnected'
             });
         }
 
         // Limpiar timeout si existe
-        if (initializationTimeout) {
-            clearTimeout(initializationTimeout);
-            initializationTimeout = null;
-        }
+        clearInitializationTimeout(lineId);
 
-        await whatsappService.destroy();
+        await session.destroy();
 
         res.json({
             success: true,
             message: 'WhatsApp detenido exitosamente',
+            lineId,
             status: 'disconnected'
         });
 
@@ -326,29 +430,31 @@ app.post('/stop-whatsapp', async (req, res) => {
 
 /**
  * POST /cleanup-session
- * Limpia la sesión de WhatsApp (fuerza nuevo escaneo de QR)
+ * Limpia la sesión de WhatsApp de una línea (fuerza nuevo escaneo de QR)
  */
-app.post('/cleanup-session', async (req, res) => {
+app.post('/cleanup-session', authenticate, requirePermission(PERMISSIONS.SESSION_CLEANUP), requireLineId, async (req, res) => {
     try {
-        logger.info('[API] 🧹 Solicitud de limpieza de sesión');
+        const lineId = req.lineId;
+
+        logger.info(`[API] 🧹 Solicitud de limpieza de sesión - Línea: ${lineId}`);
 
         // Limpiar timeout
-        if (initializationTimeout) {
-            clearTimeout(initializationTimeout);
-            initializationTimeout = null;
-        }
+        clearInitializationTimeout(lineId);
 
         // Detener cliente si está activo
-        const status = whatsappService.getStatus();
-        if (status.isReady || status.isInitializing) {
-            await whatsappService.destroy();
+        const session = sessionService.getSession(lineId);
+        if (session) {
+            const status = session.getStatus();
+            if (status.isReady || status.isInitializing) {
+                await session.destroy();
+            }
         }
 
         // Esperar a que se cierre completamente
         await new Promise(resolve => setTimeout(resolve, 3000));
 
         // Limpiar carpetas
-        const cleaned = await cleanupSessionFolders();
+        const cleaned = await cleanupSessionFolders(lineId);
 
         res.json({
             success: true,
@@ -356,6 +462,7 @@ app.post('/cleanup-session', async (req, res) => {
                 ? 'Sesión limpiada exitosamente. Puedes iniciar WhatsApp nuevamente.'
                 : 'Hubo problemas al limpiar la sesión. Verifica manualmente.',
             cleaned,
+            lineId,
             status: 'disconnected'
         });
 
@@ -368,20 +475,19 @@ app.post('/cleanup-session', async (req, res) => {
             }
 });
 
-app.post('/force-cleanup', async (req, res) => {
+app.post('/force-cleanup', authenticate, requirePermission(PERMISSIONS.SESSION_CLEANUP), requireLineId, async (req, res) => {
     try {
-        logger.info('[API] 🧹💪 Solicitud de limpieza FORZADA');
+        const lineId = req.lineId;
+
+        logger.info(`[API] 🧹💪 Solicitud de limpieza FORZADA - Línea: ${lineId}`);
 
         // Limpiar timeout
-        if (initializationTimeout) {
-            clearTimeout(initializationTimeout);
-            initializationTimeout = null;
-        }
+        clearInitializationTimeout(lineId);
 
         // Destruir cliente sin esperar mucho
         try {
             await Promise.race([
-                whatsappService.destroy(),
+                sessionService.removeSession(lineId),
                 new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
             ]);
         } catch (e) {
@@ -392,7 +498,7 @@ app.post('/force-cleanup', async (req, res) => {
         await new Promise(resolve => setTimeout(resolve, 5000));
 
         // Limpiar con más reintentos
-        const cleaned = await cleanupSessionFolders(5);
+        const cleaned = await cleanupSessionFolders(lineId, 5);
 
         res.json({
             success: cleaned,
@@ -400,6 +506,7 @@ app.post('/force-cleanup', async (req, res) => {
                 ? 'Limpieza forzada exitosa. Reinicia el servidor si persisten problemas.'
                 : 'No se pudo limpiar. Reinicia el servidor y elimina carpetas manualmente.',
             cleaned,
+            lineId,
             status: 'disconnected'
         });
 
@@ -412,38 +519,33 @@ app.post('/force-cleanup', async (req, res) => {
     }
 });
 
-app.post('/retry-connection', async (req, res) => {
+app.post('/retry-connection', authenticate, requirePermission(PERMISSIONS.WHATSAPP_START), requireLineId, async (req, res) => {
     try {
-        const { role, permissions } = req.body;
+        const { role, permissions } = req.auth;
+        const lineId = req.lineId;
 
-        logger.info('[API] 🔄 Reintento de conexión solicitado');
-
-        if (!role) {
-            return res.status(400).json({
-                success: false,
-                message: 'El campo "role" es requerido'
-            });
-        }
+        logger.info(`[API] 🔄 Reintento de conexión solicitado - Línea: ${lineId} - Rol: ${role}`);
 
         // Limpiar sesión actual
-        await handleWhatsAppError('Reintento manual de conexión');
+        await handleWhatsAppError(lineId, 'Reintento manual de conexión');
 
         // Esperar a que se limpie
         await new Promise(resolve => setTimeout(resolve, 3000));
 
         // Iniciar nuevamente
-        whatsappService.initialize(role, permissions || [])
+        sessionService.getOrCreateSession(lineId).initialize(role, permissions)
             .then(() => {
-                logger.info('[API] ✅ WhatsApp reiniciado correctamente');
+                logger.info(`[API] ✅ WhatsApp reiniciado correctamente (línea ${lineId})`);
             })
             .catch(async (error) => {
-                logger.error('[API] ❌ Error reiniciando WhatsApp:', error);
-                await handleWhatsAppError(`Error de reinicio: ${error.message}`);
+                logger.error(`[API] ❌ Error reiniciando WhatsApp (línea ${lineId}):`, error);
+                await handleWhatsAppError(lineId, `Error de reinicio: ${error.message}`);
             });
 
         res.json({
             success: true,
             message: 'Reintentando conexión...',
+            lineId,
             status: 'initializing'
         });
 
@@ -457,28 +559,65 @@ app.post('/retry-connection', async (req, res) => {
 });
 
 /**
- * GET /status
- * Obtiene el estado general del bot
+ * Formatea el estado de una línea para las respuestas de la API
+ * @param {object} status - Resultado de WhatsAppService.getStatus()
+ * @returns {object}
  */
-app.get('/status', async (req, res) => {
+function formatLineStatus(status) {
+    return {
+        lineId: status.lineId,
+        connected: status.isReady,
+        initializing: status.isInitializing,
+        hasQR: status.hasQR,
+        role: status.role,
+        botNumber: status.botNumber
+    };
+}
+
+/**
+ * GET /status[?lineId=]
+ * Obtiene el estado general del bot. Con lineId devuelve solo esa línea.
+ */
+app.get('/status', authenticate, requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
     try {
-        const status = whatsappService.getStatus();
+        let whatsapp;
+
+        if (req.query.lineId) {
+            let lineId;
+            try {
+                lineId = sessionService.resolveLineId(req.query.lineId);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            const session = sessionService.getSession(lineId);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Línea no registrada: ${lineId}`
+                });
+            }
+
+            whatsapp = formatLineStatus(session.getStatus());
+        } else {
+            whatsapp = {
+                lines: sessionService.getAllStatuses().map(formatLineStatus)
+            };
+        }
 
         res.json({
             success: true,
-            whatsapp: {
-                connected: status.isReady,
-                initializing: status.isInitializing,
-                hasQR: status.hasQR,
-                role: status.role
-            },
+            whatsapp,
             server: {
                 uptime: process.uptime(),
                 memory: process.memoryUsage(),
                 nodeVersion: process.version
             },
             cleanup: {
-                inProgress: cleanupInProgress
+                inProgress: Array.from(cleanupInProgress)
             }
         });
 
@@ -493,7 +632,7 @@ app.get('/status', async (req, res) => {
 
 /**
  * GET /health
- * Endpoint de health check
+ * Endpoint de health check (público, usado por monitores de disponibilidad)
  */
 app.get('/health', async (req, res) => {
     try {
@@ -501,8 +640,6 @@ app.get('/health', async (req, res) => {
         await dbRoles.query('SELECT 1');
         await dbInmobiliaria.query('SELECT 1');
 
-        const status = whatsappService.getStatus();
-
         res.json({
             success: true,
             status: 'healthy',
@@ -512,8 +649,11 @@ app.get('/health', async (req, res) => {
                 inmobiliaria: 'connected'
             },
             whatsapp: {
-                status: status.isReady ? 'connected' : status.isInitializing ? 'initializing' : 'disconnected',
-                role: status.role
+                lines: sessionService.getAllStatuses().map(status => ({
+                    lineId: status.lineId,
+                    status: status.isReady ? 'connected' : status.isInitializing ? 'initializing' : 'disconnected',
+                    role: status.role
+                }))
             }
         });
 
@@ -536,19 +676,78 @@ app.get('/', (req, res) => {
         success: true,
         message: 'Bot de WhatsApp Inmobiliaria API',
         version: '2.0.0',
+        authentication: 'Authorization: Bearer <JWT o API token>',
         endpoints: {
-            'POST /start-whatsapp': 'Iniciar bot de WhatsApp',
-            'GET /get-qr': 'Obtener código QR',
-            'POST /stop-whatsapp': 'Detener bot',
-            'POST /cleanup-session': 'Limpiar sesión',
-            'POST /force-cleanup': 'Limpieza forzada de sesión',
-            'POST /retry-connection': 'Reintentar conexión',
-            'GET /status': 'Estado del sistema',
-            'GET /health': 'Health check'
+            'POST /start-whatsapp': 'Iniciar bot de WhatsApp (body: lineId)',
+            'GET /get-qr': 'Obtener código QR (query: lineId)',
+            'POST /stop-whatsapp': 'Detener bot (body: lineId)',
+            'POST /cleanup-session': 'Limpiar sesión (body: lineId)',
+            'POST /force-cleanup': 'Limpieza forzada de sesión (body: lineId)',
+            'POST /retry-connection': 'Reintentar conexión (body: lineId)',
+            'GET /status': 'Estado del sistema (query opcional: lineId)',
+            'GET /health': 'Health check',
+            'GET /campaigns': 'Listar campañas (query opcional: active=true)',
+            'POST /campaigns/simulate': 'Simular detección de campaña (dry-run)',
+            'GET /campaigns/:id': 'Detalle de campaña',
+            'GET /campaigns/:id/stats': 'Estadísticas de campaña',
+            'GET /campaigns/:id/media-check': 'Revisar media de la campaña (formato, límites de WhatsApp)',
+            'POST /campaigns': 'Crear campaña',
+            'PUT /campaigns/:id': 'Actualizar campaña',
+            'POST /campaigns/:id/activate': 'Activar campaña (revisa la media; body opcional: force)',
+            'POST /campaigns/:id/deactivate': 'Desactivar campaña',
+            'PATCH /campaigns/:id/priority': 'Cambiar prioridad',
+            'DELETE /campaigns/:id': 'Eliminar campaña (soft delete)',
+            'GET /campaigns/:id/messages': 'Secuencia de mensajes de la campaña',
+            'POST /campaigns/:id/messages': 'Agregar mensaje (TEXT, IMAGE, AUDIO, DOCUMENT, GALLERY, VIDEO, LOCATION, CONTACT, STICKER, LINK)',
+            'PUT /campaigns/:id/messages/order': 'Reordenar secuencia',
+            'PUT /campaigns/:id/messages/:messageId': 'Editar contenido / payload / delay',
+            'PATCH /campaigns/:id/messages/:messageId/active': 'Activar / desactivar mensaje',
+            'DELETE /campaigns/:id/messages/:messageId': 'Eliminar mensaje',
+            'POST /campaigns/:id/messages/:messageId/media': 'Adjuntar media',
+            'POST /campaigns/:id/messages/:messageId/media/upload': 'Subir archivo (body: binario, Content-Type del archivo; query: file_name, sort_order)',
+            'DELETE /campaigns/:id/messages/:messageId/media/:mediaId': 'Quitar media',
+            'GET /leads': 'Leads capturados (query: campaignId, completed, page, pageSize)',
+            'GET /leads/:id': 'Detalle de lead',
+            'GET /handoffs': 'Cola de atención humana (query: status, lineId)',
+            'GET /handoffs/:id': 'Detalle de handoff con mensajes',
+            'POST /handoffs/:id/assign': 'Tomar handoff',
+            'POST /handoffs/:id/reply': 'Responder al lead como asesor',
+            'POST /handoffs/:id/close': 'Cerrar handoff (el bot retoma)',
+            'GET /cache': 'Estadísticas del cache de campañas/mensajes/media',
+            'POST /cache/invalidate': 'Vaciar el cache',
+            'GET /broadcasts': 'Listar difusiones (query: status, page, pageSize)',
+            'POST /broadcasts': 'Crear difusión desde CSV o segmento de conversaciones',
+            'GET /broadcasts/:id': 'Detalle y progreso de difusión',
+            'GET /broadcasts/:id/recipients': 'Destinatarios y su estado (query: status, page, pageSize)',
+            'POST /broadcasts/:id/start': 'Iniciar difusión',
+            'POST /broadcasts/:id/pause': 'Pausar difusión',
+            'POST /broadcasts/:id/resume': 'Reanudar difusión',
+            'POST /broadcasts/:id/cancel': 'Cancelar difusión',
+            'GET /rate-limits/blocked': 'Números bloqueados (query: page, pageSize)',
+            'GET /rate-limits/throttled': 'Números que alcanzaron el límite (query: page, pageSize)',
+            'GET /rate-limits/metrics': 'Uso del camino degradado del rate limiter (BD caída)',
+            'GET /rate-limits/abuse-events': 'Auditoría de bloqueos automáticos por abuso (query: phone, page, pageSize)',
+            'GET /rate-limits/:phone': 'Estado de rate limit de un número',
+            'POST /rate-limits/:phone/block': 'Bloquear número (body: reason, hours opcional)',
+            'POST /rate-limits/:phone/unblock': 'Desbloquear número',
+            'POST /rate-limits/:phone/reset': 'Reiniciar contadores del número',
+            'GET /media/*': 'Archivos subidos (público)',
+            'GET /queue': 'Estado de la cola de salida (pasos por estado)',
+            'GET /queue/dead-letters': 'Mensajes descartados tras agotar reintentos (query: page, pageSize)'
         }
     });
 });
 
+// Rutas de administración
+app.use('/campaigns', campaignRoutes);
+app.use('/leads', leadRoutes);
+app.use('/handoffs', handoffRoutes);
+app.use('/cache', cacheRoutes);
+app.use('/broadcasts', broadcastRoutes);
+app.use('/rate-limits', rateLimitRoutes);
+app.use('/media', mediaRoutes);
+app.use('/queue', queueRoutes);
+
 // Manejo de rutas no encontradas
 app.use((req, res) => {
     res.status(404).json({
@@ -592,6 +791,12 @@ async function startServer() {
             logger.info('='.repeat(60));
         });
 
+        // Difusiones que quedaron en curso antes de reiniciar
+        await broadcastService.resumeRunningBroadcasts();
+
+        // Secuencias de mensajes que quedaron a medio enviar (se retoman cuando su línea está conectada)
+        outboundQueueService.startQueueWorker();
+
     } catch (error) {
         logger.error('[SERVER] ❌ Error fatal al iniciar servidor:', error);
         process.exit(1);
@@ -603,15 +808,16 @@ async function startServer() {
 process.on('SIGINT', async () => {
     logger.info('[SERVER] Señal SIGINT recibida, cerrando servidor...');
 
-    if (initializationTimeout) {
-        clearTimeout(initializationTimeout);
-    }
+    const lineIds = sessionService.listSessions().map(session => session.lineId);
+    lineIds.forEach(clearInitializationTimeout);
 
     try {
-        await whatsappService.destroy();
+        await sessionService.destroyAll();
         logger.info('[SERVER] WhatsApp cerrado correctamente');
         await new Promise(resolve => setTimeout(resolve, 2000));
-        await cleanupSessionFolders();
+        for (const lineId of lineIds) {
+            await cleanupSessionFolders(lineId);
+        }
     } catch (error) {
         logger.error('[SERVER] Error cerrando WhatsApp:', error);
     }
@@ -622,15 +828,16 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
     logger.info('[SERVER] Señal SIGTERM recibida, cerrando servidor...');
 
-    if (initializationTimeout) {
-        clearTimeout(initializationTimeout);
-    }
+    const lineIds = sessionService.listSessions().map(session => session.lineId);
+    lineIds.forEach(clearInitializationTimeout);
 
     try {
-        await whatsappService.destroy();
+        await sessionService.destroyAll();
         logger.info('[SERVER] WhatsApp cerrado correctamente');
         await new Promise(resolve => setTimeout(resolve, 2000));
-        await cleanupSessionFolders();
+        for (const lineId of lineIds) {
+            await cleanupSessionFolders(lineId);
+        }
     } catch (error) {
         logger.error('[SERVER] Error cerrando WhatsApp:', error);
     }
@@ -638,15 +845,14 @@ process.on('SIGTERM', async () => {
     process.exit(0);
 });
 
-// Manejar errores no capturados
-process.on('uncaughtException', async (error) => {
+// Manejar errores no capturados: solo se registran. Pueden venir de un worker en segundo plano
+// (difusiones, cola de salida, rate limit); los errores de cada cliente de WhatsApp ya limpian su línea
+process.on('uncaughtException', (error) => {
     logger.error('[SERVER] ❌ Excepción no capturada:', error);
-    await handleWhatsAppError(`Excepción no capturada: ${error.message}`);
 });
 
-process.on('unhandledRejection', async (reason, promise) => {
+process.on('unhandledRejection', (reason) => {
     logger.error('[SERVER] ❌ Promesa rechazada no manejada:', reason);
-    await handleWhatsAppError(`Promesa rechazada: ${reason}`);
 });
 
 // Iniciar servidor
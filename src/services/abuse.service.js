@@ -0,0 +1,219 @@
+const db = require('../config/database2');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { normalizeText } = require('../utils/keyword-matcher');
+const rateLimitService = require('./ratelimit.service');
+
+// Actividad reciente por número (userPhone -> {messages: [ts], texts: [{text, at}], hits: [ts]})
+const activity = new Map();
+
+/**
+ * Obtiene (o crea) la actividad de un número descartando lo que ya salió de las ventanas
+ * @param {string} userPhone - Número de teléfono
+ * @param {number} now - Timestamp actual (ms)
+ * @returns {object}
+ */
+function getActivity(userPhone, now) {
+    const { burst, repeatedMessage, rateLimitHits } = config.abuse;
+    const entry = activity.get(userPhone) || { messages: [], texts: [], hits: [] };
+
+    entry.messages = entry.messages.filter(at => now - at < burst.seconds * 1000);
+    entry.texts = entry.texts.filter(t => now - t.at < repeatedMessage.minutes * 60 * 1000);
+    entry.hits = entry.hits.filter(at => now - at < rateLimitHits.minutes * 60 * 1000);
+
+    activity.set(userPhone, entry);
+    return entry;
+}
+
+/**
+ * Elimina los números sin actividad reciente (evita que el Map crezca sin límite)
+ */
+function sweepActivity() {
+    const now = Date.now();
+
+    for (const userPhone of activity.keys()) {
+        const entry = getActivity(userPhone, now);
+
+        if (entry.messages.length === 0 && entry.texts.length === 0 && entry.hits.length === 0) {
+            activity.delete(userPhone);
+        }
+    }
+}
+
+setInterval(sweepActivity, 10 * 60 * 1000).unref();
+
+/**
+ * Aplica el siguiente paso de escalamiento y lo registra en bot_abuse_events
+ * @param {object} client - Cliente de WhatsApp (para la advertencia)
+ * @param {string} userPhone - Número de teléfono
+ * @param {string} reason - BURST, REPEATED_MESSAGE o RATE_LIMIT_HITS
+ * @param {string} detail - Descripción para la auditoría
+ * @returns {Promise<string|null>} - Acción aplicada o null si el número ya estaba bloqueado
+ */
+async function escalate(client, userPhone, reason, detail) {
+    const { temporaryBlockBaseHours, maxTemporaryBlocks, strikeResetDays, warningMessage } = config.abuse;
+
+    // No se escala mientras ya está bloqueado
+    if (await rateLimitService.isBlocked(userPhone)) {
+        return null;
+    }
+
+    const [[{ strikes }]] = await db.query(
+        `SELECT COUNT(*) as strikes
+        FROM bot_abuse_events
+        WHERE user_phone = ?
+            AND created_at > NOW() - INTERVAL ? DAY`,
+        [userPhone, strikeResetDays]
+    );
+
+    let action;
+    let blockHours = null;
+
+    if (strikes === 0) {
+        action = 'WARNING';
+    } else if (strikes <= maxTemporaryBlocks) {
+        action = 'TEMPORARY_BLOCK';
+        blockHours = temporaryBlockBaseHours * Math.pow(2, strikes - 1);
+    } else {
+        action = 'PERMANENT_BLOCK';
+    }
+
+    await db.query(
+        `INSERT INTO bot_abuse_events
+        (user_phone, reason, action, detail, block_hours, created_at)
+        VALUES (?, ?, ?, ?, ?, NOW())`,
+        [userPhone, reason, action, detail, blockHours]
+    );
+
+    if (action === 'WARNING') {
+        if (client && warningMessage) {
+            await client.sendMessage(userPhone, warningMessage, { linkPreview: false });
+        }
+    } else {
+        await rateLimitService.blockUser(userPhone, `Abuso automático: ${reason} (${detail})`, blockHours);
+    }
+
+    logger.warn(`[ABUSE] ⚠️ ${userPhone}: ${action}${blockHours ? ` ${blockHours} h` : ''} - ${reason} (${detail}) - infracción ${strikes + 1}`);
+
+    return action;
+}
+
+/**
+ * Registra un mensaje entrante y escala si detecta una ráfaga o un mensaje repetido
+ * @param {object} client - Cliente de WhatsApp
+ * @param {string} userPhone - Número de teléfono
+ * @param {string} messageText - Texto recibido
+ * @returns {Promise<string|null>} - Acción aplicada (WARNING, TEMPORARY_BLOCK, PERMANENT_BLOCK) o null
+ */
+async function recordInbound(client, userPhone, messageText) {
+    if (!config.abuse.enabled) {
+        return null;
+    }
+
+    try {
+        const { burst, repeatedMessage } = config.abuse;
+        const now = Date.now();
+        const entry = getActivity(userPhone, now);
+        const text = normalizeText(messageText);
+
+        entry.messages.push(now);
+        entry.texts.push({ text, at: now });
+
+        const repeated = entry.texts.filter(t => t.text === text).length;
+
+        let reason = null;
+        let detail = null;
+
+        if (entry.messages.length >= burst.messages) {
+            reason = 'BURST';
+            detail = `${entry.messages.length} mensajes en ${burst.seconds} s`;
+        } else if (text && repeated >= repeatedMessage.count) {
+            reason = 'REPEATED_MESSAGE';
+            detail = `"${text.substring(0, 100)}" ${repeated} veces en ${repeatedMessage.minutes} min`;
+        }
+
+        if (!reason) {
+            return null;
+        }
+
+        // Se empieza a contar de nuevo para no escalar con cada mensaje siguiente
+        activity.delete(userPhone);
+
+        return await escalate(client, userPhone, reason, detail);
+
+    } catch (error) {
+        logger.error(`[ABUSE] Error registrando mensaje de ${userPhone}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Registra un rechazo por rate limit y escala si se repite demasiado
+ * @param {object} client - Cliente de WhatsApp
+ * @param {string} userPhone - Número de teléfono
+ * @param {string} limitReason - Razón del rechazo (RATE_LIMIT_HOUR, RATE_LIMIT_DAY)
+ * @returns {Promise<string|null>} - Acción aplicada o null
+ */
+async function recordRateLimitHit(client, userPhone, limitReason) {
+    if (!config.abuse.enabled) {
+        return null;
+    }
+
+    try {
+        const { rateLimitHits } = config.abuse;
+        const entry = getActivity(userPhone, Date.now());
+
+        entry.hits.push(Date.now());
+
+        if (entry.hits.length < rateLimitHits.count) {
+            return null;
+        }
+
+        const detail = `${entry.hits.length} rechazos en ${rateLimitHits.minutes} min (último: ${limitReason})`;
+        entry.hits = [];
+
+        return await escalate(client, userPhone, 'RATE_LIMIT_HITS', detail);
+
+    } catch (error) {
+        logger.error(`[ABUSE] Error registrando rechazo de ${userPhone}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Lista los eventos de abuso registrados
+ * @param {object} filters - {userPhone, page, pageSize}
+ * @returns {Promise<{events: Array, total: number}>}
+ */
+async function listAbuseEvents(filters = {}) {
+    try {
+        const { userPhone = null, page = 1, pageSize = 50 } = filters;
+        const whereClause = userPhone ? 'WHERE user_phone = ?' : '';
+        const params = userPhone ? [userPhone] : [];
+
+        const [[{ total }]] = await db.query(
+            `SELECT COUNT(*) as total FROM bot_abuse_events ${whereClause}`,
+            params
+        );
+
+        const [events] = await db.query(
+            `SELECT * FROM bot_abuse_events
+            ${whereClause}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?`,
+            [...params, pageSize, (page - 1) * pageSize]
+        );
+
+        return { events, total };
+
+    } catch (error) {
+        logger.error('[ABUSE] Error listando eventos de abuso:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    recordInbound,
+    recordRateLimitHit,
+    listAbuseEvents
+};
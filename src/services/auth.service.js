@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Cache de permisos por rol: roleId -> { permissions, expiresAt }
+const permissionsCache = new Map();
+
+/**
+ * Calcula el hash con el que se guardan los API tokens en la BD
+ * @param {string} token - Token en texto plano
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Busca un API token vigente en la BD de roles
+ * @param {string} token - Token en texto plano
+ * @returns {Promise<object|null>} - {userId, roleId, tokenId} o null
+ */
+async function findApiToken(token) {
+    const [tokens] = await db.query(
+        `SELECT
+            id,
+            user_id,
+            role_id
+        FROM api_tokens
+        WHERE token_hash = ?
+            AND revoked_at IS NULL
+            AND (expires_at IS NULL OR expires_at > NOW())
+        LIMIT 1`,
+        [hashToken(token)]
+    );
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    // Registrar último uso sin bloquear la petición
+    db.query('UPDATE api_tokens SET last_used_at = NOW() WHERE id = ?', [tokens[0].id])
+        .catch(error => logger.warn('[AUTH] No se pudo registrar uso de token:', error.message));
+
+    return {
+        tokenId: tokens[0].id,
+        userId: tokens[0].user_id,
+        roleId: tokens[0].role_id
+    };
+}
+
+/**
+ * Valida un JWT firmado con el secreto configurado
+ * @param {string} token - JWT
+ * @returns {object|null} - {userId, roleId} o null si no es un JWT válido
+ */
+function verifyJwt(token) {
+    if (!config.auth.jwtSecret) {
+        return null;
+    }
+
+    try {
+        const payload = jwt.verify(token, config.auth.jwtSecret, { algorithms: ['HS256'] });
+
+        if (!payload.role) {
+            logger.warn('[AUTH] JWT sin claim "role"');
+            return null;
+        }
+
+        return {
+            userId: payload.sub || null,
+            roleId: payload.role
+        };
+    } catch (error) {
+        logger.debug(`[AUTH] JWT inválido: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Obtiene los códigos de permiso de un rol (con cache en memoria)
+ * @param {number} roleId - ID del rol
+ * @returns {Promise<Array<string>>}
+ */
+async function getRolePermissions(roleId) {
+    const cached = permissionsCache.get(roleId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.permissions;
+    }
+
+    const [rows] = await db.query(
+        `SELECT p.code
+        FROM role_permissions rp
+        INNER JOIN permissions p ON rp.permission_id = p.id
+        INNER JOIN roles r ON rp.role_id = r.id
+        WHERE rp.role_id = ?
+            AND r.is_active = TRUE`,
+        [roleId]
+    );
+
+    const permissions = rows.map(row => row.code);
+
+    permissionsCache.set(roleId, {
+        permissions,
+        expiresAt: Date.now() + config.auth.permissionsCacheSeconds * 1000
+    });
+
+    return permissions;
+}
+
+/**
+ * Autentica un token (JWT o API token) y resuelve rol y permisos
+ * @param {string} token - Token recibido en el header Authorization
+ * @returns {Promise<object|null>} - {userId, role, permissions, method} o null
+ */
+async function authenticate(token) {
+    if (!token) {
+        return null;
+    }
+
+    let principal = verifyJwt(token);
+    let method = 'JWT';
+
+    if (!principal) {
+        principal = await findApiToken(token);
+        method = 'API_TOKEN';
+    }
+
+    if (!principal) {
+        return null;
+    }
+
+    const permissions = await getRolePermissions(principal.roleId);
+
+    return {
+        userId: principal.userId,
+        role: principal.roleId,
+        permissions,
+        method
+    };
+}
+
+/**
+ * Verifica si una lista de permisos incluye el permiso requerido
+ * Soporta comodines: "*" (todo) y "recurso:*"
+ * @param {Array<string>} permissions - Permisos del usuario
+ * @param {string} required - Permiso requerido (ej: "whatsapp:start")
+ * @returns {boolean}
+ */
+function hasPermission(permissions, required) {
+    if (!Array.isArray(permissions)) return false;
+
+    const [resource] = required.split(':');
+
+    return permissions.includes('*')
+        || permissions.includes(required)
+        || permissions.includes(`${resource}:*`);
+}
+
+/**
+ * Limpia el cache de permisos (todos los roles o uno específico)
+ * @param {number} roleId - ID del rol (opcional)
+ */
+function clearPermissionsCache(roleId = null) {
+    if (roleId === null) {
+        permissionsCache.clear();
+    } else {
+        permissionsCache.delete(roleId);
+    }
+}
+
+module.exports = {
+    authenticate,
+    hasPermission,
+    getRolePermissions,
+    clearPermissionsCache,
+    hashToken
+};
@@ -0,0 +1,601 @@
+const db = require('../config/database2');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { sleep } = require('../utils/helpers');
+const sessionService = require('./session.service');
+const conversationService = require('./conversation.service');
+const messageService = require('./message.service');
+const rateLimitService = require('./ratelimit.service');
+const optOutService = require('./optout.service');
+const outboundQueueService = require('./outbound-queue.service');
+
+// DRAFT → RUNNING ⇄ PAUSED → COMPLETED; CANCELLED desde cualquier estado no final
+const BROADCAST_STATUSES = ['DRAFT', 'RUNNING', 'PAUSED', 'COMPLETED', 'CANCELLED'];
+const RECIPIENT_STATUSES = ['PENDING', 'SENT', 'FAILED', 'SKIPPED'];
+
+// Difusiones con un worker corriendo en este proceso (broadcastId)
+const runningWorkers = new Set();
+
+// Próximo envío permitido por línea (timestamp ms), compartido entre difusiones de la misma línea
+const lineNextSlot = new Map();
+
+/**
+ * Parsea la columna variables de un destinatario
+ * @param {object} recipient - Fila de bot_broadcast_recipients
+ * @returns {object}
+ */
+function parseRecipient(recipient) {
+    if (typeof recipient.variables === 'string') {
+        recipient.variables = JSON.parse(recipient.variables);
+    }
+    recipient.variables = recipient.variables || {};
+    return recipient;
+}
+
+/**
+ * Obtiene los destinatarios de un segmento de conversaciones pasadas
+ * @param {object} segment - {campaignId, statuses, from, to, corse} (todos opcionales)
+ * @returns {Promise<Array>} - [{userPhone, userName}]
+ */
+async function getSegmentRecipients(segment) {
+    try {
+        const where = ['1 = 1'];
+        const params = [];
+
+        if (segment.campaignId) {
+            where.push('campaign_id = ?');
+            params.push(segment.campaignId);
+        }
+        if (segment.statuses && segment.statuses.length > 0) {
+            where.push('status IN (?)');
+            params.push(segment.statuses);
+        }
+        if (segment.from) {
+            where.push('conversation_started_at >= ?');
+            params.push(segment.from);
+        }
+        if (segment.to) {
+            where.push('conversation_started_at < ?');
+            params.push(segment.to);
+        }
+        if (segment.corse) {
+            where.push('corse = ?');
+            params.push(segment.corse);
+        }
+
+        // Un destinatario por número, con el nombre de su última conversación
+        const [rows] = await db.query(
+            `SELECT
+                bc.user_phone,
+                bc.user_name
+            FROM bot_conversations bc
+            INNER JOIN (
+                SELECT user_phone, MAX(id) as last_id
+                FROM bot_conversations
+                WHERE ${where.join(' AND ')}
+                GROUP BY user_phone
+            ) latest ON latest.last_id = bc.id
+            LIMIT ?`,
+            [...params, config.broadcasts.maxRecipients + 1]
+        );
+
+        return rows.map(row => ({ userPhone: row.user_phone, userName: row.user_name, variables: {} }));
+
+    } catch (error) {
+        logger.error('[BROADCAST] Error obteniendo segmento:', error);
+        throw error;
+    }
+}
+
+/**
+ * Crea una difusión en estado DRAFT con sus destinatarios (los duplicados se ignoran)
+ * @param {object} data - {name, campaignId, lineId, source, segment, recipients, createdBy}
+ *   recipients: [{userPhone (chat ID), userName, variables}]
+ * @returns {Promise<{broadcastId: number, total: number}>}
+ */
+async function createBroadcast(data) {
+    const { name, campaignId, lineId, source, segment = null, recipients, createdBy = null } = data;
+    const connection = await db.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            `INSERT INTO bot_broadcasts
+            (name, campaign_id, line_id, source, segment, status, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, 'DRAFT', ?, NOW(), NOW())`,
+            [name, campaignId, lineId, source, segment ? JSON.stringify(segment) : null, createdBy]
+        );
+
+        const broadcastId = result.insertId;
+        let total = 0;
+
+        for (let i = 0; i < recipients.length; i += 500) {
+            const chunk = recipients.slice(i, i + 500);
+            const [inserted] = await connection.query(
+                `INSERT IGNORE INTO bot_broadcast_recipients
+                (broadcast_id, user_phone, user_name, variables, status, created_at)
+                VALUES ?`,
+                [chunk.map(r => [broadcastId, r.userPhone, r.userName || null, JSON.stringify(r.variables || {}), 'PENDING', new Date()])]
+            );
+            total += inserted.affectedRows;
+        }
+
+        await connection.query('UPDATE bot_broadcasts SET total_recipients = ? WHERE id = ?', [total, broadcastId]);
+        await connection.commit();
+
+        logger.info(`[BROADCAST] Difusión creada: ID ${broadcastId} - "${name}" - Campaña ${campaignId} - Línea ${lineId} - ${total} destinatarios`);
+
+        return { broadcastId, total };
+
+    } catch (error) {
+        await connection.rollback();
+        logger.error('[BROADCAST] Error creando difusión:', error);
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Obtiene una difusión con el progreso por estado de destinatario
+ * @param {number} broadcastId - ID de la difusión
+ * @returns {Promise<object|null>}
+ */
+async function getBroadcastById(broadcastId) {
+    try {
+        const [broadcasts] = await db.query(
+            `SELECT
+                b.*,
+                c.name as campaign_name
+            FROM bot_broadcasts b
+            LEFT JOIN campaigns c ON b.campaign_id = c.id
+            WHERE b.id = ?`,
+            [broadcastId]
+        );
+
+        if (broadcasts.length === 0) {
+            return null;
+        }
+
+        const broadcast = broadcasts[0];
+        if (typeof broadcast.segment === 'string') {
+            broadcast.segment = JSON.parse(broadcast.segment);
+        }
+
+        const [counts] = await db.query(
+            `SELECT status, COUNT(*) as count
+            FROM bot_broadcast_recipients
+            WHERE broadcast_id = ?
+            GROUP BY status`,
+            [broadcastId]
+        );
+
+        broadcast.progress = Object.fromEntries(RECIPIENT_STATUSES.map(status => [status, 0]));
+        for (const row of counts) {
+            broadcast.progress[row.status] = row.count;
+        }
+
+        return broadcast;
+
+    } catch (error) {
+        logger.error(`[BROADCAST] Error obteniendo difusión ${broadcastId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Lista difusiones
+ * @param {object} filters - {status, page, pageSize}
+ * @returns {Promise<{broadcasts: Array, total: number}>}
+ */
+async function listBroadcasts(filters = {}) {
+    try {
+        const { status = null, page = 1, pageSize = 50 } = filters;
+        const whereClause = status ? 'WHERE b.status = ?' : '';
+        const params = status ? [status] : [];
+
+        const [[{ total }]] = await db.query(
+            `SELECT COUNT(*) as total FROM bot_broadcasts b ${whereClause}`,
+            params
+        );
+
+        const [broadcasts] = await db.query(
+            `SELECT
+                b.id,
+                b.name,
+                b.campaign_id,
+                c.name as campaign_name,
+                b.line_id,
+                b.source,
+                b.status,
+                b.total_recipients,
+                b.created_by,
+                b.started_at,
+                b.finished_at,
+                b.created_at
+            FROM bot_broadcasts b
+            LEFT JOIN campaigns c ON b.campaign_id = c.id
+            ${whereClause}
+            ORDER BY b.created_at DESC
+            LIMIT ? OFFSET ?`,
+            [...params, pageSize, (page - 1) * pageSize]
+        );
+
+        return { broadcasts, total };
+
+    } catch (error) {
+        logger.error('[BROADCAST] Error listando difusiones:', error);
+        throw error;
+    }
+}
+
+/**
+ * Lista los destinatarios de una difusión con su estado
+ * @param {number} broadcastId - ID de la difusión
+ * @param {object} filters - {status, page, pageSize}
+ * @returns {Promise<{recipients: Array, total: number}>}
+ */
+async function listRecipients(broadcastId, filters = {}) {
+    try {
+        const { status = null, page = 1, pageSize = 100 } = filters;
+        const where = ['broadcast_id = ?'];
+        const params = [broadcastId];
+
+        if (status) {
+            where.push('status = ?');
+            params.push(status);
+        }
+
+        const [[{ total }]] = await db.query(
+            `SELECT COUNT(*) as total FROM bot_broadcast_recipients WHERE ${where.join(' AND ')}`,
+            params
+        );
+
+        const [recipients] = await db.query(
+            `SELECT *
+            FROM bot_broadcast_recipients
+            WHERE ${where.join(' AND ')}
+            ORDER BY id ASC
+            LIMIT ? OFFSET ?`,
+            [...params, pageSize, (page - 1) * pageSize]
+        );
+
+        return { recipients: recipients.map(parseRecipient), total };
+
+    } catch (error) {
+        logger.error(`[BROADCAST] Error listando destinatarios de difusión ${broadcastId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Cambia el estado de una difusión si está en uno de los estados permitidos
+ * @param {number} broadcastId - ID de la difusión
+ * @param {string} status - Nuevo estado
+ * @param {Array<string>} fromStatuses - Estados desde los que se permite el cambio
+ * @returns {Promise<boolean>} - false si la difusión no estaba en un estado permitido
+ */
+async function transition(broadcastId, status, fromStatuses) {
+    const [result] = await db.query(
+        `UPDATE bot_broadcasts
+        SET status = ?,
+            started_at = IF(? = 'RUNNING' AND started_at IS NULL, NOW(), started_at),
+            finished_at = IF(? IN ('COMPLETED', 'CANCELLED'), NOW(), finished_at),
+            updated_at = NOW()
+        WHERE id = ?
+            AND status IN (?)`,
+        [status, status, status, broadcastId, fromStatuses]
+    );
+
+    if (result.affectedRows > 0) {
+        logger.info(`[BROADCAST] Difusión ${broadcastId} → ${status}`);
+    }
+
+    return result.affectedRows > 0;
+}
+
+/**
+ * Cambia la difusión a RUNNING y lanza su worker
+ * @param {number} broadcastId - ID de la difusión
+ * @param {Array<string>} fromStatuses - Estados desde los que se permite
+ * @returns {Promise<boolean>}
+ */
+async function run(broadcastId, fromStatuses) {
+    const started = await transition(broadcastId, 'RUNNING', fromStatuses);
+
+    if (started) {
+        launchWorker(broadcastId);
+    }
+
+    return started;
+}
+
+/**
+ * Inicia una difusión en borrador
+ * @param {number} broadcastId - ID de la difusión
+ * @returns {Promise<boolean>} - false si no estaba en DRAFT
+ */
+async function startBroadcast(broadcastId) {
+    return run(broadcastId, ['DRAFT']);
+}
+
+/**
+ * Reanuda una difusión pausada
+ * @param {number} broadcastId - ID de la difusión
+ * @returns {Promise<boolean>} - false si no estaba en PAUSED
+ */
+async function resumeBroadcast(broadcastId) {
+    return run(broadcastId, ['PAUSED']);
+}
+
+/**
+ * Pausa una difusión (el worker se detiene antes del próximo destinatario)
+ * @param {number} broadcastId - ID de la difusión
+ * @returns {Promise<boolean>}
+ */
+async function pauseBroadcast(broadcastId) {
+    return transition(broadcastId, 'PAUSED', ['RUNNING']);
+}
+
+/**
+ * Cancela una difusión; los destinatarios pendientes quedan sin enviar
+ * @param {number} broadcastId - ID de la difusión
+ * @returns {Promise<boolean>}
+ */
+async function cancelBroadcast(broadcastId) {
+    return transition(broadcastId, 'CANCELLED', ['DRAFT', 'RUNNING', 'PAUSED']);
+}
+
+/**
+ * Espera el turno de la línea: intervalo mínimo + jitter aleatorio entre envíos
+ * @param {string} lineId - Línea de WhatsApp
+ * @returns {Promise<void>}
+ */
+async function waitForLineSlot(lineId) {
+    const { minIntervalSeconds, jitterSeconds } = config.broadcasts;
+    const now = Date.now();
+    const slot = Math.max(now, lineNextSlot.get(lineId) || 0);
+
+    // Se reserva el siguiente turno antes de esperar para que otra difusión de la línea no lo tome
+    lineNextSlot.set(lineId, slot + (minIntervalSeconds + Math.random() * jitterSeconds) * 1000);
+
+    await sleep(slot - now);
+}
+
+/**
+ * Destinatarios enviados por una línea en las últimas 24 horas (todas las difusiones)
+ * @param {string} lineId - Línea de WhatsApp
+ * @returns {Promise<number>}
+ */
+async function countSentLastDay(lineId) {
+    const [[{ sent }]] = await db.query(
+        `SELECT COUNT(*) as sent
+        FROM bot_broadcast_recipients r
+        INNER JOIN bot_broadcasts b ON r.broadcast_id = b.id
+        WHERE b.line_id = ?
+            AND r.status = 'SENT'
+            AND r.sent_at > NOW() - INTERVAL 1 DAY`,
+        [lineId]
+    );
+
+    return sent;
+}
+
+/**
+ * Actualiza el estado de un destinatario
+ * @param {number} recipientId - ID del destinatario
+ * @param {string} status - SENT, FAILED o SKIPPED
+ * @param {object} extra - {reason, conversationId}
+ * @returns {Promise<void>}
+ */
+async function setRecipientStatus(recipientId, status, extra = {}) {
+    await db.query(
+        `UPDATE bot_broadcast_recipients
+        SET status = ?,
+            status_reason = ?,
+            conversation_id = ?,
+            sent_at = IF(? = 'SENT', NOW(), sent_at),
+            updated_at = NOW()
+        WHERE id = ?`,
+        [status, extra.reason || null, extra.conversationId || null, status, recipientId]
+    );
+}
+
+/**
+ * Envía la secuencia de la campaña a un destinatario
+ * @param {object} broadcast - Difusión
+ * @param {object} recipient - Destinatario
+ * @param {object} session - WhatsAppService de la línea
+ * @returns {Promise<void>}
+ */
+async function processRecipient(broadcast, recipient, session) {
+    const userPhone = recipient.user_phone;
+
+    // El envío se cortó a la mitad (reinicio): la cola de salida termina la secuencia y cierra la conversación
+    if (recipient.conversation_id) {
+        await setRecipientStatus(recipient.id, 'SENT', { conversationId: recipient.conversation_id });
+        return;
+    }
+
+    if (await rateLimitService.isBlocked(userPhone)) {
+        await setRecipientStatus(recipient.id, 'SKIPPED', { reason: 'BLOCKED' });
+        return;
+    }
+    if (await optOutService.isOptedOut(userPhone)) {
+        await setRecipientStatus(recipient.id, 'SKIPPED', { reason: 'OPTED_OUT' });
+        return;
+    }
+
+    // No interrumpir a quien ya está en una conversación con el bot o con un asesor (en cualquier línea)
+    if (await conversationService.getActiveConversation(userPhone)) {
+        await setRecipientStatus(recipient.id, 'SKIPPED', { reason: 'ACTIVE_CONVERSATION' });
+        return;
+    }
+
+    const messages = await messageService.getCampaignMessages(broadcast.campaign_id);
+    if (messages.length === 0) {
+        await setRecipientStatus(recipient.id, 'FAILED', { reason: 'Campaña sin mensajes activos' });
+        return;
+    }
+
+    const conversationId = await conversationService.createConversation({
+        userPhone,
+        userName: recipient.user_name,
+        campaignId: broadcast.campaign_id,
+        triggerMessage: `[Difusión ${broadcast.id}] ${broadcast.name}`,
+        matchedKeyword: null,
+        matchType: 'BROADCAST',
+        corse: session.getBotPhoneNumber()
+    });
+
+    await setRecipientStatus(recipient.id, 'PENDING', { conversationId });
+
+    const variables = {
+        nombre: recipient.user_name || '',
+        telefono: userPhone,
+        ...recipient.variables
+    };
+
+    try {
+        const result = await outboundQueueService.sendSequence({
+            client: session.client,
+            lineId: broadcast.line_id,
+            userPhone,
+            conversationId,
+            messages,
+            variables
+        });
+
+        if (result.sent === 0) {
+            await conversationService.failConversation(conversationId, 'Difusión: ningún mensaje enviado');
+            await setRecipientStatus(recipient.id, 'FAILED', { reason: 'Ningún mensaje enviado', conversationId });
+            return;
+        }
+
+        await conversationService.completeConversation(conversationId);
+        await setRecipientStatus(recipient.id, 'SENT', { conversationId });
+
+    } catch (error) {
+        await conversationService.failConversation(conversationId, error.message);
+        await setRecipientStatus(recipient.id, 'FAILED', { reason: error.message, conversationId });
+    }
+}
+
+/**
+ * Lanza el worker de una difusión si no está corriendo en este proceso
+ * @param {number} broadcastId - ID de la difusión
+ */
+function launchWorker(broadcastId) {
+    if (runningWorkers.has(broadcastId)) {
+        return;
+    }
+
+    runningWorkers.add(broadcastId);
+
+    runWorker(broadcastId)
+        .catch(error => logger.error(`[BROADCAST] Worker de difusión ${broadcastId} detenido por error:`, error))
+        .finally(() => runningWorkers.delete(broadcastId));
+}
+
+/**
+ * Envía a los destinatarios pendientes uno por uno mientras la difusión siga RUNNING
+ * @param {number} broadcastId - ID de la difusión
+ * @returns {Promise<void>}
+ */
+async function runWorker(broadcastId) {
+    const retryWaitMs = config.broadcasts.retryWaitSeconds * 1000;
+
+    logger.info(`[BROADCAST] ▶️ Worker iniciado para difusión ${broadcastId}`);
+
+    while (true) {
+        try {
+            const [broadcasts] = await db.query('SELECT * FROM bot_broadcasts WHERE id = ?', [broadcastId]);
+            const broadcast = broadcasts[0];
+
+            if (!broadcast || broadcast.status !== 'RUNNING') {
+                logger.info(`[BROADCAST] ⏹️ Worker de difusión ${broadcastId} detenido (${broadcast ? broadcast.status : 'no existe'})`);
+                return;
+            }
+
+            const session = sessionService.getSession(broadcast.line_id);
+            if (!session || !session.isClientReady()) {
+                logger.warn(`[BROADCAST] Línea ${broadcast.line_id} no conectada, difusión ${broadcastId} en espera`);
+                await sleep(retryWaitMs);
+                continue;
+            }
+
+            if (await countSentLastDay(broadcast.line_id) >= config.broadcasts.dailyCapPerLine) {
+                logger.warn(`[BROADCAST] Tope diario alcanzado en línea ${broadcast.line_id} (${config.broadcasts.dailyCapPerLine}), difusión ${broadcastId} en espera`);
+                await sleep(retryWaitMs);
+                continue;
+            }
+
+            const [recipients] = await db.query(
+                `SELECT * FROM bot_broadcast_recipients
+                WHERE broadcast_id = ?
+                    AND status = 'PENDING'
+                ORDER BY id ASC
+                LIMIT 1`,
+                [broadcastId]
+            );
+
+            if (recipients.length === 0) {
+                await transition(broadcastId, 'COMPLETED', ['RUNNING']);
+                logger.info(`[BROADCAST] ✅ Difusión ${broadcastId} completada`);
+                return;
+            }
+
+            await waitForLineSlot(broadcast.line_id);
+
+            const recipient = parseRecipient(recipients[0]);
+
+            try {
+                await processRecipient(broadcast, recipient, session);
+            } catch (error) {
+                logger.error(`[BROADCAST] Error enviando a ${recipient.user_phone} (difusión ${broadcastId}):`, error);
+                await setRecipientStatus(recipient.id, 'FAILED', { reason: error.message });
+            }
+        } catch (error) {
+            // Un fallo de BD fuera del envío no debe dejar la difusión RUNNING sin worker
+            logger.error(`[BROADCAST] Error en worker de difusión ${broadcastId}, reintentando:`, error);
+            await sleep(retryWaitMs);
+        }
+    }
+}
+
+/**
+ * Relanza los workers de las difusiones que quedaron RUNNING (ej: después de reiniciar el servidor)
+ * @returns {Promise<void>}
+ */
+async function resumeRunningBroadcasts() {
+    try {
+        const [broadcasts] = await db.query("SELECT id FROM bot_broadcasts WHERE status = 'RUNNING'");
+
+        for (const broadcast of broadcasts) {
+            launchWorker(broadcast.id);
+        }
+
+        if (broadcasts.length > 0) {
+            logger.info(`[BROADCAST] ${broadcasts.length} difusiones reanudadas al iniciar`);
+        }
+
+    } catch (error) {
+        logger.error('[BROADCAST] Error reanudando difusiones:', error);
+    }
+}
+
+module.exports = {
+    BROADCAST_STATUSES,
+    RECIPIENT_STATUSES,
+    getSegmentRecipients,
+    createBroadcast,
+    getBroadcastById,
+    listBroadcasts,
+    listRecipients,
+    startBroadcast,
+    pauseBroadcast,
+    resumeBroadcast,
+    cancelBroadcast,
+    resumeRunningBroadcasts
+};
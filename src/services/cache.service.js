@@ -0,0 +1,99 @@
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+
+/**
+ * Cache en memoria con expiración (TTL) por entrada
+ * getOrLoad comparte la misma carga entre llamadas concurrentes para no repetir la consulta
+ * @param {string} name - Nombre del cache (para logs y estadísticas)
+ * @param {number} ttlSeconds - Segundos de vida de cada entrada
+ * @returns {object}
+ */
+function createTtlCache(name, ttlSeconds) {
+    const entries = new Map();
+    const stats = { hits: 0, misses: 0, invalidations: 0 };
+
+    async function getOrLoad(key, loader) {
+        if (!config.cache.enabled) {
+            return loader();
+        }
+
+        const entry = entries.get(key);
+
+        if (entry && entry.expiresAt > Date.now()) {
+            stats.hits++;
+            return entry.value;
+        }
+
+        stats.misses++;
+
+        const value = loader();
+        entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+        try {
+            return await value;
+        } catch (error) {
+            // No guardar cargas fallidas
+            if (entries.get(key) && entries.get(key).value === value) {
+                entries.delete(key);
+            }
+            throw error;
+        }
+    }
+
+    function clear() {
+        entries.clear();
+        stats.invalidations++;
+    }
+
+    function getStats() {
+        return {
+            name,
+            ttlSeconds,
+            entries: entries.size,
+            ...stats
+        };
+    }
+
+    return { getOrLoad, clear, getStats };
+}
+
+const caches = {
+    campaigns: createTtlCache('campaigns', config.cache.ttlSeconds),
+    messages: createTtlCache('messages', config.cache.ttlSeconds),
+    media: createTtlCache('media', config.cache.ttlSeconds)
+};
+
+/**
+ * Obtiene un cache por nombre (campaigns, messages, media)
+ * @param {string} name
+ * @returns {object}
+ */
+function getCache(name) {
+    return caches[name];
+}
+
+/**
+ * Vacía los caches de campañas, mensajes y media
+ * Se llama en cada escritura de la API de campañas/mensajes y desde el endpoint admin
+ * @param {string} reason - Motivo (para el log)
+ */
+function invalidateAll(reason) {
+    for (const cache of Object.values(caches)) {
+        cache.clear();
+    }
+    logger.info(`[CACHE] Caches invalidados: ${reason}`);
+}
+
+/**
+ * Estadísticas de todos los caches
+ * @returns {Array}
+ */
+function getStats() {
+    return Object.values(caches).map(cache => cache.getStats());
+}
+
+module.exports = {
+    getCache,
+    invalidateAll,
+    getStats
+};
@@ -1,78 +1,407 @@
 const db = require('../config/database2');
+const config = require('../config/config2');
 const logger = require('../utils/logger');
-const { matchKeywords } = require('../utils/keyword-matcher');
+const { explainMatch, normalizeText, keywordSimilarity, compileTriggerKeywords } = require('../utils/keyword-matcher');
+const cacheService = require('./cache.service');
+const scheduleService = require('./schedule.service');
+
+/**
+ * Carga las campañas activas ordenadas por prioridad con sus trigger_keywords parseados
+ * y pre-compilados (desde el cache de campañas; se refresca por TTL o al escribir campañas)
+ * @returns {Promise<Array>} - [{id, name, priority, triggerKeywords, parseError}]
+ */
+async function loadActiveCampaigns() {
+    return cacheService.getCache('campaigns').getOrLoad('active', queryActiveCampaigns);
+}
+
+/**
+ * Campañas activas que además están dentro de su ventana starts_at / ends_at
+ * (se evalúa en cada mensaje: el cache no guarda el resultado del filtro)
+ * @param {Date} now
+ * @returns {Promise<Array>}
+ */
+async function loadLiveCampaigns(now = new Date()) {
+    const campaigns = await loadActiveCampaigns();
+    return campaigns.filter(campaign => scheduleService.isCampaignInWindow(campaign, now));
+}
+
+/**
+ * Consulta las campañas activas en la BD (ver loadActiveCampaigns)
+ * @returns {Promise<Array>}
+ */
+async function queryActiveCampaigns() {
+    const [campaigns] = await db.query(
+        `SELECT 
+            id,
+            name,
+            trigger_keywords,
+            priority,
+            DATE_FORMAT(starts_at, '%Y-%m-%d %H:%i:%s') as starts_at,
+            DATE_FORMAT(ends_at, '%Y-%m-%d %H:%i:%s') as ends_at
+        FROM campaigns
+        WHERE is_active = TRUE
+            AND deleted_at IS NULL
+        ORDER BY priority DESC`,
+        []
+    );
+    
+    return campaigns.map(campaign => {
+        let triggerKeywords = null;
+        let parseError = null;
+        
+        // Parsear el JSON de trigger_keywords
+        try {
+            triggerKeywords = typeof campaign.trigger_keywords === 'string' 
+                ? JSON.parse(campaign.trigger_keywords)
+                : campaign.trigger_keywords;
+        } catch (error) {
+            logger.error(`[CAMPAIGN] Error parseando keywords de campaña ${campaign.id}:`, error);
+            parseError = error.message;
+        }
+        
+        return {
+            id: campaign.id,
+            name: campaign.name,
+            priority: campaign.priority,
+            startsAt: campaign.starts_at,
+            endsAt: campaign.ends_at,
+            triggerKeywords: compileTriggerKeywords(triggerKeywords),
+            parseError
+        };
+    });
+}
+
+/**
+ * Puntúa una campaña que coincidió con el mensaje:
+ * peso del mejor tipo de match (EXACT > KEYWORD/REGEX > SYNONYM) × confianza,
+ * + bonus por cada término adicional encontrado, + prioridad de la campaña
+ * @param {object} campaign - {id, name, priority}
+ * @param {Array} matches - Todos los matches de la campaña (explainMatch con collectAll)
+ * @returns {object} - Candidato {campaignId, campaignName, priority, matchedKeyword, matchType, confidence, matchedTerms, score}
+ */
+function scoreCandidate(campaign, matches) {
+    const { typeWeights, termWeight, maxExtraTerms, priorityWeight } = config.campaignMatching;
+    const weightOf = (match) => (typeWeights[match.type] || 0) * match.score;
+    
+    const best = matches.reduce((top, match) => (weightOf(match) > weightOf(top) ? match : top));
+    const extraTerms = Math.min(matches.length - 1, maxExtraTerms);
+    const score = weightOf(best) + extraTerms * termWeight + (campaign.priority || 0) * priorityWeight;
+    
+    return {
+        campaignId: campaign.id,
+        campaignName: campaign.name,
+        priority: campaign.priority,
+        matchedKeyword: best.matched,
+        matchType: best.type,
+        confidence: best.score,
+        matchedTerms: matches.length,
+        score: Math.round(score * 100) / 100
+    };
+}
+
+/**
+ * Ordena los candidatos por puntaje (y prioridad ante empate) y detecta ambigüedad:
+ * si el segundo queda a menos de ambiguityMargin del primero, el resultado es ambiguo
+ * @param {Array} candidates - Candidatos de scoreCandidate
+ * @returns {{ranked: Array, ambiguous: Array|null}} - ambiguous: candidatos cercanos al primero
+ */
+function rankCandidates(candidates) {
+    const { ambiguityMargin, maxDisambiguationOptions } = config.campaignMatching;
+    const ranked = [...candidates].sort((a, b) => b.score - a.score || (b.priority || 0) - (a.priority || 0));
+    
+    if (ranked.length < 2) {
+        return { ranked, ambiguous: null };
+    }
+    
+    const close = ranked
+        .filter(candidate => ranked[0].score - candidate.score < ambiguityMargin)
+        .slice(0, maxDisambiguationOptions);
+    
+    return { ranked, ambiguous: close.length > 1 ? close : null };
+}
 
 /**
  * Detecta qué campaña se activa según el mensaje del usuario
+ * Todas las campañas activas y vigentes (starts_at / ends_at) se puntúan (ver scoreCandidate);
+ * gana la de mayor puntaje
  * @param {string} messageText - Texto del mensaje recibido
- * @returns {Promise<object|null>} - Datos de la campaña detectada o null
+ * @param {object} options - {lineId, now}: con lineId se evalúa el horario de atención de la línea
+ * @returns {Promise<object|null>} - Datos de la campaña ganadora + {score, candidates, ambiguous, afterHours} o null
+ *   candidates: todos los candidatos ordenados; ambiguous: candidatos empatados (o null) para
+ *   preguntarle al lead a qué proyecto se refiere; afterHours: {open, nextOpening} si la línea
+ *   está fuera de horario, null si está abierta
  */
-async function detectCampaign(messageText) {
+async function detectCampaign(messageText, options = {}) {
     try {
         if (!messageText || messageText.trim().length === 0) {
             return null;
         }
         
-        // Obtener todas las campañas activas ordenadas por prioridad
-        const [campaigns] = await db.query(
-            `SELECT 
-                id,
-                name,
-                trigger_keywords,
-                priority
-            FROM campaigns
-            WHERE is_active = TRUE
-                AND deleted_at IS NULL
-            ORDER BY priority DESC`,
-            []
-        );
+        const now = options.now || new Date();
+        
+        // Obtener las campañas activas y vigentes ordenadas por prioridad
+        const campaigns = await loadLiveCampaigns(now);
         
         if (campaigns.length === 0) {
-            logger.info('[CAMPAIGN] No hay campañas activas');
+            logger.info('[CAMPAIGN] No hay campañas activas vigentes');
             return null;
         }
         
         logger.info(`[CAMPAIGN] Evaluando ${campaigns.length} campañas activas`);
         
-        // Iterar sobre campañas por prioridad (mayor a menor)
+        const candidates = [];
+        
         for (const campaign of campaigns) {
-            let triggerKeywords;
+            if (campaign.parseError) {
+                continue;
+            }
             
-            // Parsear el JSON de trigger_keywords
-            try {
-                triggerKeywords = typeof campaign.trigger_keywords === 'string' 
-                    ? JSON.parse(campaign.trigger_keywords)
-                    : campaign.trigger_keywords;
-            } catch (error) {
-                logger.error(`[CAMPAIGN] Error parseando keywords de campaña ${campaign.id}:`, error);
+            const { matches } = explainMatch(messageText, campaign.triggerKeywords, { collectAll: true });
+            
+            if (matches.length > 0) {
+                candidates.push(scoreCandidate(campaign, matches));
+            }
+        }
+        
+        if (candidates.length === 0) {
+            logger.info('[CAMPAIGN] No se encontró ninguna campaña que coincida');
+            return null;
+        }
+        
+        const { ranked, ambiguous } = rankCandidates(candidates);
+        const winner = ranked[0];
+        
+        logger.info(`[CAMPAIGN] Candidatos: ${ranked.map(c => `"${c.campaignName}" (ID: ${c.campaignId}) ${c.score}`).join(', ')}`);
+        
+        if (ambiguous) {
+            logger.info(`[CAMPAIGN] ⚖️ Resultado ambiguo entre ${ambiguous.length} campañas: ${ambiguous.map(c => c.campaignId).join(', ')}`);
+        } else {
+            logger.info(`[CAMPAIGN] ✅ Match encontrado: "${winner.campaignName}" (ID: ${winner.campaignId}) - Keyword: "${winner.matchedKeyword}" - Tipo: ${winner.matchType} - Puntaje: ${winner.score}`);
+        }
+        
+        const businessHours = options.lineId ? scheduleService.getBusinessHoursStatus(options.lineId, now) : null;
+        
+        return {
+            ...winner,
+            candidates: ranked,
+            ambiguous,
+            afterHours: businessHours && !businessHours.open ? businessHours : null
+        };
+        
+    } catch (error) {
+        logger.error('[CAMPAIGN] Error detectando campaña:', error);
+        throw error;
+    }
+}
+
+/**
+ * Términos con los que se puede activar una campaña (exact_matches, keywords y sinónimos)
+ * @param {object} triggerKeywords - JSON trigger_keywords parseado
+ * @returns {Array<string>}
+ */
+function getTriggerTerms(triggerKeywords) {
+    if (!triggerKeywords) return [];
+
+    const { exact_matches = [], keywords = [], synonyms = {} } = triggerKeywords;
+    const synonymTerms = Object.entries(synonyms || {})
+        .flatMap(([mainWord, synonymList]) => [mainWord, ...(Array.isArray(synonymList) ? synonymList : [])]);
+
+    return [...exact_matches, ...keywords, ...synonymTerms];
+}
+
+/**
+ * Busca la campaña cuyo término se parece más al mensaje (para sugerir "¿Quisiste decir...?")
+ * Solo se usa cuando detectCampaign no encontró match
+ * @param {string} messageText - Texto del mensaje recibido
+ * @param {number} minScore - Similitud mínima (0 a 1) para sugerir
+ * @returns {Promise<object|null>} - {campaignId, campaignName, term, score} o null
+ */
+async function suggestCampaign(messageText, minScore) {
+    try {
+        const normalizedMessage = normalizeText(messageText);
+        
+        if (normalizedMessage.length === 0) {
+            return null;
+        }
+        
+        const campaigns = await loadLiveCampaigns();
+        let best = null;
+        
+        for (const campaign of campaigns) {
+            if (campaign.parseError) {
                 continue;
             }
             
-            // Intentar hacer match con esta campaña
-            const match = matchKeywords(messageText, triggerKeywords);
+            // Una palabra excluida descarta la campaña también para sugerencias
+            if (explainMatch(messageText, campaign.triggerKeywords).excludedBy) {
+                continue;
+            }
             
-            if (match) {
-                logger.info(`[CAMPAIGN] ✅ Match encontrado: "${campaign.name}" (ID: ${campaign.id}) - Keyword: "${match.matched}" - Tipo: ${match.type}`);
+            for (const term of getTriggerTerms(campaign.triggerKeywords)) {
+                const score = keywordSimilarity(normalizedMessage, normalizeText(term));
                 
-                return {
-                    campaignId: campaign.id,
-                    campaignName: campaign.name,
-                    matchedKeyword: match.matched,
-                    matchType: match.type,
-                    priority: campaign.priority
-                };
+                // Ante igual similitud gana la de mayor prioridad (las campañas ya vienen ordenadas)
+                if (score >= minScore && (!best || score > best.score)) {
+                    best = {
+                        campaignId: campaign.id,
+                        campaignName: campaign.name,
+                        term,
+                        score: Math.round(score * 100) / 100
+                    };
+                }
             }
         }
         
-        logger.info('[CAMPAIGN] No se encontró ninguna campaña que coincida');
-        return null;
+        if (best) {
+            logger.info(`[CAMPAIGN] 💡 Sugerencia: "${best.campaignName}" (ID: ${best.campaignId}) - Término: "${best.term}" - Similitud: ${best.score}`);
+        }
+        
+        return best;
         
     } catch (error) {
-        logger.error('[CAMPAIGN] Error detectando campaña:', error);
+        logger.error('[CAMPAIGN] Error buscando sugerencia de campaña:', error);
         throw error;
     }
 }
 
+/**
+ * Menú de campañas activas y vigentes con el término que el usuario debe escribir para cada una
+ * @returns {Promise<Array>} - [{id, name, description, keyword}]
+ */
+async function getCampaignMenu() {
+    try {
+        // Solo campañas vigentes: una promoción vencida no se ofrece en el menú
+        const [campaigns, triggers] = await Promise.all([getActiveCampaigns(), loadLiveCampaigns()]);
+        const keywordById = new Map(triggers.map(campaign => [campaign.id, getTriggerTerms(campaign.triggerKeywords)[0] || null]));
+        
+        return campaigns
+            .filter(campaign => keywordById.get(campaign.id))
+            .map(campaign => ({
+                id: campaign.id,
+                name: campaign.name,
+                description: campaign.description,
+                keyword: keywordById.get(campaign.id)
+            }));
+        
+    } catch (error) {
+        logger.error('[CAMPAIGN] Error armando menú de campañas:', error);
+        throw error;
+    }
+}
+
+/**
+ * Simula la detección de campaña sin enviar nada (dry-run)
+ * Evalúa todas las campañas activas en orden de prioridad y, opcionalmente,
+ * un trigger_keywords sin guardar como campaña borrador.
+ * @param {string} messageText - Texto a evaluar
+ * @param {object} draft - {triggerKeywords, priority, name} (opcional)
+ * @returns {Promise<object>} - {normalizedMessage, winner, ambiguous, evaluations}
+ *   winner es null si ninguna coincide o si el resultado es ambiguo (el bot preguntaría)
+ */
+async function simulateDetection(messageText, draft = null) {
+    try {
+        // Copia: el arreglo cacheado no debe incluir el borrador
+        const campaigns = [...await loadActiveCampaigns()];
+        
+        if (draft) {
+            campaigns.push({
+                id: null,
+                name: draft.name || '(borrador)',
+                priority: draft.priority || 0,
+                triggerKeywords: draft.triggerKeywords,
+                parseError: null,
+                isDraft: true
+            });
+            
+            // Orden estable: ante igual prioridad el borrador queda después de las guardadas
+            campaigns.sort((a, b) => b.priority - a.priority);
+        }
+        
+        const evaluations = campaigns.map(campaign => {
+            const evaluation = {
+                campaignId: campaign.id,
+                campaignName: campaign.name,
+                priority: campaign.priority,
+                isDraft: Boolean(campaign.isDraft),
+                parseError: campaign.parseError,
+                inWindow: scheduleService.isCampaignInWindow(campaign),
+                matched: false,
+                match: null,
+                matches: [],
+                score: null,
+                excludedBy: null,
+                checks: [],
+                wouldTrigger: false
+            };
+            
+            // Fuera de su ventana starts_at / ends_at la campaña no participa
+            if (campaign.parseError || !evaluation.inWindow) {
+                return evaluation;
+            }
+            
+            const explanation = explainMatch(messageText, campaign.triggerKeywords, { collectAll: true });
+            
+            evaluation.matched = explanation.match !== null;
+            evaluation.matches = explanation.matches;
+            evaluation.excludedBy = explanation.excludedBy;
+            evaluation.checks = explanation.checks;
+            
+            if (evaluation.matched) {
+                const candidate = scoreCandidate(campaign, explanation.matches);
+                evaluation.score = candidate.score;
+                evaluation.match = explanation.matches.find(match => match.matched === candidate.matchedKeyword && match.type === candidate.matchType);
+            }
+            
+            return evaluation;
+        });
+        
+        // Igual que detectCampaign: gana el mayor puntaje; si está muy cerca del segundo se preguntaría al lead
+        const { ranked, ambiguous } = rankCandidates(evaluations.filter(evaluation => evaluation.matched));
+        const winner = ranked.length > 0 && !ambiguous ? ranked[0] : null;
+        
+        if (winner) {
+            winner.wouldTrigger = true;
+        }
+        
+        return {
+            normalizedMessage: normalizeText(messageText),
+            winner: winner
+                ? {
+                    campaignId: winner.campaignId,
+                    campaignName: winner.campaignName,
+                    isDraft: winner.isDraft,
+                    matchedKeyword: winner.match.matched,
+                    matchType: winner.match.type,
+                    confidence: winner.match.score,
+                    score: winner.score
+                }
+                : null,
+            ambiguous: ambiguous
+                ? ambiguous.map(evaluation => ({
+                    campaignId: evaluation.campaignId,
+                    campaignName: evaluation.campaignName,
+                    isDraft: evaluation.isDraft,
+                    score: evaluation.score
+                }))
+                : null,
+            evaluations
+        };
+        
+    } catch (error) {
+        logger.error('[CAMPAIGN] Error simulando detección:', error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene una campaña desde el cache (usado al enviar flujos; la API admin usa getCampaignById)
+ * @param {number} campaignId - ID de la campaña
+ * @returns {Promise<object|null>}
+ */
+async function getCachedCampaign(campaignId) {
+    return cacheService.getCache('campaigns').getOrLoad(`campaign:${campaignId}`, () => getCampaignById(campaignId));
+}
+
 /**
  * Obtiene los detalles completos de una campaña
  * @param {number} campaignId - ID de la campaña
@@ -86,10 +415,13 @@ async function getCampaignById(campaignId) {
                 name,
                 description,
                 trigger_keywords,
+                flow_definition,
                 is_active,
                 priority,
                 created_at,
-                updated_at
+                updated_at,
+                DATE_FORMAT(starts_at, '%Y-%m-%d %H:%i:%s') as starts_at,
+                DATE_FORMAT(ends_at, '%Y-%m-%d %H:%i:%s') as ends_at
             FROM campaigns
             WHERE id = ?
                 AND deleted_at IS NULL`,
@@ -102,10 +434,13 @@ async function getCampaignById(campaignId) {
         
         const campaign = campaigns[0];
         
-        // Parsear trigger_keywords si es string
+        // Parsear trigger_keywords y flow_definition si son string
         if (typeof campaign.trigger_keywords === 'string') {
             campaign.trigger_keywords = JSON.parse(campaign.trigger_keywords);
         }
+        if (typeof campaign.flow_definition === 'string') {
+            campaign.flow_definition = JSON.parse(campaign.flow_definition);
+        }
         
         return campaign;
         
@@ -161,7 +496,9 @@ async function getActiveCampaigns() {
                 description,
                 priority,
                 is_active,
-                created_at
+                created_at,
+                DATE_FORMAT(starts_at, '%Y-%m-%d %H:%i:%s') as starts_at,
+                DATE_FORMAT(ends_at, '%Y-%m-%d %H:%i:%s') as ends_at
             FROM campaigns
             WHERE is_active = TRUE
                 AND deleted_at IS NULL
@@ -177,9 +514,186 @@ async function getActiveCampaigns() {
     }
 }
 
+/**
+ * Lista todas las campañas no eliminadas (activas e inactivas)
+ * @returns {Promise<Array>}
+ */
+async function listCampaigns() {
+    try {
+        const [campaigns] = await db.query(
+            `SELECT 
+                id,
+                name,
+                description,
+                priority,
+                is_active,
+                created_at,
+                updated_at,
+                DATE_FORMAT(starts_at, '%Y-%m-%d %H:%i:%s') as starts_at,
+                DATE_FORMAT(ends_at, '%Y-%m-%d %H:%i:%s') as ends_at
+            FROM campaigns
+            WHERE deleted_at IS NULL
+            ORDER BY is_active DESC, priority DESC, name ASC`,
+            []
+        );
+        
+        return campaigns;
+        
+    } catch (error) {
+        logger.error('[CAMPAIGN] Error listando campañas:', error);
+        throw error;
+    }
+}
+
+/**
+ * Crea una nueva campaña
+ * @param {object} data - {name, description, triggerKeywords, flowDefinition, priority, isActive, startsAt, endsAt}
+ * @returns {Promise<number>} - ID de la campaña creada
+ */
+async function createCampaign(data) {
+    try {
+        const { name, description = null, triggerKeywords, flowDefinition = null, priority = 0, isActive = false, startsAt = null, endsAt = null } = data;
+        
+        const [result] = await db.query(
+            `INSERT INTO campaigns 
+            (name, description, trigger_keywords, flow_definition, priority, is_active, starts_at, ends_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+            [name, description, JSON.stringify(triggerKeywords), flowDefinition ? JSON.stringify(flowDefinition) : null, priority, isActive, startsAt, endsAt]
+        );
+        
+        logger.info(`[CAMPAIGN] Campaña creada: "${name}" (ID: ${result.insertId})`);
+        cacheService.invalidateAll(`campaña ${result.insertId} creada`);
+        
+        return result.insertId;
+        
+    } catch (error) {
+        logger.error('[CAMPAIGN] Error creando campaña:', error);
+        throw error;
+    }
+}
+
+/**
+ * Actualiza los campos enviados de una campaña
+ * @param {number} campaignId - ID de la campaña
+ * @param {object} data - {name, description, triggerKeywords, flowDefinition, priority, isActive, startsAt, endsAt} (todos opcionales)
+ *   startsAt / endsAt: 'YYYY-MM-DD HH:mm:ss' en hora local (config.schedule.timezone) o null
+ * @returns {Promise<boolean>} - false si la campaña no existe
+ */
+async function updateCampaign(campaignId, data) {
+    try {
+        const columns = {
+            name: 'name',
+            description: 'description',
+            triggerKeywords: 'trigger_keywords',
+            flowDefinition: 'flow_definition',
+            priority: 'priority',
+            isActive: 'is_active',
+            startsAt: 'starts_at',
+            endsAt: 'ends_at'
+        };
+        
+        const sets = [];
+        const params = [];
+        
+        for (const [field, column] of Object.entries(columns)) {
+            if (data[field] === undefined) continue;
+            
+            sets.push(`${column} = ?`);
+            const isJson = field === 'triggerKeywords' || field === 'flowDefinition';
+            params.push(isJson && data[field] !== null ? JSON.stringify(data[field]) : data[field]);
+        }
+        
+        if (sets.length === 0) {
+            return (await getCampaignById(campaignId)) !== null;
+        }
+        
+        params.push(campaignId);
+        
+        const [result] = await db.query(
+            `UPDATE campaigns 
+            SET ${sets.join(', ')},
+                updated_at = NOW()
+            WHERE id = ?
+                AND deleted_at IS NULL`,
+            params
+        );
+        
+        if (result.affectedRows > 0) {
+            logger.info(`[CAMPAIGN] Campaña actualizada: ID ${campaignId} (${Object.keys(data).filter(k => data[k] !== undefined).join(', ')})`);
+            cacheService.invalidateAll(`campaña ${campaignId} actualizada`);
+        }
+        
+        return result.affectedRows > 0;
+        
+    } catch (error) {
+        logger.error(`[CAMPAIGN] Error actualizando campaña ${campaignId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Activa o desactiva una campaña
+ * @param {number} campaignId - ID de la campaña
+ * @param {boolean} isActive - Nuevo estado
+ * @returns {Promise<boolean>} - false si la campaña no existe
+ */
+async function setCampaignActive(campaignId, isActive) {
+    return updateCampaign(campaignId, { isActive: Boolean(isActive) });
+}
+
+/**
+ * Cambia la prioridad de una campaña
+ * @param {number} campaignId - ID de la campaña
+ * @param {number} priority - Nueva prioridad (mayor = se evalúa primero)
+ * @returns {Promise<boolean>} - false si la campaña no existe
+ */
+async function updateCampaignPriority(campaignId, priority) {
+    return updateCampaign(campaignId, { priority });
+}
+
+/**
+ * Elimina una campaña (soft delete vía deleted_at) y la desactiva
+ * @param {number} campaignId - ID de la campaña
+ * @returns {Promise<boolean>} - false si la campaña no existe
+ */
+async function deleteCampaign(campaignId) {
+    try {
+        const [result] = await db.query(
+            `UPDATE campaigns 
+            SET deleted_at = NOW(),
+                is_active = FALSE,
+                updated_at = NOW()
+            WHERE id = ?
+                AND deleted_at IS NULL`,
+            [campaignId]
+        );
+        
+        if (result.affectedRows > 0) {
+            logger.info(`[CAMPAIGN] Campaña eliminada: ID ${campaignId}`);
+            cacheService.invalidateAll(`campaña ${campaignId} eliminada`);
+        }
+        
+        return result.affectedRows > 0;
+        
+    } catch (error) {
+        logger.error(`[CAMPAIGN] Error eliminando campaña ${campaignId}:`, error);
+        throw error;
+    }
+}
+
 module.exports = {
     detectCampaign,
+    simulateDetection,
     getCampaignById,
+    getCachedCampaign,
     getCampaignStats,
-    getActiveCampaigns
+    getActiveCampaigns,
+    suggestCampaign,
+    getCampaignMenu,
+    listCampaigns,
+    createCampaign,
+    updateCampaign,
+    setCampaignActive,
+    updateCampaignPriority,
+    deleteCampaign
 };
\ No newline at end of file
@@ -53,15 +53,41 @@ async function updateConversationCorse(conversationId, corse) {
     }
 }
 
+/**
+ * Asigna la campaña elegida a una conversación creada sin campaña (desambiguación)
+ * @param {number} conversationId - ID de la conversación
+ * @param {object} match - {campaignId, matchedKeyword, matchType}
+ * @returns {Promise<void>}
+ */
+async function assignConversationCampaign(conversationId, match) {
+    try {
+        await db.query(
+            `UPDATE bot_conversations 
+            SET campaign_id = ?,
+                matched_keyword = ?,
+                match_type = ?,
+                updated_at = NOW()
+            WHERE id = ?`,
+            [match.campaignId, match.matchedKeyword, match.matchType, conversationId]
+        );
+        
+        logger.info(`[CONVERSATION] Campaña asignada: ID ${conversationId} -> Campaña ${match.campaignId}`);
+        
+    } catch (error) {
+        logger.error(`[CONVERSATION] Error asignando campaña a conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
 /**
  * Actualiza el estado de una conversación
  * @param {number} conversationId - ID de la conversación
- * @param {string} status - Nuevo estado (INITIATED, IN_PROGRESS, COMPLETED, FAILED, CANCELLED)
+ * @param {string} status - Nuevo estado (INITIATED, IN_PROGRESS, HANDOFF, COMPLETED, FAILED, CANCELLED)
  * @returns {Promise<void>}
  */
 async function updateConversationStatus(conversationId, status) {
     try {
-        const validStatuses = ['INITIATED', 'IN_PROGRESS', 'COMPLETED', 'FAILED', 'CANCELLED'];
+        const validStatuses = ['INITIATED', 'IN_PROGRESS', 'HANDOFF', 'COMPLETED', 'FAILED', 'CANCELLED'];
         
         if (!validStatuses.includes(status)) {
             throw new Error(`Estado inválido: ${status}`);
@@ -95,7 +121,7 @@ async function incrementMessagesSent(conversationId) {
             `UPDATE bot_conversations 
             SET messages_sent = messages_sent + 1,
                 last_message_sent_at = NOW(),
-                status = 'IN_PROGRESS',
+                status = IF(status = 'HANDOFF', status, 'IN_PROGRESS'),
                 updated_at = NOW()
             WHERE id = ?`,
             [conversationId]
@@ -110,7 +136,7 @@ async function incrementMessagesSent(conversationId) {
 }
 
 /**
- * Verifica si el usuario tiene una conversación activa
+ * Verifica si el usuario tiene una conversación activa (incluye conversaciones en HANDOFF)
  * @param {string} userPhone - Número de teléfono
  * @param {string} corse - Número de línea (opcional, para filtrar por línea específica)
  * @returns {Promise<object|null>}
@@ -119,14 +145,17 @@ async function getActiveConversation(userPhone, corse = null) {
     try {
         let query = `SELECT 
                 id,
+                user_phone,
+                user_name,
                 campaign_id,
                 corse,
                 status,
                 messages_sent,
+                session_metadata,
                 conversation_started_at
             FROM bot_conversations
             WHERE user_phone = ?
-                AND status IN ('INITIATED', 'IN_PROGRESS')`;
+                AND status IN ('INITIATED', 'IN_PROGRESS', 'HANDOFF')`;
         
         const params = [userPhone];
         
@@ -143,7 +172,10 @@ async function getActiveConversation(userPhone, corse = null) {
             return null;
         }
         
-        return conversations[0];
+        const conversation = conversations[0];
+        conversation.session_metadata = parseSessionMetadata(conversation.session_metadata);
+        
+        return conversation;
         
     } catch (error) {
         logger.error(`[CONVERSATION] Error obteniendo conversación activa para ${userPhone}:`, error);
@@ -163,7 +195,7 @@ async function getConversationById(conversationId) {
                 bc.*,
                 c.name as campaign_name
             FROM bot_conversations bc
-            INNER JOIN campaigns c ON bc.campaign_id = c.id
+            LEFT JOIN campaigns c ON bc.campaign_id = c.id
             WHERE bc.id = ?`,
             [conversationId]
         );
@@ -182,6 +214,7 @@ async function getConversationById(conversationId) {
 
 /**
  * Finaliza una conversación marcándola como completada
+ * (no afecta conversaciones tomadas por un asesor: esas se cierran desde el handoff)
  * @param {number} conversationId - ID de la conversación
  * @returns {Promise<void>}
  */
@@ -192,7 +225,8 @@ async function completeConversation(conversationId) {
             SET status = 'COMPLETED',
                 conversation_ended_at = NOW(),
                 updated_at = NOW()
-            WHERE id = ?`,
+            WHERE id = ?
+                AND status <> 'HANDOFF'`,
             [conversationId]
         );
         
@@ -222,7 +256,8 @@ async function failConversation(conversationId, reason = null) {
                     '$.failure_reason',
                     ?
                 )
-            WHERE id = ?`,
+            WHERE id = ?
+                AND status <> 'HANDOFF'`,
             [reason, conversationId]
         );
         
@@ -234,6 +269,56 @@ async function failConversation(conversationId, reason = null) {
     }
 }
 
+/**
+ * Parsea session_metadata (mysql2 puede devolverlo como texto o como objeto)
+ * @param {string|object|null} metadata
+ * @returns {object}
+ */
+function parseSessionMetadata(metadata) {
+    if (!metadata) return {};
+    if (typeof metadata === 'object') return metadata;
+    
+    try {
+        return JSON.parse(metadata);
+    } catch (error) {
+        logger.warn(`[CONVERSATION] session_metadata inválido, se ignora: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Guarda una clave en session_metadata de la conversación
+ * @param {number} conversationId - ID de la conversación
+ * @param {string} key - Clave de primer nivel (ej: "flow")
+ * @param {*} value - Valor serializable a JSON
+ * @returns {Promise<void>}
+ */
+async function updateSessionMetadata(conversationId, key, value) {
+    try {
+        if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key)) {
+            throw new Error(`Clave de session_metadata inválida: ${key}`);
+        }
+        
+        await db.query(
+            `UPDATE bot_conversations 
+            SET session_metadata = JSON_SET(
+                    COALESCE(session_metadata, '{}'),
+                    '$.${key}',
+                    CAST(? AS JSON)
+                ),
+                updated_at = NOW()
+            WHERE id = ?`,
+            [JSON.stringify(value), conversationId]
+        );
+        
+        logger.debug(`[CONVERSATION] session_metadata.${key} actualizado: ID ${conversationId}`);
+        
+    } catch (error) {
+        logger.error(`[CONVERSATION] Error actualizando session_metadata de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
 /**
  * Obtiene estadísticas de conversaciones por usuario
  * @param {string} userPhone - Número de teléfono
@@ -306,12 +391,15 @@ async function getActiveConversationsByCorse(corse) {
 module.exports = {
     createConversation,
     updateConversationCorse,
+    assignConversationCampaign,
     updateConversationStatus,
     incrementMessagesSent,
     getActiveConversation,
     getConversationById,
     completeConversation,
     failConversation,
+    parseSessionMetadata,
+    updateSessionMetadata,
     getUserConversationStats,
     getActiveConversationsByCorse
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { validateAnswer } = require('../utils/answer-validator');
+const conversationService = require('./conversation.service');
+
+/**
+ * Pregunta al lead a cuál de las campañas empatadas se refiere y deja la conversación
+ * esperando su elección (session_metadata.disambiguation)
+ * @param {object} ctx - {client, userPhone, conversationId, candidates}
+ * @returns {Promise<void>}
+ */
+async function startDisambiguation(ctx) {
+    const { client, userPhone, conversationId, candidates } = ctx;
+
+    const options = candidates.map(candidate => ({
+        campaignId: candidate.campaignId,
+        campaignName: candidate.campaignName,
+        matchedKeyword: candidate.matchedKeyword,
+        matchType: candidate.matchType
+    }));
+
+    const prompt = [
+        config.campaignMatching.disambiguationMessage,
+        ...options.map((option, i) => `${i + 1}) ${option.campaignName}`)
+    ].join('\n');
+
+    await client.sendMessage(userPhone, prompt, { linkPreview: false });
+
+    await conversationService.updateSessionMetadata(conversationId, 'disambiguation', {
+        waiting: true,
+        waiting_since: new Date().toISOString(),
+        options
+    });
+
+    logger.info(`[DISAMBIGUATION] ❓ Conversación ${conversationId}: se preguntó entre campañas ${options.map(o => o.campaignId).join(', ')}`);
+}
+
+/**
+ * Indica si la conversación espera que el lead elija una campaña
+ * @param {object} conversation - Conversación activa (con session_metadata parseado)
+ * @returns {boolean}
+ */
+function isAwaitingChoice(conversation) {
+    const state = conversation && conversation.session_metadata && conversation.session_metadata.disambiguation;
+    return Boolean(state && state.waiting);
+}
+
+/**
+ * Indica si la pregunta de desambiguación expiró (mismo plazo que las esperas de flujos)
+ * @param {object} conversation - Conversación que espera elección
+ * @returns {boolean}
+ */
+function isChoiceExpired(conversation) {
+    const waitingSince = new Date(conversation.session_metadata.disambiguation.waiting_since).getTime();
+
+    return Date.now() - waitingSince > config.flows.replyTimeoutMinutes * 60 * 1000;
+}
+
+/**
+ * Interpreta la respuesta del lead ("2" o el nombre del proyecto) y registra la elección
+ * @param {object} conversation - Conversación que espera elección
+ * @param {string} replyText - Texto recibido
+ * @returns {Promise<object|null>} - Opción elegida {campaignId, campaignName, matchedKeyword, matchType} o null
+ */
+async function resolveChoice(conversation, replyText) {
+    const state = conversation.session_metadata.disambiguation;
+    const choices = state.options.map(option => option.campaignName);
+    const validation = validateAnswer({ input: 'OPTION', choices }, replyText);
+
+    if (!validation.valid) {
+        logger.info(`[DISAMBIGUATION] Conversación ${conversation.id}: respuesta sin elección válida`);
+        return null;
+    }
+
+    const choice = state.options[choices.indexOf(validation.value)];
+
+    await conversationService.assignConversationCampaign(conversation.id, choice);
+    await conversationService.updateSessionMetadata(conversation.id, 'disambiguation', {
+        ...state,
+        waiting: false,
+        chosen: choice.campaignId
+    });
+
+    logger.info(`[DISAMBIGUATION] ✅ Conversación ${conversation.id}: eligió "${choice.campaignName}" (ID: ${choice.campaignId})`);
+
+    return choice;
+}
+
+module.exports = {
+    startDisambiguation,
+    isAwaitingChoice,
+    isChoiceExpired,
+    resolveChoice
+};
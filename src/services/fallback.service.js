@@ -0,0 +1,136 @@
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { replaceVariables } = require('../utils/helpers');
+const campaignService = require('./campaign.service');
+const rateLimitService = require('./ratelimit.service');
+
+const FALLBACK_MODES = ['MENU', 'SUGGEST', 'HANDOFF', 'NONE'];
+
+/**
+ * Configuración de fallback de una línea (config.fallback + config.fallback.lines[lineId])
+ * @param {string} lineId - Línea de WhatsApp
+ * @returns {object}
+ */
+function getFallbackConfig(lineId) {
+    const { lines = {}, ...defaults } = config.fallback;
+    const lineConfig = { ...defaults, ...(lines[lineId] || {}) };
+
+    if (!FALLBACK_MODES.includes(lineConfig.mode)) {
+        logger.warn(`[FALLBACK] Modo inválido "${lineConfig.mode}" en línea ${lineId}, se usa NONE`);
+        lineConfig.mode = 'NONE';
+    }
+
+    return lineConfig;
+}
+
+/**
+ * Arma el saludo con el menú de campañas activas
+ * @param {object} lineConfig - Configuración de fallback de la línea
+ * @param {object} variables - {nombre, telefono}
+ * @returns {Promise<string|null>} - null si no hay campañas para ofrecer
+ */
+async function buildMenuReply(lineConfig, variables) {
+    const menu = await campaignService.getCampaignMenu();
+
+    if (menu.length === 0) {
+        return null;
+    }
+
+    const options = menu.map(campaign => {
+        const description = campaign.description ? ` - ${campaign.description}` : '';
+        return `• *${campaign.name}*${description}\n  👉 escribe: ${campaign.keyword}`;
+    });
+
+    return [
+        replaceVariables(lineConfig.greeting, variables),
+        lineConfig.menuHeader,
+        options.join('\n'),
+        lineConfig.menuFooter
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Decide qué responder cuando ningún mensaje activa una campaña
+ * @param {string} lineId - Línea de WhatsApp
+ * @param {string} userPhone - Número del usuario
+ * @param {string} messageText - Texto recibido
+ * @param {object} variables - {nombre, telefono}
+ * @returns {Promise<{action: string, text: string|null, suggestion: object|null}>}
+ *   action: REPLY (enviar text), HANDOFF (pasar a asesor) o NONE (no responder)
+ */
+async function resolveFallback(lineId, userPhone, messageText, variables) {
+    const lineConfig = getFallbackConfig(lineId);
+    const none = { action: 'NONE', text: null, suggestion: null };
+
+    if (lineConfig.mode === 'NONE') {
+        return none;
+    }
+
+    const limitCheck = await rateLimitService.checkFallbackLimit(userPhone, lineId, lineConfig.rateLimits);
+    if (!limitCheck.allowed) {
+        logger.info(`[FALLBACK] Sin respuesta para ${userPhone} en línea ${lineId}: ${limitCheck.reason}`);
+        return none;
+    }
+
+    if (lineConfig.mode === 'HANDOFF') {
+        return { action: 'HANDOFF', text: null, suggestion: null };
+    }
+
+    if (lineConfig.mode === 'SUGGEST') {
+        const suggestion = await campaignService.suggestCampaign(messageText, lineConfig.suggestionMinScore);
+
+        if (suggestion) {
+            const text = replaceVariables(lineConfig.suggestionMessage, {
+                ...variables,
+                campana: suggestion.campaignName,
+                keyword: suggestion.term
+            });
+            return { action: 'REPLY', text, suggestion };
+        }
+    }
+
+    const text = await buildMenuReply(lineConfig, variables);
+
+    return text ? { action: 'REPLY', text, suggestion: null } : none;
+}
+
+/**
+ * Responde a un mensaje que no activó ninguna campaña según la configuración de la línea
+ * @param {object} ctx - {client, lineId, userPhone, messageText, variables, startHandoff}
+ *   startHandoff: función que pasa la conversación a un asesor (la provee WhatsAppService)
+ * @returns {Promise<string>} - Acción ejecutada (REPLY, HANDOFF o NONE)
+ */
+async function handleNoMatch(ctx) {
+    const { client, lineId, userPhone, messageText, variables, startHandoff } = ctx;
+
+    try {
+        const fallback = await resolveFallback(lineId, userPhone, messageText, variables);
+
+        if (fallback.action === 'NONE') {
+            return fallback.action;
+        }
+
+        if (fallback.action === 'HANDOFF') {
+            await startHandoff();
+        } else {
+            await client.sendMessage(userPhone, fallback.text, { linkPreview: false });
+        }
+
+        await rateLimitService.registerFallbackReply(userPhone, lineId);
+
+        logger.info(`[FALLBACK] Respuesta ${fallback.action} enviada a ${userPhone} en línea ${lineId}${fallback.suggestion ? ` (sugerencia: campaña ${fallback.suggestion.campaignId})` : ''}`);
+
+        return fallback.action;
+
+    } catch (error) {
+        logger.error(`[FALLBACK] Error respondiendo fallback a ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    FALLBACK_MODES,
+    getFallbackConfig,
+    resolveFallback,
+    handleNoMatch
+};
@@ -0,0 +1,481 @@
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { normalizeText, containsKeyword } = require('../utils/keyword-matcher');
+const { INPUT_TYPES, validateAnswer } = require('../utils/answer-validator');
+const { replaceVariables } = require('../utils/helpers');
+const campaignService = require('./campaign.service');
+const conversationService = require('./conversation.service');
+const messageService = require('./message.service');
+const leadService = require('./lead.service');
+const outboundQueueService = require('./outbound-queue.service');
+
+/*
+ * Flujos conversacionales por campaña (campaigns.flow_definition):
+ *
+ * {
+ *   "start": "inicio",
+ *   "nodes": {
+ *     "inicio":    { "group": null, "wait": { "type": "MENU", "prompt": "1 = precios, 2 = ubicación",
+ *                    "options": { "1": "precios", "precios": "precios", "2": "ubicacion" } } },
+ *     "precios":   { "group": "precios", "next": "visita" },
+ *     "ubicacion": { "group": "ubicacion" },
+ *     "visita":    { "group": "visita", "wait": { "type": "YES_NO", "yes": "email", "no": "fin" } },
+ *     "email":     { "wait": { "type": "QUESTION", "prompt": "¿Cuál es tu correo?", "field": "email",
+ *                    "input": "EMAIL", "next": "fecha" } },
+ *     ...
+ *   }
+ * }
+ *
+ * - group: flow_group de los mensajes a enviar (null = secuencia principal)
+ * - wait: espera respuesta del usuario (MENU, YES_NO, FREE_TEXT, QUESTION) y ramifica según la respuesta.
+ *   QUESTION valida la respuesta según "input" (TEXT, EMAIL, NUMBER, DATE, OPTION con "choices"),
+ *   la guarda en bot_leads y la deja disponible como variable {field} en los mensajes siguientes.
+ *   Opcionales: "max_attempts" (respuestas inválidas toleradas) e "invalid_message" (texto al no entender)
+ * - next: nodo al que se pasa sin esperar respuesta
+ * Un nodo sin wait ni next termina la conversación.
+ *
+ * El nodo actual se guarda en bot_conversations.session_metadata.flow:
+ * { node, waiting, attempts, waiting_since, answers: { nodo: respuesta }, fields: { campo: valor } }
+ */
+
+const WAIT_TYPES = ['MENU', 'YES_NO', 'FREE_TEXT', 'QUESTION'];
+const YES_WORDS = ['si', 's', 'claro', 'ok', 'dale', 'bueno', 'sip', 'yes', 'de acuerdo'];
+const NO_WORDS = ['no', 'n', 'nop', 'nel', 'todavia no', 'aun no'];
+
+// Límite de nodos encadenados con "next" en un solo paso (evita ciclos infinitos)
+const MAX_CHAINED_NODES = 20;
+
+// Flujo implícito de campañas sin flow_definition: enviar la secuencia principal y terminar
+const DEFAULT_FLOW = {
+    start: 'main',
+    nodes: {
+        main: { group: null }
+    }
+};
+
+/**
+ * Valida la estructura de un flow_definition
+ * @param {object|string} flowDefinition - Objeto o JSON en texto
+ * @returns {{valid: boolean, errors: Array<string>, value: object|null}}
+ */
+function validateFlowDefinition(flowDefinition) {
+    const errors = [];
+    let flow = flowDefinition;
+
+    if (typeof flow === 'string') {
+        try {
+            flow = JSON.parse(flow);
+        } catch (error) {
+            return { valid: false, errors: [`JSON inválido: ${error.message}`], value: null };
+        }
+    }
+
+    if (!flow || typeof flow !== 'object' || !flow.nodes || typeof flow.nodes !== 'object') {
+        return { valid: false, errors: ['flow_definition debe tener "start" y "nodes"'], value: null };
+    }
+
+    const nodeIds = Object.keys(flow.nodes);
+    const requireNode = (ref, where) => {
+        if (!nodeIds.includes(ref)) {
+            errors.push(`${where}: el nodo "${ref}" no existe`);
+        }
+    };
+
+    requireNode(flow.start, 'start');
+
+    for (const [nodeId, node] of Object.entries(flow.nodes)) {
+        if (!node || typeof node !== 'object') {
+            errors.push(`nodes.${nodeId}: debe ser un objeto`);
+            continue;
+        }
+
+        if (node.group !== undefined && node.group !== null && typeof node.group !== 'string') {
+            errors.push(`nodes.${nodeId}.group: debe ser texto o null`);
+        }
+
+        if (node.next !== undefined) {
+            requireNode(node.next, `nodes.${nodeId}.next`);
+        }
+
+        if (node.wait === undefined) continue;
+
+        const wait = node.wait;
+
+        if (node.next !== undefined) {
+            errors.push(`nodes.${nodeId}: no puede tener "next" y "wait" a la vez`);
+        }
+
+        if (!wait || !WAIT_TYPES.includes(wait.type)) {
+            errors.push(`nodes.${nodeId}.wait.type: debe ser uno de ${WAIT_TYPES.join(', ')}`);
+            continue;
+        }
+
+        if (wait.max_attempts !== undefined && (!Number.isInteger(wait.max_attempts) || wait.max_attempts < 1)) {
+            errors.push(`nodes.${nodeId}.wait.max_attempts: debe ser un entero positivo`);
+        }
+        if (wait.invalid_message !== undefined && (typeof wait.invalid_message !== 'string' || !wait.invalid_message.trim())) {
+            errors.push(`nodes.${nodeId}.wait.invalid_message: debe ser un texto no vacío`);
+        }
+
+        if (wait.type === 'MENU') {
+            if (!wait.options || typeof wait.options !== 'object' || Object.keys(wait.options).length === 0) {
+                errors.push(`nodes.${nodeId}.wait.options: se requiere al menos una opción`);
+            } else {
+                for (const [option, target] of Object.entries(wait.options)) {
+                    requireNode(target, `nodes.${nodeId}.wait.options["${option}"]`);
+                }
+            }
+        }
+
+        if (wait.type === 'YES_NO') {
+            requireNode(wait.yes, `nodes.${nodeId}.wait.yes`);
+            requireNode(wait.no, `nodes.${nodeId}.wait.no`);
+        }
+
+        if (wait.type === 'FREE_TEXT') {
+            requireNode(wait.next, `nodes.${nodeId}.wait.next`);
+        }
+
+        if (wait.type === 'QUESTION') {
+            requireNode(wait.next, `nodes.${nodeId}.wait.next`);
+
+            if (typeof wait.field !== 'string' || !/^[a-z_][a-z0-9_]*$/i.test(wait.field)) {
+                errors.push(`nodes.${nodeId}.wait.field: debe ser un identificador (se usa como variable {field})`);
+            }
+            if (wait.input !== undefined && !INPUT_TYPES.includes(wait.input)) {
+                errors.push(`nodes.${nodeId}.wait.input: debe ser uno de ${INPUT_TYPES.join(', ')}`);
+            }
+            if (wait.input === 'OPTION' && (!Array.isArray(wait.choices) || wait.choices.length === 0)) {
+                errors.push(`nodes.${nodeId}.wait.choices: se requiere la lista de opciones`);
+            }
+            if (!wait.prompt) {
+                errors.push(`nodes.${nodeId}.wait.prompt: se requiere el texto de la pregunta`);
+            }
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        value: errors.length === 0 ? flow : null
+    };
+}
+
+/**
+ * Obtiene el flujo de una campaña (o el flujo implícito si no tiene)
+ * @param {object} campaign - Campaña con flow_definition parseado
+ * @returns {object}
+ */
+function getCampaignFlow(campaign) {
+    return campaign && campaign.flow_definition ? campaign.flow_definition : DEFAULT_FLOW;
+}
+
+/**
+ * Resuelve a qué nodo lleva la respuesta del usuario
+ * @param {object} wait - Definición de espera del nodo
+ * @param {string} replyText - Respuesta recibida
+ * @returns {string|null} - ID del siguiente nodo o null si la respuesta no es válida
+ */
+function resolveReply(wait, replyText) {
+    const reply = normalizeText(replyText);
+
+    if (!reply) return null;
+
+    switch (wait.type) {
+        case 'MENU': {
+            const options = Object.entries(wait.options);
+
+            // 1) Coincidencia exacta ("1", "precios")
+            for (const [option, target] of options) {
+                if (reply === normalizeText(option)) return target;
+            }
+
+            // 2) Respuestas tipo "1 por favor" u "opción 2": primer número del mensaje
+            const number = reply.match(/\b(\d+)\b/);
+            if (number) {
+                const byNumber = options.find(([option]) => normalizeText(option) === number[1]);
+                if (byNumber) return byNumber[1];
+            }
+
+            // 3) Opciones de texto contenidas en la respuesta ("quiero ver precios")
+            for (const [option, target] of options) {
+                const normalizedOption = normalizeText(option);
+                if (!/^\d+$/.test(normalizedOption) && containsKeyword(reply, normalizedOption)) {
+                    return target;
+                }
+            }
+
+            return null;
+        }
+
+        case 'YES_NO': {
+            if (NO_WORDS.some(word => reply === word || reply.startsWith(`${word} `))) return wait.no;
+            if (YES_WORDS.some(word => reply === word || reply.startsWith(`${word} `))) return wait.yes;
+            return null;
+        }
+
+        case 'FREE_TEXT':
+        case 'QUESTION':
+            return wait.next;
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Envía los mensajes de los nodos a partir de nodeId hasta llegar a un nodo que espera
+ * respuesta o al final del flujo
+ * @param {object} ctx - {client, lineId, userPhone, conversationId, campaignId, variables}
+ * @param {object} flow - Definición del flujo
+ * @param {string} nodeId - Nodo inicial
+ * @param {object} state - {answers, fields} acumulados del flujo
+ * @param {object|null} resumed - {sent, failed, total} si los mensajes de nodeId ya los envió la cola (reanudación)
+ * @returns {Promise<{status: string, sent: number, failed: number}>} - status WAITING, COMPLETED o FAILED
+ */
+async function runFromNode(ctx, flow, nodeId, state = {}, resumed = null) {
+    const { client, lineId, userPhone, conversationId, campaignId } = ctx;
+    const answers = state.answers || {};
+    const fields = state.fields || {};
+
+    // Las respuestas capturadas se usan como variables ({email}, {presupuesto}, ...)
+    const variables = { ...ctx.variables, ...fields };
+    let currentId = nodeId;
+    let sent = resumed ? resumed.sent : 0;
+    let failed = resumed ? resumed.failed : 0;
+    let total = resumed ? resumed.total : 0;
+
+    for (let step = 0; step < MAX_CHAINED_NODES; step++) {
+        const node = flow.nodes[currentId];
+
+        if (!node) {
+            logger.error(`[FLOW] Nodo "${currentId}" no existe en el flujo de la campaña ${campaignId}`);
+            await conversationService.failConversation(conversationId, `Nodo de flujo inexistente: ${currentId}`);
+            return { status: 'FAILED', sent, failed };
+        }
+
+        const messages = resumed && step === 0
+            ? []
+            : await messageService.getCampaignMessages(campaignId, node.group || null);
+
+        if (messages.length === 0 && !node.wait && !(resumed && step === 0)) {
+            logger.warn(`[FLOW] Nodo "${currentId}" de la campaña ${campaignId} no tiene mensajes configurados`);
+        }
+
+        if (messages.length > 0) {
+            // El contexto permite seguir el flujo si la secuencia se termina de enviar después de un reinicio
+            const result = await outboundQueueService.sendSequence({
+                client,
+                lineId,
+                userPhone,
+                conversationId,
+                messages,
+                variables,
+                context: {
+                    flow: { campaignId, node: currentId, answers, fields, sent, failed, total }
+                }
+            });
+            sent += result.sent;
+            failed += result.failed;
+            total += result.total;
+        }
+
+        if (node.wait) {
+            if (node.wait.prompt) {
+                await client.sendMessage(userPhone, replaceVariables(node.wait.prompt, variables), { linkPreview: false });
+            }
+
+            await conversationService.updateSessionMetadata(conversationId, 'flow', {
+                node: currentId,
+                waiting: true,
+                attempts: 0,
+                waiting_since: new Date().toISOString(),
+                answers,
+                fields
+            });
+
+            logger.info(`[FLOW] 💬 Conversación ${conversationId} esperando respuesta en nodo "${currentId}" (${node.wait.type})`);
+            return { status: 'WAITING', sent, failed };
+        }
+
+        if (!node.next) break;
+
+        currentId = node.next;
+    }
+
+    // Fin del flujo: mismo criterio que la secuencia fija
+    if (total === 0) {
+        await conversationService.failConversation(conversationId, 'Sin mensajes configurados');
+        return { status: 'FAILED', sent, failed };
+    }
+
+    if (failed === total) {
+        await conversationService.failConversation(conversationId, 'Todos los mensajes fallaron');
+        logger.error(`[FLOW] ❌ Conversación ${conversationId} fallida: ${failed}/${total}`);
+        return { status: 'FAILED', sent, failed };
+    }
+
+    await conversationService.completeConversation(conversationId);
+    await leadService.completeLead(conversationId);
+
+    if (failed > 0) {
+        logger.warn(`[FLOW] ⚠️ Conversación ${conversationId} completada con errores: ${sent}/${total}`);
+    } else {
+        logger.info(`[FLOW] ✅ Conversación ${conversationId} completada: ${sent}/${total}`);
+    }
+
+    return { status: 'COMPLETED', sent, failed };
+}
+
+/**
+ * Inicia el flujo de una campaña en una conversación recién creada
+ * @param {object} ctx - {client, lineId, userPhone, conversationId, campaignId, variables}
+ * @returns {Promise<object>}
+ */
+async function startFlow(ctx) {
+    const campaign = await campaignService.getCachedCampaign(ctx.campaignId);
+    const flow = getCampaignFlow(campaign);
+
+    return runFromNode(ctx, flow, flow.start);
+}
+
+/**
+ * Sigue el flujo después de que la cola de salida terminó de enviar una secuencia reanudada
+ * @param {object} ctx - {client, lineId, userPhone, conversationId, variables}
+ * @param {object} flowContext - Contexto guardado al encolar {campaignId, node, answers, fields, sent, failed, total}
+ * @param {object} counts - {sent, failed, total} de la secuencia
+ * @returns {Promise<object>}
+ */
+async function resumeAfterSequence(ctx, flowContext, counts) {
+    const campaign = await campaignService.getCachedCampaign(flowContext.campaignId);
+    const flow = getCampaignFlow(campaign);
+
+    logger.info(`[FLOW] ▶️ Conversación ${ctx.conversationId}: retomando flujo en nodo "${flowContext.node}"`);
+
+    return runFromNode({ ...ctx, campaignId: flowContext.campaignId }, flow, flowContext.node, {
+        answers: flowContext.answers,
+        fields: flowContext.fields
+    }, {
+        sent: flowContext.sent + counts.sent,
+        failed: flowContext.failed + counts.failed,
+        total: flowContext.total + counts.total
+    });
+}
+
+/**
+ * Indica si la conversación está esperando una respuesta del usuario
+ * @param {object} conversation - Conversación activa (con session_metadata parseado)
+ * @returns {boolean}
+ */
+function isWaitingReply(conversation) {
+    const flowState = conversation && conversation.session_metadata && conversation.session_metadata.flow;
+    return Boolean(flowState && flowState.waiting);
+}
+
+/**
+ * Indica si la espera de respuesta ya expiró
+ * @param {object} conversation - Conversación activa
+ * @returns {boolean}
+ */
+function isReplyExpired(conversation) {
+    const flowState = conversation.session_metadata.flow;
+    const waitingSince = new Date(flowState.waiting_since).getTime();
+
+    return Date.now() - waitingSince > config.flows.replyTimeoutMinutes * 60 * 1000;
+}
+
+/**
+ * Procesa la respuesta del usuario en una conversación que espera respuesta
+ * @param {object} ctx - {client, lineId, userPhone, conversation, variables}
+ * @param {string} replyText - Texto recibido
+ * @returns {Promise<object>}
+ */
+async function handleReply(ctx, replyText) {
+    const { client, lineId, userPhone, conversation, variables } = ctx;
+    const flowState = conversation.session_metadata.flow;
+    const campaign = await campaignService.getCachedCampaign(conversation.campaign_id);
+    const flow = getCampaignFlow(campaign);
+    const node = flow.nodes[flowState.node];
+
+    if (!node || !node.wait) {
+        logger.warn(`[FLOW] Nodo "${flowState.node}" ya no espera respuesta (flujo editado), cerrando conversación ${conversation.id}`);
+        await conversationService.completeConversation(conversation.id);
+        return { status: 'COMPLETED', sent: 0, failed: 0 };
+    }
+
+    const fields = { ...(flowState.fields || {}) };
+    let nextNode = null;
+    let validationError = null;
+
+    if (node.wait.type === 'QUESTION') {
+        const validation = validateAnswer(node.wait, replyText);
+
+        if (validation.valid) {
+            await leadService.saveLeadAnswer({
+                conversationId: conversation.id,
+                campaignId: conversation.campaign_id,
+                userPhone,
+                userName: conversation.user_name,
+                field: node.wait.field,
+                value: validation.value
+            });
+            fields[node.wait.field] = validation.value;
+            nextNode = node.wait.next;
+        } else {
+            validationError = validation.error;
+        }
+    } else {
+        nextNode = resolveReply(node.wait, replyText);
+    }
+
+    if (!nextNode) {
+        const attempts = (flowState.attempts || 0) + 1;
+        const maxAttempts = node.wait.max_attempts || config.flows.maxInvalidReplies;
+
+        if (attempts >= maxAttempts) {
+            logger.info(`[FLOW] Conversación ${conversation.id}: ${attempts} respuestas inválidas en "${flowState.node}", cerrando flujo`);
+            await conversationService.completeConversation(conversation.id);
+            return { status: 'COMPLETED', sent: 0, failed: 0 };
+        }
+
+        await conversationService.updateSessionMetadata(conversation.id, 'flow', { ...flowState, attempts });
+
+        const invalidMessage = node.wait.invalid_message || validationError || config.flows.invalidReplyMessage;
+        const prompt = node.wait.prompt ? `\n\n${replaceVariables(node.wait.prompt, { ...variables, ...fields })}` : '';
+        await client.sendMessage(userPhone, `${invalidMessage}${prompt}`, { linkPreview: false });
+
+        logger.info(`[FLOW] Respuesta inválida en conversación ${conversation.id} nodo "${flowState.node}" (${attempts}/${maxAttempts})`);
+        return { status: 'WAITING', sent: 0, failed: 0 };
+    }
+
+    logger.info(`[FLOW] ➡️ Conversación ${conversation.id}: "${flowState.node}" → "${nextNode}"`);
+
+    const answers = { ...(flowState.answers || {}), [flowState.node]: replyText };
+
+    await conversationService.updateSessionMetadata(conversation.id, 'flow', {
+        node: nextNode,
+        waiting: false,
+        attempts: 0,
+        answers,
+        fields
+    });
+
+    return runFromNode({
+        client,
+        lineId,
+        userPhone,
+        conversationId: conversation.id,
+        campaignId: conversation.campaign_id,
+        variables
+    }, flow, nextNode, { answers, fields });
+}
+
+module.exports = {
+    validateFlowDefinition,
+    resolveReply,
+    startFlow,
+    resumeAfterSequence,
+    handleReply,
+    isWaitingReply,
+    isReplyExpired
+};
@@ -0,0 +1,317 @@
+const db = require('../config/database2');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { normalizeText, containsPhrase } = require('../utils/keyword-matcher');
+const conversationService = require('./conversation.service');
+
+const HANDOFF_STATUSES = ['PENDING', 'ASSIGNED', 'CLOSED'];
+
+/**
+ * Detecta si el usuario pide hablar con una persona ("asesor", "hablar con alguien", ...)
+ * @param {string} messageText - Texto recibido
+ * @returns {string|null} - Keyword detectada o null
+ */
+function detectHandoffRequest(messageText) {
+    const normalizedMessage = normalizeText(messageText);
+
+    for (const keyword of config.handoff.keywords) {
+        // Palabras completas: "asesoría" o "agentes inmobiliarios" no piden un asesor
+        if (containsPhrase(normalizedMessage, normalizeText(keyword), true)) {
+            return keyword;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Registra un mensaje de la conversación con el asesor
+ * @param {number} handoffId - ID del handoff
+ * @param {string} direction - IN (del lead) u OUT (del asesor)
+ * @param {string} body - Texto del mensaje
+ * @param {object} extra - {agentId, whatsappMessageId}
+ * @returns {Promise<void>}
+ */
+async function logHandoffMessage(handoffId, direction, body, extra = {}) {
+    try {
+        await db.query(
+            `INSERT INTO bot_handoff_messages
+            (handoff_id, direction, body, agent_id, whatsapp_message_id, created_at)
+            VALUES (?, ?, ?, ?, ?, NOW())`,
+            [handoffId, direction, body, extra.agentId || null, extra.whatsappMessageId || null]
+        );
+    } catch (error) {
+        logger.error(`[HANDOFF] Error registrando mensaje del handoff ${handoffId}:`, error);
+    }
+}
+
+/**
+ * Pasa una conversación a atención humana y la encola para un asesor
+ * @param {object} data - {client, lineId, corse, userPhone, userName, conversationId, reason, triggerMessage}
+ *   conversationId es opcional: si no hay conversación activa se crea una sin campaña
+ * @returns {Promise<number>} - ID del handoff
+ */
+async function startHandoff(data) {
+    const { client, lineId, corse, userPhone, userName, reason, triggerMessage } = data;
+
+    try {
+        let conversationId = data.conversationId;
+
+        if (!conversationId) {
+            conversationId = await conversationService.createConversation({
+                userPhone,
+                userName,
+                campaignId: null,
+                triggerMessage,
+                matchedKeyword: null,
+                matchType: 'HANDOFF',
+                corse
+            });
+        }
+
+        await conversationService.updateConversationStatus(conversationId, 'HANDOFF');
+
+        const [result] = await db.query(
+            `INSERT INTO bot_handoffs
+            (conversation_id, user_phone, user_name, line_id, corse, reason, trigger_message, status, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'PENDING', NOW(), NOW())`,
+            [conversationId, userPhone, userName, lineId, corse, reason, triggerMessage]
+        );
+
+        const handoffId = result.insertId;
+
+        await logHandoffMessage(handoffId, 'IN', triggerMessage);
+
+        if (client && config.handoff.confirmationMessage) {
+            const sentMsg = await client.sendMessage(userPhone, config.handoff.confirmationMessage, { linkPreview: false });
+            await logHandoffMessage(handoffId, 'OUT', config.handoff.confirmationMessage, { whatsappMessageId: sentMsg.id._serialized });
+        }
+
+        logger.info(`[HANDOFF] 🙋 Handoff ${handoffId} en cola: ${userPhone} - Conversación ${conversationId} - Razón: ${reason}`);
+
+        return handoffId;
+
+    } catch (error) {
+        logger.error(`[HANDOFF] Error iniciando handoff para ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene el handoff abierto de una conversación
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<object|null>}
+ */
+async function getOpenHandoffByConversation(conversationId) {
+    const [handoffs] = await db.query(
+        `SELECT * FROM bot_handoffs
+        WHERE conversation_id = ?
+            AND status IN ('PENDING', 'ASSIGNED')
+        ORDER BY created_at DESC
+        LIMIT 1`,
+        [conversationId]
+    );
+
+    return handoffs.length > 0 ? handoffs[0] : null;
+}
+
+/**
+ * Registra un mensaje entrante de un lead que está siendo atendido por un asesor
+ * @param {number} conversationId - ID de la conversación en HANDOFF
+ * @param {string} messageText - Texto recibido
+ * @returns {Promise<void>}
+ */
+async function recordInboundMessage(conversationId, messageText) {
+    try {
+        const handoff = await getOpenHandoffByConversation(conversationId);
+
+        if (!handoff) {
+            logger.warn(`[HANDOFF] Conversación ${conversationId} en HANDOFF sin handoff abierto`);
+            return;
+        }
+
+        await logHandoffMessage(handoff.id, 'IN', messageText);
+        await db.query(
+            'UPDATE bot_handoffs SET last_inbound_at = NOW(), updated_at = NOW() WHERE id = ?',
+            [handoff.id]
+        );
+
+        logger.info(`[HANDOFF] Mensaje entrante registrado en handoff ${handoff.id}`);
+
+    } catch (error) {
+        logger.error(`[HANDOFF] Error registrando mensaje entrante de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Lista handoffs por estado
+ * @param {object} filters - {status, lineId, page, pageSize}
+ * @returns {Promise<{handoffs: Array, total: number}>}
+ */
+async function listHandoffs(filters = {}) {
+    try {
+        const { status = null, lineId = null, page = 1, pageSize = 50 } = filters;
+        const where = [];
+        const params = [];
+
+        if (status) {
+            where.push('status = ?');
+            params.push(status);
+        }
+        if (lineId) {
+            where.push('line_id = ?');
+            params.push(lineId);
+        }
+
+        const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+        const [[{ total }]] = await db.query(
+            `SELECT COUNT(*) as total FROM bot_handoffs ${whereClause}`,
+            params
+        );
+
+        // Los pendientes más antiguos primero (cola FIFO)
+        const [handoffs] = await db.query(
+            `SELECT * FROM bot_handoffs
+            ${whereClause}
+            ORDER BY FIELD(status, 'PENDING', 'ASSIGNED', 'CLOSED'), created_at ASC
+            LIMIT ? OFFSET ?`,
+            [...params, pageSize, (page - 1) * pageSize]
+        );
+
+        return { handoffs, total };
+
+    } catch (error) {
+        logger.error('[HANDOFF] Error listando handoffs:', error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene un handoff con su historial de mensajes
+ * @param {number} handoffId - ID del handoff
+ * @returns {Promise<object|null>}
+ */
+async function getHandoffById(handoffId) {
+    try {
+        const [handoffs] = await db.query('SELECT * FROM bot_handoffs WHERE id = ?', [handoffId]);
+
+        if (handoffs.length === 0) {
+            return null;
+        }
+
+        const [messages] = await db.query(
+            `SELECT id, direction, body, agent_id, whatsapp_message_id, created_at
+            FROM bot_handoff_messages
+            WHERE handoff_id = ?
+            ORDER BY created_at ASC, id ASC`,
+            [handoffId]
+        );
+
+        return { ...handoffs[0], messages };
+
+    } catch (error) {
+        logger.error(`[HANDOFF] Error obteniendo handoff ${handoffId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Asigna un handoff a un asesor
+ * @param {number} handoffId - ID del handoff
+ * @param {number} agentId - ID del asesor (usuario autenticado)
+ * @returns {Promise<void>}
+ */
+async function assignHandoff(handoffId, agentId) {
+    try {
+        await db.query(
+            `UPDATE bot_handoffs
+            SET status = 'ASSIGNED',
+                assigned_agent_id = ?,
+                assigned_at = NOW(),
+                updated_at = NOW()
+            WHERE id = ?
+                AND status <> 'CLOSED'`,
+            [agentId, handoffId]
+        );
+
+        logger.info(`[HANDOFF] Handoff ${handoffId} asignado al asesor ${agentId}`);
+
+    } catch (error) {
+        logger.error(`[HANDOFF] Error asignando handoff ${handoffId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Envía la respuesta de un asesor al lead por la misma línea de WhatsApp
+ * @param {object} handoff - Handoff abierto
+ * @param {object} client - Cliente de WhatsApp de la línea
+ * @param {number} agentId - ID del asesor
+ * @param {string} text - Mensaje a enviar
+ * @returns {Promise<string>} - ID del mensaje en WhatsApp
+ */
+async function sendAgentReply(handoff, client, agentId, text) {
+    try {
+        const sentMsg = await client.sendMessage(handoff.user_phone, text, { linkPreview: false });
+        const whatsappMessageId = sentMsg.id._serialized;
+
+        await logHandoffMessage(handoff.id, 'OUT', text, { agentId, whatsappMessageId });
+
+        // Responder toma el handoff si nadie lo había tomado
+        if (handoff.status === 'PENDING') {
+            await assignHandoff(handoff.id, agentId);
+        } else {
+            await db.query('UPDATE bot_handoffs SET updated_at = NOW() WHERE id = ?', [handoff.id]);
+        }
+
+        logger.info(`[HANDOFF] 💬 Asesor ${agentId} respondió en handoff ${handoff.id}`);
+
+        return whatsappMessageId;
+
+    } catch (error) {
+        logger.error(`[HANDOFF] Error enviando respuesta del handoff ${handoff.id}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Cierra un handoff y devuelve la conversación al bot (queda COMPLETED)
+ * @param {object} handoff - Handoff abierto
+ * @param {number} agentId - ID del asesor que cierra
+ * @returns {Promise<void>}
+ */
+async function closeHandoff(handoff, agentId) {
+    try {
+        await db.query(
+            `UPDATE bot_handoffs
+            SET status = 'CLOSED',
+                closed_by_agent_id = ?,
+                closed_at = NOW(),
+                updated_at = NOW()
+            WHERE id = ?`,
+            [agentId, handoff.id]
+        );
+
+        await conversationService.updateConversationStatus(handoff.conversation_id, 'COMPLETED');
+
+        logger.info(`[HANDOFF] Handoff ${handoff.id} cerrado por asesor ${agentId}`);
+
+    } catch (error) {
+        logger.error(`[HANDOFF] Error cerrando handoff ${handoff.id}:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    HANDOFF_STATUSES,
+    detectHandoffRequest,
+    startHandoff,
+    recordInboundMessage,
+    listHandoffs,
+    getHandoffById,
+    assignHandoff,
+    sendAgentReply,
+    closeHandoff
+};
@@ -0,0 +1,152 @@
+const db = require('../config/database2');
+const logger = require('../utils/logger');
+
+/**
+ * Parsea la columna answers (mysql2 puede devolverla como texto o como objeto)
+ * @param {object} lead - Fila de bot_leads
+ * @returns {object}
+ */
+function parseLead(lead) {
+    if (typeof lead.answers === 'string') {
+        lead.answers = JSON.parse(lead.answers);
+    }
+    lead.answers = lead.answers || {};
+    return lead;
+}
+
+/**
+ * Guarda (o actualiza) una respuesta del lead asociado a una conversación
+ * @param {object} data - {conversationId, campaignId, userPhone, userName, field, value}
+ * @returns {Promise<void>}
+ */
+async function saveLeadAnswer(data) {
+    try {
+        const { conversationId, campaignId, userPhone, userName, field, value } = data;
+
+        await db.query(
+            `INSERT INTO bot_leads
+            (conversation_id, campaign_id, user_phone, user_name, answers, created_at, updated_at)
+            VALUES (?, ?, ?, ?, JSON_OBJECT(?, CAST(? AS JSON)), NOW(), NOW())
+            ON DUPLICATE KEY UPDATE
+                answers = JSON_SET(COALESCE(answers, '{}'), CONCAT('$.', ?), CAST(? AS JSON)),
+                updated_at = NOW()`,
+            [conversationId, campaignId, userPhone, userName, field, JSON.stringify(value), field, JSON.stringify(value)]
+        );
+
+        logger.info(`[LEAD] Respuesta guardada: Conversación ${conversationId} - ${field}`);
+
+    } catch (error) {
+        logger.error(`[LEAD] Error guardando respuesta de conversación ${data.conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Marca el lead de una conversación como completo (no hace nada si no existe)
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<void>}
+ */
+async function completeLead(conversationId) {
+    try {
+        const [result] = await db.query(
+            `UPDATE bot_leads
+            SET completed_at = NOW(),
+                updated_at = NOW()
+            WHERE conversation_id = ?
+                AND completed_at IS NULL`,
+            [conversationId]
+        );
+
+        if (result.affectedRows > 0) {
+            logger.info(`[LEAD] ✅ Lead completo: Conversación ${conversationId}`);
+        }
+
+    } catch (error) {
+        logger.error(`[LEAD] Error completando lead de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene un lead por ID
+ * @param {number} leadId - ID del lead
+ * @returns {Promise<object|null>}
+ */
+async function getLeadById(leadId) {
+    try {
+        const [leads] = await db.query(
+            `SELECT
+                bl.*,
+                c.name as campaign_name,
+                bc.corse,
+                bc.status as conversation_status
+            FROM bot_leads bl
+            INNER JOIN bot_conversations bc ON bl.conversation_id = bc.id
+            LEFT JOIN campaigns c ON bl.campaign_id = c.id
+            WHERE bl.id = ?`,
+            [leadId]
+        );
+
+        return leads.length > 0 ? parseLead(leads[0]) : null;
+
+    } catch (error) {
+        logger.error(`[LEAD] Error obteniendo lead ${leadId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Lista leads con filtros y paginación
+ * @param {object} filters - {campaignId, completed, page, pageSize}
+ * @returns {Promise<{leads: Array, total: number}>}
+ */
+async function listLeads(filters = {}) {
+    try {
+        const { campaignId = null, completed = null, page = 1, pageSize = 50 } = filters;
+        const where = [];
+        const params = [];
+
+        if (campaignId) {
+            where.push('bl.campaign_id = ?');
+            params.push(campaignId);
+        }
+        if (completed !== null) {
+            where.push(completed ? 'bl.completed_at IS NOT NULL' : 'bl.completed_at IS NULL');
+        }
+
+        const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+        const [[{ total }]] = await db.query(
+            `SELECT COUNT(*) as total FROM bot_leads bl ${whereClause}`,
+            params
+        );
+
+        const [leads] = await db.query(
+            `SELECT
+                bl.*,
+                c.name as campaign_name
+            FROM bot_leads bl
+            LEFT JOIN campaigns c ON bl.campaign_id = c.id
+            ${whereClause}
+            ORDER BY bl.updated_at DESC
+            LIMIT ? OFFSET ?`,
+            [...params, pageSize, (page - 1) * pageSize]
+        );
+
+        return {
+            leads: leads.map(parseLead),
+            total
+        };
+
+    } catch (error) {
+        logger.error('[LEAD] Error listando leads:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    saveLeadAnswer,
+    completeLead,
+    getLeadById,
+    listLeads
+};
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+
+// Archivos guardados por hash de contenido (el mismo archivo en dos URLs se guarda una vez)
+// e índice URL -> {hash, size, etag, lastModified, fetchedAt, lastAccess} en index.json
+const CACHE_DIR = config.mediaCache.directory || path.join(__dirname, '..', '..', '.media_cache');
+const INDEX_FILE = path.join(CACHE_DIR, 'index.json');
+
+const stats = { hits: 0, revalidated: 0, downloads: 0, staleServed: 0, evictions: 0 };
+
+let index = null;
+let saveTimer = null;
+
+// Descargas en curso por URL (evita bajar el mismo archivo dos veces en paralelo)
+const inFlight = new Map();
+
+/**
+ * Carga el índice desde disco la primera vez
+ * @returns {Map}
+ */
+function getIndex() {
+    if (index) {
+        return index;
+    }
+
+    index = new Map();
+
+    try {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+
+        if (fs.existsSync(INDEX_FILE)) {
+            const entries = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+
+            for (const [url, entry] of Object.entries(entries)) {
+                if (fs.existsSync(path.join(CACHE_DIR, entry.hash))) {
+                    index.set(url, entry);
+                }
+            }
+        }
+
+        logger.info(`[MEDIA-CACHE] ${index.size} archivos en cache (${CACHE_DIR})`);
+
+    } catch (error) {
+        logger.error('[MEDIA-CACHE] Error cargando índice, se empieza vacío:', error);
+    }
+
+    return index;
+}
+
+/**
+ * Guarda el índice en disco (agrupa varias escrituras seguidas en una)
+ */
+function scheduleIndexSave() {
+    if (saveTimer) return;
+
+    saveTimer = setTimeout(async () => {
+        saveTimer = null;
+
+        try {
+            const tmpFile = `${INDEX_FILE}.tmp`;
+            await fs.promises.writeFile(tmpFile, JSON.stringify(Object.fromEntries(getIndex())));
+            await fs.promises.rename(tmpFile, INDEX_FILE);
+        } catch (error) {
+            logger.error('[MEDIA-CACHE] Error guardando índice:', error);
+        }
+    }, 1000);
+
+    saveTimer.unref();
+}
+
+/**
+ * Tamaño total en disco (cada hash cuenta una vez)
+ * @returns {number} - Bytes
+ */
+function getTotalSize() {
+    const sizes = new Map();
+
+    for (const entry of getIndex().values()) {
+        sizes.set(entry.hash, entry.size);
+    }
+
+    return [...sizes.values()].reduce((total, size) => total + size, 0);
+}
+
+/**
+ * Elimina las entradas usadas hace más tiempo hasta quedar bajo el tope de tamaño (LRU)
+ * @returns {Promise<void>}
+ */
+async function evictIfNeeded() {
+    const maxBytes = config.mediaCache.maxSizeMb * 1024 * 1024;
+    const entries = getIndex();
+
+    let totalSize = getTotalSize();
+    if (totalSize <= maxBytes) return;
+
+    const byLastAccess = [...entries.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+    for (const [url, entry] of byLastAccess) {
+        if (totalSize <= maxBytes) break;
+
+        entries.delete(url);
+        stats.evictions++;
+
+        // El archivo se borra solo si ninguna otra URL tiene el mismo contenido
+        const shared = [...entries.values()].some(other => other.hash === entry.hash);
+        if (!shared) {
+            totalSize -= entry.size;
+            await fs.promises.unlink(path.join(CACHE_DIR, entry.hash)).catch(() => {});
+        }
+
+        logger.info(`[MEDIA-CACHE] Eliminado por tamaño: ${url}`);
+    }
+
+    scheduleIndexSave();
+}
+
+/**
+ * Lee el archivo de una entrada y actualiza su último acceso
+ * @param {string} url - URL cacheada
+ * @param {object} entry - Entrada del índice
+ * @returns {Promise<Buffer>}
+ */
+async function readEntry(url, entry) {
+    const data = await fs.promises.readFile(path.join(CACHE_DIR, entry.hash));
+
+    entry.lastAccess = Date.now();
+    scheduleIndexSave();
+
+    return data;
+}
+
+/**
+ * Descarga (o revalida con ETag / Last-Modified) un archivo y actualiza el cache
+ * @param {string} url - URL del archivo
+ * @param {object|undefined} entry - Entrada actual del índice
+ * @returns {Promise<Buffer>}
+ */
+async function fetchAndStore(url, entry) {
+    const headers = {};
+
+    if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    let response;
+
+    try {
+        response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: config.mediaCache.timeoutSeconds * 1000,
+            headers,
+            validateStatus: status => status === 200 || status === 304
+        });
+    } catch (error) {
+        // Frontend caído o arrancando en frío: se usa la copia local aunque esté vencida
+        if (entry) {
+            stats.staleServed++;
+            logger.warn(`[MEDIA-CACHE] No se pudo revalidar ${url} (${error.message}), usando copia local`);
+            return readEntry(url, entry);
+        }
+        throw error;
+    }
+
+    if (response.status === 304) {
+        stats.revalidated++;
+        entry.fetchedAt = Date.now();
+        return readEntry(url, entry);
+    }
+
+    const data = Buffer.from(response.data);
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    const filePath = path.join(CACHE_DIR, hash);
+
+    if (!fs.existsSync(filePath)) {
+        await fs.promises.writeFile(filePath, data);
+    }
+
+    getIndex().set(url, {
+        hash,
+        size: data.length,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        fetchedAt: Date.now(),
+        lastAccess: Date.now()
+    });
+
+    stats.downloads++;
+    scheduleIndexSave();
+    await evictIfNeeded();
+
+    logger.info(`[MEDIA-CACHE] Descargado: ${url} (${data.length} bytes)`);
+
+    return data;
+}
+
+/**
+ * Obtiene el contenido de un archivo multimedia, desde el disco si está fresco
+ * @param {string} url - URL del archivo
+ * @returns {Promise<Buffer>}
+ */
+async function getMedia(url) {
+    if (!config.mediaCache.enabled) {
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: config.mediaCache.timeoutSeconds * 1000
+        });
+        return Buffer.from(response.data);
+    }
+
+    const entry = getIndex().get(url);
+
+    if (entry && Date.now() - entry.fetchedAt < config.mediaCache.revalidateAfterSeconds * 1000) {
+        stats.hits++;
+        return readEntry(url, entry);
+    }
+
+    if (!inFlight.has(url)) {
+        const fetch = fetchAndStore(url, entry).finally(() => inFlight.delete(url));
+        inFlight.set(url, fetch);
+    }
+
+    return inFlight.get(url);
+}
+
+/**
+ * Descarga por adelantado una lista de archivos (ej: al activar una campaña)
+ * @param {Array<string>} urls - URLs a precargar
+ * @returns {Promise<{loaded: number, failed: number}>}
+ */
+async function prewarm(urls) {
+    let loaded = 0;
+    let failed = 0;
+
+    // Uno por uno para no saturar al frontend
+    for (const url of new Set(urls)) {
+        try {
+            await getMedia(url);
+            loaded++;
+        } catch (error) {
+            failed++;
+            logger.warn(`[MEDIA-CACHE] No se pudo precargar ${url}: ${error.message}`);
+        }
+    }
+
+    logger.info(`[MEDIA-CACHE] Precarga terminada: ${loaded} archivos, ${failed} fallidos`);
+
+    return { loaded, failed };
+}
+
+/**
+ * Estadísticas del cache en disco
+ * @returns {object}
+ */
+function getStats() {
+    return {
+        name: 'mediaFiles',
+        enabled: config.mediaCache.enabled,
+        entries: getIndex().size,
+        sizeBytes: getTotalSize(),
+        maxSizeMb: config.mediaCache.maxSizeMb,
+        ...stats
+    };
+}
+
+module.exports = {
+    getMedia,
+    prewarm,
+    getStats
+};
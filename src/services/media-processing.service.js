@@ -0,0 +1,452 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const storageService = require('./storage.service');
+
+// Tipo MIME con el que WhatsApp reconoce una nota de voz
+const VOICE_NOTE_MIME = 'audio/ogg; codecs=opus';
+
+// Formatos que WhatsApp muestra sin convertir (el resto se convierte si hay ffmpeg)
+const SUPPORTED_FORMATS = {
+    image: ['image/jpeg', 'image/png', 'image/webp'],
+    audio: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr'],
+    video: ['video/mp4', 'video/3gpp']
+};
+
+const CATEGORY_LABELS = {
+    image: 'una imagen',
+    audio: 'un audio',
+    video: 'un video'
+};
+
+// Categoría de archivo que espera cada tipo de mensaje
+const CATEGORY_BY_TYPE = {
+    IMAGE: 'image',
+    GALLERY: 'image',
+    STICKER: 'image',
+    AUDIO: 'audio',
+    VIDEO: 'video',
+    DOCUMENT: 'document'
+};
+
+// null = todavía no se sabe (se descubre en la primera conversión)
+let ffmpegAvailable = null;
+
+// Conversiones hechas al enviar: "<operación>:<sha256>" -> Buffer (o null si falló)
+const conversionCache = new Map();
+
+/**
+ * Detecta el tipo MIME real por los primeros bytes del archivo
+ * @param {Buffer} data - Contenido
+ * @param {string} fileName - Nombre (desempata formatos contenedor como ZIP/OLE de Office)
+ * @returns {string|null} - null si no se reconoce
+ */
+function sniffMimeType(data, fileName = '') {
+    const ascii = (start, end) => data.toString('latin1', start, end);
+
+    if (data.length < 12) return null;
+
+    if (data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) return 'image/jpeg';
+    if (data.readUInt32BE(0) === 0x89504E47) return 'image/png';
+    if (ascii(0, 4) === 'GIF8') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+    if (ascii(0, 4) === '%PDF') return 'application/pdf';
+    if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+    if (ascii(0, 5) === '#!AMR') return 'audio/amr';
+    if (ascii(0, 3) === 'ID3') return 'audio/mpeg';
+    if (data.readUInt32BE(0) === 0x1A45DFA3) return 'video/webm';
+
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+        if (brand.startsWith('3g')) return 'video/3gpp';
+        if (brand === 'qt  ') return 'video/quicktime';
+        return 'video/mp4';
+    }
+
+    // Sincronía de frame MPEG: ADTS (AAC) o MP3 sin etiqueta ID3
+    if (data[0] === 0xFF && (data[1] & 0xE0) === 0xE0) {
+        return (data[1] & 0x06) === 0 ? 'audio/aac' : 'audio/mpeg';
+    }
+
+    // DOCX/XLSX son ZIP y DOC/XLS son OLE: el tipo sale de la extensión
+    if (ascii(0, 4) === 'PK\x03\x04' || data.readUInt32BE(0) === 0xD0CF11E0) {
+        const byExtension = storageService.getMimeType(fileName);
+        return byExtension.startsWith('application/') && byExtension !== 'application/pdf'
+            ? byExtension
+            : 'application/octet-stream';
+    }
+
+    return null;
+}
+
+/**
+ * Categoría de un tipo MIME (image, audio, video o document)
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function getCategory(mimeType) {
+    const prefix = (mimeType || '').split('/')[0];
+    return ['image', 'audio', 'video'].includes(prefix) ? prefix : 'document';
+}
+
+/**
+ * Dimensiones de una imagen PNG o JPEG leyendo su cabecera
+ * @param {Buffer} data
+ * @returns {{width: number, height: number}|null} - null si no se pueden leer
+ */
+function getImageDimensions(data) {
+    if (data.readUInt32BE(0) === 0x89504E47 && data.length >= 24) {
+        return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+
+    if (data[0] !== 0xFF || data[1] !== 0xD8) {
+        return null;
+    }
+
+    // Recorre los segmentos JPEG hasta el SOF (Start Of Frame)
+    let offset = 2;
+    while (offset + 9 < data.length) {
+        if (data[offset] !== 0xFF) return null;
+
+        const marker = data[offset + 1];
+        const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+
+        if (isStartOfFrame) {
+            return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+        }
+
+        offset += 2 + data.readUInt16BE(offset + 2);
+    }
+
+    return null;
+}
+
+/**
+ * Indica si un OGG contiene Opus (lo que WhatsApp reproduce como nota de voz)
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+function isOpusOgg(data) {
+    // OpusHead va en el primer paquete, justo después de la cabecera de la página OGG
+    const opusHead = data.indexOf('OpusHead', 0, 'latin1');
+    return data.toString('latin1', 0, 4) === 'OggS' && opusHead !== -1 && opusHead < 128;
+}
+
+/**
+ * Indica si una imagen supera el tamaño o las dimensiones configuradas
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+function isOversizedImage(data) {
+    const { maxDimension, maxSizeKb } = config.mediaProcessing.image;
+    const dimensions = getImageDimensions(data);
+
+    return data.length > maxSizeKb * 1024
+        || Boolean(dimensions && Math.max(dimensions.width, dimensions.height) > maxDimension);
+}
+
+// ==================== FFMPEG ====================
+
+/**
+ * Ejecuta ffmpeg sobre un archivo temporal
+ * @param {Buffer} input - Archivo de entrada
+ * @param {Array<string>} args - Argumentos de salida
+ * @param {string} outputExtension - Extensión del archivo de salida (define el formato)
+ * @returns {Promise<Buffer|null>} - null si ffmpeg no está instalado o falló
+ */
+async function runFfmpeg(input, args, outputExtension) {
+    if (ffmpegAvailable === false) {
+        return null;
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'bot-media-'));
+    const inputFile = path.join(workDir, 'input');
+    const outputFile = path.join(workDir, `output${outputExtension}`);
+
+    try {
+        await fs.promises.writeFile(inputFile, input);
+
+        await new Promise((resolve, reject) => {
+            const ffmpeg = spawn(
+                config.mediaProcessing.ffmpegPath,
+                ['-y', '-hide_banner', '-loglevel', 'error', '-i', inputFile, ...args, outputFile],
+                { stdio: ['ignore', 'ignore', 'pipe'] }
+            );
+
+            let stderr = '';
+            ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+
+            const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), config.mediaProcessing.timeoutSeconds * 1000);
+
+            ffmpeg.on('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+
+            ffmpeg.on('close', code => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`ffmpeg terminó con código ${code}: ${stderr.trim().slice(-300)}`));
+                }
+            });
+        });
+
+        ffmpegAvailable = true;
+
+        return await fs.promises.readFile(outputFile);
+
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            ffmpegAvailable = false;
+            logger.warn(`[MEDIA] ffmpeg no encontrado (${config.mediaProcessing.ffmpegPath}), los archivos se envían sin convertir`);
+        } else {
+            logger.warn(`[MEDIA] Error convirtiendo archivo: ${error.message}`);
+        }
+        return null;
+
+    } finally {
+        fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+/**
+ * Convierte un audio a OGG/Opus mono (nota de voz)
+ * @param {Buffer} data
+ * @returns {Promise<Buffer|null>}
+ */
+function convertToVoiceNote(data) {
+    return runFfmpeg(data, [
+        '-vn', '-map_metadata', '-1',
+        '-ac', '1', '-ar', '48000',
+        '-c:a', 'libopus', '-b:a', `${config.mediaProcessing.voiceNoteBitrateKbps}k`, '-application', 'voip'
+    ], '.ogg');
+}
+
+/**
+ * Reduce una imagen a JPEG dentro de maxDimension (las transparencias quedan con fondo negro)
+ * @param {Buffer} data
+ * @returns {Promise<Buffer|null>}
+ */
+function convertToJpeg(data) {
+    const { maxDimension, quality } = config.mediaProcessing.image;
+
+    return runFfmpeg(data, [
+        '-vf', `scale=w='min(${maxDimension},iw)':h='min(${maxDimension},ih)':force_original_aspect_ratio=decrease`,
+        '-frames:v', '1', '-q:v', String(quality)
+    ], '.jpg');
+}
+
+/**
+ * Genera la miniatura JPEG de un video (el filtro thumbnail elige un frame representativo del inicio)
+ * @param {Buffer} data
+ * @returns {Promise<Buffer|null>}
+ */
+function createVideoThumbnail(data) {
+    return runFfmpeg(data, [
+        '-vf', `thumbnail,scale=${config.mediaProcessing.thumbnailWidth}:-2`,
+        '-frames:v', '1', '-q:v', '4'
+    ], '.jpg');
+}
+
+/**
+ * Ejecuta una conversión guardando el resultado en memoria por hash del contenido
+ * @param {string} operation - Nombre de la conversión
+ * @param {Buffer} data - Entrada
+ * @param {Function} convert - (data) => Promise<Buffer|null>
+ * @returns {Promise<Buffer|null>}
+ */
+async function convertCached(operation, data, convert) {
+    const key = `${operation}:${crypto.createHash('sha256').update(data).digest('hex')}`;
+
+    if (conversionCache.has(key)) {
+        // Re-insertar para mantener el orden de uso (se descarta el más antiguo)
+        const cached = conversionCache.get(key);
+        conversionCache.delete(key);
+        conversionCache.set(key, cached);
+        return cached;
+    }
+
+    const result = await convert(data);
+
+    conversionCache.set(key, result);
+    if (conversionCache.size > config.mediaProcessing.memoryCacheEntries) {
+        conversionCache.delete(conversionCache.keys().next().value);
+    }
+
+    return result;
+}
+
+// ==================== API ====================
+
+/**
+ * Revisa un archivo para un tipo de mensaje: formato real, que corresponda al tipo y límites de WhatsApp
+ * @param {Buffer} data - Contenido
+ * @param {object} options - {typeCode, mimeType (declarado), fileName}
+ * @returns {{mimeType: string, category: string, errors: Array<string>, warnings: Array<string>, conversions: Array<string>}}
+ */
+function inspectMedia(data, options) {
+    const { typeCode, mimeType: declaredMimeType, fileName } = options;
+    const errors = [];
+    const warnings = [];
+    // Conversiones que se harán al enviar (no son errores)
+    const conversions = [];
+
+    const expected = CATEGORY_BY_TYPE[typeCode] || 'document';
+    const sniffed = sniffMimeType(data, fileName);
+    const mimeType = sniffed || declaredMimeType || 'application/octet-stream';
+    const category = getCategory(mimeType);
+
+    if (!sniffed && expected !== 'document') {
+        errors.push(`No se reconoce el formato del archivo (se esperaba ${CATEGORY_LABELS[expected]})`);
+        return { mimeType, category, errors, warnings, conversions };
+    }
+
+    if (declaredMimeType && sniffed && getCategory(declaredMimeType) !== category) {
+        warnings.push(`Se declaró ${declaredMimeType} pero el contenido es ${sniffed}`);
+    }
+
+    if (expected !== 'document' && category !== expected) {
+        errors.push(`El archivo es ${mimeType}, no ${CATEGORY_LABELS[expected]}`);
+        return { mimeType, category, errors, warnings, conversions };
+    }
+
+    if (expected === 'audio' && !isOpusOgg(data)) {
+        conversions.push('No es OGG/Opus: se convierte para enviarlo como nota de voz (sin ffmpeg va como audio normal)');
+    }
+
+    if (expected === 'image' && (isOversizedImage(data) || !SUPPORTED_FORMATS.image.includes(mimeType))) {
+        conversions.push('La imagen se convierte a JPEG reducido antes de enviarla');
+    }
+
+    if (expected === 'video' && !SUPPORTED_FORMATS.video.includes(mimeType)) {
+        errors.push(`Formato de video no soportado por WhatsApp: ${mimeType} (usa MP4 o 3GP)`);
+    }
+
+    const maxBytes = config.mediaProcessing.maxSizeMb[expected] * 1024 * 1024;
+    // Las imágenes grandes se reducen al enviar, el límite solo aplica si no se pueden convertir
+    if (data.length > maxBytes && (expected !== 'image' || ffmpegAvailable === false)) {
+        errors.push(`El archivo pesa ${(data.length / 1024 / 1024).toFixed(1)} MB, el límite de WhatsApp para ${expected} es ${config.mediaProcessing.maxSizeMb[expected]} MB`);
+    }
+
+    return { mimeType, category, errors, warnings, conversions };
+}
+
+/**
+ * Valida y convierte un archivo subido antes de guardarlo
+ * Audio -> OGG/Opus, imágenes grandes o no soportadas -> JPEG reducido, video -> miniatura
+ * @param {Buffer} data - Contenido subido
+ * @param {object} options - {typeCode, mimeType (declarado), fileName}
+ * @returns {Promise<{data: Buffer, mimeType: string, fileName: string, thumbnail: Buffer|null, converted: boolean, errors: Array<string>, warnings: Array<string>}>}
+ */
+async function prepareUpload(data, options) {
+    const { typeCode, fileName } = options;
+    const inspection = inspectMedia(data, options);
+
+    const result = {
+        data,
+        mimeType: inspection.mimeType,
+        fileName,
+        thumbnail: null,
+        converted: false,
+        errors: inspection.errors,
+        warnings: inspection.warnings
+    };
+
+    if (result.errors.length > 0) {
+        return result;
+    }
+
+    const baseName = fileName ? path.basename(fileName, path.extname(fileName)) : 'archivo';
+    let converted = null;
+
+    if (inspection.category === 'audio' && CATEGORY_BY_TYPE[typeCode] === 'audio' && !isOpusOgg(data)) {
+        converted = await convertToVoiceNote(data);
+        if (converted) {
+            Object.assign(result, { data: converted, mimeType: 'audio/ogg', fileName: `${baseName}.ogg` });
+        } else if (!SUPPORTED_FORMATS.audio.includes(inspection.mimeType)) {
+            result.errors.push(`Formato de audio no soportado por WhatsApp y no se pudo convertir: ${inspection.mimeType}`);
+        } else {
+            result.warnings.push('No se pudo convertir a OGG/Opus: se enviará como audio normal, no como nota de voz');
+        }
+    }
+
+    if (inspection.category === 'image' && CATEGORY_BY_TYPE[typeCode] === 'image'
+        && (isOversizedImage(data) || !SUPPORTED_FORMATS.image.includes(inspection.mimeType))) {
+        converted = await convertToJpeg(data);
+        if (converted) {
+            Object.assign(result, { data: converted, mimeType: 'image/jpeg', fileName: `${baseName}.jpg` });
+        } else if (!SUPPORTED_FORMATS.image.includes(inspection.mimeType)) {
+            result.errors.push(`Formato de imagen no soportado por WhatsApp y no se pudo convertir: ${inspection.mimeType}`);
+        } else {
+            result.warnings.push('No se pudo reducir la imagen: se guarda tal cual');
+        }
+    }
+
+    if (inspection.category === 'video') {
+        result.thumbnail = await createVideoThumbnail(data);
+        if (!result.thumbnail) {
+            result.warnings.push('No se pudo generar la miniatura del video');
+        }
+    }
+
+    result.converted = Boolean(converted);
+
+    // El límite se revisa sobre el archivo final (ya convertido)
+    const category = CATEGORY_BY_TYPE[typeCode] || 'document';
+    const maxMb = config.mediaProcessing.maxSizeMb[category];
+    if (result.data.length > maxMb * 1024 * 1024) {
+        result.errors.push(`El archivo pesa ${(result.data.length / 1024 / 1024).toFixed(1)} MB, el límite de WhatsApp para ${category} es ${maxMb} MB`);
+    }
+
+    if (result.converted) {
+        logger.info(`[MEDIA] ${fileName || 'archivo'} convertido a ${result.mimeType} (${data.length} -> ${result.data.length} bytes)`);
+    }
+
+    return result;
+}
+
+/**
+ * Ajusta un archivo justo antes de enviarlo (para archivos que no pasaron por la subida,
+ * ej: rutas del frontend): audio -> nota de voz, imágenes grandes -> JPEG reducido
+ * @param {Buffer} data - Contenido
+ * @param {string} mimeType - Tipo MIME de message_media
+ * @param {string} typeCode - Tipo de mensaje
+ * @returns {Promise<{data: Buffer, mimeType: string}>} - mimeType es VOICE_NOTE_MIME si es nota de voz
+ */
+async function prepareForSend(data, mimeType, typeCode) {
+    const category = CATEGORY_BY_TYPE[typeCode];
+
+    if (category === 'audio') {
+        if (isOpusOgg(data)) {
+            return { data, mimeType: VOICE_NOTE_MIME };
+        }
+
+        const converted = await convertCached('voice', data, convertToVoiceNote);
+        return converted
+            ? { data: converted, mimeType: VOICE_NOTE_MIME }
+            : { data, mimeType: sniffMimeType(data) || mimeType };
+    }
+
+    if (category === 'image' && isOversizedImage(data)) {
+        const converted = await convertCached('jpeg', data, convertToJpeg);
+        return converted ? { data: converted, mimeType: 'image/jpeg' } : { data, mimeType };
+    }
+
+    return { data, mimeType };
+}
+
+module.exports = {
+    VOICE_NOTE_MIME,
+    sniffMimeType,
+    inspectMedia,
+    prepareUpload,
+    prepareForSend
+};
@@ -1,16 +1,31 @@
 const db = require('../config/database2');
 const config = require('../config/config2');
 const logger = require('../utils/logger');
-const { sleep, replaceVariables } = require('../utils/helpers');
-const axios = require('axios');
-const { MessageMedia } = require('whatsapp-web.js');
+const path = require('path');
+const { sleep, replaceVariables, toChatId, isValidUrl } = require('../utils/helpers');
+const { MessageMedia, Location } = require('whatsapp-web.js');
+const cacheService = require('./cache.service');
+const mediaCacheService = require('./media-cache.service');
+const storageService = require('./storage.service');
+const mediaProcessingService = require('./media-processing.service');
 
 /**
- * Obtiene todos los mensajes de una campaña ordenados
+ * Obtiene los mensajes activos de una campaña ordenados (desde el cache de mensajes)
  * @param {number} campaignId - ID de la campaña
+ * @param {string} flowGroup - Grupo del flujo (null = secuencia principal)
  * @returns {Promise<Array>}
  */
-async function getCampaignMessages(campaignId) {
+async function getCampaignMessages(campaignId, flowGroup = null) {
+    return cacheService.getCache('messages').getOrLoad(`${campaignId}:${flowGroup || ''}`, () => queryCampaignMessages(campaignId, flowGroup));
+}
+
+/**
+ * Consulta en la BD los mensajes activos de un grupo (ver getCampaignMessages)
+ * @param {number} campaignId - ID de la campaña
+ * @param {string|null} flowGroup - Grupo del flujo
+ * @returns {Promise<Array>}
+ */
+async function queryCampaignMessages(campaignId, flowGroup) {
     try {
         const [messages] = await db.query(
             `SELECT 
@@ -21,17 +36,20 @@ async function getCampaignMessages(campaignId) {
                 m.content,
                 m.sort_order,
                 m.delay_seconds,
-                m.is_active
+                m.is_active,
+                m.flow_group,
+                m.payload
             FROM messages m
             INNER JOIN message_types mt ON m.message_type_id = mt.id
             WHERE m.campaign_id = ?
                 AND m.is_active = TRUE
                 AND m.deleted_at IS NULL
+                AND ${flowGroup ? 'm.flow_group = ?' : 'm.flow_group IS NULL'}
             ORDER BY m.sort_order ASC`,
-            [campaignId]
+            flowGroup ? [campaignId, flowGroup] : [campaignId]
         );
         
-        logger.info(`[MESSAGE] Obtenidos ${messages.length} mensajes para campaña ${campaignId}`);
+        logger.info(`[MESSAGE] Obtenidos ${messages.length} mensajes para campaña ${campaignId}${flowGroup ? ` (grupo ${flowGroup})` : ''}`);
         
         return messages;
         
@@ -42,11 +60,20 @@ async function getCampaignMessages(campaignId) {
 }
 
 /**
- * Obtiene los archivos multimedia de un mensaje
+ * Obtiene los archivos multimedia de un mensaje (desde el cache de media)
  * @param {number} messageId - ID del mensaje
  * @returns {Promise<Array>}
  */
 async function getMessageMedia(messageId) {
+    return cacheService.getCache('media').getOrLoad(messageId, () => queryMessageMedia(messageId));
+}
+
+/**
+ * Consulta en la BD los archivos de un mensaje (sin cache, usado por la API admin)
+ * @param {number} messageId - ID del mensaje
+ * @returns {Promise<Array>}
+ */
+async function queryMessageMedia(messageId) {
     try {
         const [mediaFiles] = await db.query(
             `SELECT 
@@ -56,7 +83,8 @@ async function getMessageMedia(messageId) {
                 file_path,
                 file_name,
                 sort_order,
-                mime_type
+                mime_type,
+                thumbnail_path
             FROM message_media
             WHERE message_id = ?
                 AND deleted_at IS NULL
@@ -73,29 +101,30 @@ async function getMessageMedia(messageId) {
 }
 
 /**
- * Descarga un archivo desde el frontend y lo convierte en MessageMedia
- * @param {string} fileUrl - URL completa del archivo
- * @param {string} mimeType - Tipo MIME del archivo
- * @returns {Promise<MessageMedia>}
+ * Obtiene el contenido de un archivo de message_media
+ * Los archivos de storage se leen directo; los del frontend pasan por el cache en disco
+ * @param {string} filePath - file_path de message_media
+ * @returns {Promise<Buffer>}
  */
-async function downloadMediaFromUrl(fileUrl, mimeType, filename = 'file') {
+async function loadMediaData(filePath) {
+    if (storageService.isStoragePath(filePath)) {
+        const data = await storageService.readFile(storageService.getKey(filePath));
+
+        if (!data) {
+            throw new Error(`Archivo no encontrado en storage: ${filePath}`);
+        }
+
+        return data;
+    }
+
+    const fileUrl = buildMediaUrl(filePath);
+
     try {
-        logger.info(`[MESSAGE] Descargando media desde: ${fileUrl}`);
-        
-        const response = await axios.get(fileUrl, {
-            responseType: 'arraybuffer',
-            timeout: 30000 // 30 segundos
-        });
-        
-        // Convertir a base64
-        const base64Data = Buffer.from(response.data, 'binary').toString('base64');
+        const data = await mediaCacheService.getMedia(fileUrl);
         
-        // Crear MessageMedia con el nombre del archivo
-        const media = new MessageMedia(mimeType, base64Data, filename);
+        logger.debug(`[MESSAGE] Media obtenido: ${fileUrl}`);
         
-        logger.info(`[MESSAGE] Media descargado exitosamente: ${fileUrl}`);
-        
-        return media;
+        return data;
         
     } catch (error) {
         logger.error(`[MESSAGE] Error descargando media desde ${fileUrl}:`, error.message);
@@ -104,8 +133,23 @@ async function downloadMediaFromUrl(fileUrl, mimeType, filename = 'file') {
 }
 
 /**
- * Construye la URL completa del archivo desde el frontend
- * @param {string} filePath - Ruta del archivo (ej: /media/campaigns/yanachaga/foto.jpg)
+ * Obtiene el archivo de una fila de message_media listo para enviar (convertido si hace falta)
+ * @param {object} mediaFile - Fila de message_media
+ * @param {string} typeCode - Tipo de mensaje que lo envía
+ * @param {string} defaultMimeType - Tipo MIME si la fila no lo tiene
+ * @param {string} filename - Nombre con el que se envía
+ * @returns {Promise<MessageMedia>}
+ */
+async function loadMediaFile(mediaFile, typeCode, defaultMimeType, filename = 'file') {
+    const data = await loadMediaData(mediaFile.file_path);
+    const prepared = await mediaProcessingService.prepareForSend(data, mediaFile.mime_type || defaultMimeType, typeCode);
+
+    return new MessageMedia(prepared.mimeType, prepared.data.toString('base64'), filename);
+}
+
+/**
+ * Construye la URL pública de un archivo
+ * @param {string} filePath - "storage:<key>" (archivo subido al bot), URL completa o ruta relativa al frontend
  * @returns {string}
  */
 function buildMediaUrl(filePath) {
@@ -114,18 +158,13 @@ function buildMediaUrl(filePath) {
         return filePath;
     }
     
-    // Limpiar la ruta
-    let cleanPath = filePath.startsWith('/') ? filePath.substring(1) : filePath;
-    
-    // Si la ruta empieza con "media/", quitarla porque en el frontend está en /post/
-    if (cleanPath.startsWith('media/')) {
-        cleanPath = cleanPath.replace('media/campaigns/yanachaga/', 'post/');
+    if (storageService.isStoragePath(filePath)) {
+        return storageService.getPublicUrl(storageService.getKey(filePath));
     }
     
-    // Construir URL completa
-    const fullUrl = `${config.frontendMediaUrl}/${cleanPath}`;
+    const cleanPath = filePath.startsWith('/') ? filePath.substring(1) : filePath;
     
-    return fullUrl;
+    return `${config.frontendMediaUrl}/${cleanPath}`;
 }
 
 /**
@@ -157,15 +196,16 @@ async function logMessageSent(conversationId, messageId, whatsappMessageId) {
  * @param {number} conversationId - ID de la conversación
  * @param {number} messageId - ID del mensaje
  * @param {string} errorMessage - Mensaje de error
+ * @param {number} retryCount - Reintentos hechos antes de darlo por fallido
  * @returns {Promise<void>}
  */
-async function logMessageFailed(conversationId, messageId, errorMessage) {
+async function logMessageFailed(conversationId, messageId, errorMessage, retryCount = 0) {
     try {
         await db.query(
             `INSERT INTO bot_message_log 
             (conversation_id, message_id, sent_at, delivery_status, error_message, retry_count)
-            VALUES (?, ?, NOW(), 'FAILED', ?, 0)`,
-            [conversationId, messageId, errorMessage]
+            VALUES (?, ?, NOW(), 'FAILED', ?, ?)`,
+            [conversationId, messageId, errorMessage, retryCount]
         );
         
         logger.debug(`[MESSAGE] Fallo registrado: Conversación ${conversationId}, Mensaje ${messageId}`);
@@ -176,102 +216,47 @@ async function logMessageFailed(conversationId, messageId, errorMessage) {
 }
 
 /**
- * Envía una secuencia completa de mensajes al usuario
+ * Envía un mensaje de la secuencia según su tipo (lo usa la cola de salida, ver outbound-queue.service)
  * @param {object} client - Cliente de WhatsApp
  * @param {string} userPhone - Número del usuario
- * @param {number} conversationId - ID de la conversación
- * @param {Array} messages - Array de mensajes a enviar
+ * @param {object} msg - Mensaje (type_code, content, payload, id)
  * @param {object} variables - Variables para reemplazar en el contenido (ej: {nombre: 'Juan'})
- * @returns {Promise<object>}
+ * @returns {Promise<string>} - ID del mensaje en WhatsApp
  */
-async function sendSequentialMessages(client, userPhone, conversationId, messages, variables = {}) {
-    let successCount = 0;
-    let failCount = 0;
-    
-    try {
-        logger.info(`[MESSAGE] Iniciando envío de ${messages.length} mensajes a ${userPhone}`);
-        
-        for (let i = 0; i < messages.length; i++) {
-            const msg = messages[i];
+async function sendMessageStep(client, userPhone, msg, variables = {}) {
+    switch (msg.type_code) {
+        case 'TEXT':
+            return sendTextMessage(client, userPhone, msg, variables);
             
-            try {
-                // Esperar el delay antes de enviar
-                if (msg.delay_seconds > 0) {
-                    logger.debug(`[MESSAGE] Esperando ${msg.delay_seconds}s antes del mensaje ${i + 1}`);
-                    await sleep(msg.delay_seconds * 1000);
-                }
-                
-                logger.info(`[MESSAGE] Enviando mensaje ${i + 1}/${messages.length} - Tipo: ${msg.type_code} - Conversación: ${conversationId}`);
-                
-                let whatsappMessageId = null;
-                
-                // Procesar según el tipo de mensaje
-                switch (msg.type_code) {
-                    case 'TEXT':
-                        whatsappMessageId = await sendTextMessage(client, userPhone, msg, variables);
-                        break;
-                        
-                    case 'IMAGE':
-                        whatsappMessageId = await sendImageMessage(client, userPhone, msg, variables);
-                        break;
-                        
-                    case 'AUDIO':
-                        whatsappMessageId = await sendAudioMessage(client, userPhone, msg);
-                        break;
-                        
-                    case 'DOCUMENT':
-                        whatsappMessageId = await sendDocumentMessage(client, userPhone, msg, variables);
-                        break;
-                        
-                    case 'GALLERY':
-                        whatsappMessageId = await sendGalleryMessage(client, userPhone, msg);
-                        break;
-                        
-                    default:
-                        logger.warn(`[MESSAGE] Tipo de mensaje no soportado: ${msg.type_code}`);
-                        continue;
-                }
-                
-                // Registrar mensaje enviado
-                await logMessageSent(conversationId, msg.id, whatsappMessageId);
-                
-                // Incrementar contador en conversación
-                const conversationService = require('./conversation.service');
-                await conversationService.incrementMessagesSent(conversationId);
-                
-                successCount++;
-                logger.info(`[MESSAGE] ✅ Mensaje ${i + 1}/${messages.length} enviado exitosamente`);
-                
-            } catch (error) {
-                logger.error(`[MESSAGE] ❌ Error enviando mensaje ${msg.id}:`, error.message);
-                
-                // Registrar fallo
-                await logMessageFailed(conversationId, msg.id, error.message);
-                failCount++;
-                
-                // Si es un error crítico, detener el envío
-                if (error.message.includes('Connection closed') || error.message.includes('Session closed')) {
-                    logger.error('[MESSAGE] Error crítico de conexión, deteniendo envío');
-                    throw error;
-                }
-                
-                // Continuar con el siguiente mensaje
-                continue;
-            }
-        }
-        
-        logger.info(`[MESSAGE] Envío finalizado: ${successCount} exitosos, ${failCount} fallidos`);
-        
-        return {
-            success: true,
-            total: messages.length,
-            sent: successCount,
-            failed: failCount
-        };
-        
-    } catch (error) {
-        logger.error('[MESSAGE] Error crítico en sendSequentialMessages:', error);
-        throw error;
+        case 'IMAGE':
+            return sendImageMessage(client, userPhone, msg, variables);
+            
+        case 'AUDIO':
+            return sendAudioMessage(client, userPhone, msg);
+            
+        case 'DOCUMENT':
+            return sendDocumentMessage(client, userPhone, msg, variables);
+            
+        case 'GALLERY':
+            return sendGalleryMessage(client, userPhone, msg);
+            
+        case 'VIDEO':
+            return sendVideoMessage(client, userPhone, msg, variables);
+            
+        case 'LOCATION':
+            return sendLocationMessage(client, userPhone, msg, variables);
+            
+        case 'CONTACT':
+            return sendContactMessage(client, userPhone, msg, variables);
+            
+        case 'STICKER':
+            return sendStickerMessage(client, userPhone, msg);
+            
+        case 'LINK':
+            return sendLinkMessage(client, userPhone, msg, variables);
+            
+        default:
+            throw new Error(`Tipo de mensaje no soportado: ${msg.type_code}`);
     }
 }
 
@@ -296,9 +281,7 @@ async function sendImageMessage(client, userPhone, message, variables) {
         throw new Error('No se encontró imagen para este mensaje');
     }
     
-    const mediaFile = mediaFiles[0];
-    const mediaUrl = buildMediaUrl(mediaFile.file_path);
-    const media = await downloadMediaFromUrl(mediaUrl, mediaFile.mime_type || 'image/jpeg');
+    const media = await loadMediaFile(mediaFiles[0], 'IMAGE', 'image/jpeg');
     
     const caption = message.content ? replaceVariables(message.content, variables) : '';
     const sentMsg = await client.sendMessage(userPhone, media, { caption });
@@ -316,11 +299,12 @@ async function sendAudioMessage(client, userPhone, message) {
         throw new Error('No se encontró audio para este mensaje');
     }
     
-    const mediaFile = mediaFiles[0];
-    const mediaUrl = buildMediaUrl(mediaFile.file_path);
-    const media = await downloadMediaFromUrl(mediaUrl, mediaFile.mime_type || 'audio/mpeg');
+    const media = await loadMediaFile(mediaFiles[0], 'AUDIO', 'audio/mpeg');
     
-    const sentMsg = await client.sendMessage(userPhone, media, { sendAudioAsVoice: true });
+    // Solo OGG/Opus se reproduce como nota de voz; si no se pudo convertir va como audio normal
+    const sentMsg = await client.sendMessage(userPhone, media, {
+        sendAudioAsVoice: media.mimetype === mediaProcessingService.VOICE_NOTE_MIME
+    });
     return sentMsg.id._serialized;
 }
 
@@ -334,15 +318,12 @@ async function sendDocumentMessage(client, userPhone, message, variables) {
         throw new Error('No se encontró documento para este mensaje');
     }
     
-    const mediaFile = mediaFiles[0];
-    const mediaUrl = buildMediaUrl(mediaFile.file_path);
-    
-    // Pasar el nombre del archivo a downloadMediaFromUrl
-    const media = await downloadMediaFromUrl(
-        mediaUrl, 
-        mediaFile.mime_type || 'application/pdf',
-        'Brochure.pdf'  // Nombre fijo
-    );
+    // Nombre visible para el lead: file_name (admite variables, ej: "Brochure {nombre}.pdf")
+    // o el de la ruta sin el hash que antepone el storage
+    const fileName = mediaFiles[0].file_name
+        ? replaceVariables(mediaFiles[0].file_name, variables)
+        : path.posix.basename(mediaFiles[0].file_path).replace(/^[0-9a-f]{16}-/, '');
+    const media = await loadMediaFile(mediaFiles[0], 'DOCUMENT', 'application/pdf', fileName);
     
     const caption = message.content ? replaceVariables(message.content, variables) : '';
     
@@ -351,7 +332,7 @@ async function sendDocumentMessage(client, userPhone, message, variables) {
         caption
     });
     
-    logger.info(`[MESSAGE] Documento enviado: Brochure.pdf`);
+    logger.info(`[MESSAGE] Documento enviado: ${fileName}`);
     
     return sentMsg.id._serialized;
 }
@@ -371,11 +352,8 @@ async function sendGalleryMessage(client, userPhone, message) {
     let lastMessageId = null;
     
     for (let j = 0; j < mediaFiles.length; j++) {
-        const mediaFile = mediaFiles[j];
-        const mediaUrl = buildMediaUrl(mediaFile.file_path);
-        
         try {
-            const media = await downloadMediaFromUrl(mediaUrl, mediaFile.mime_type || 'image/jpeg');
+            const media = await loadMediaFile(mediaFiles[j], 'GALLERY', 'image/jpeg');
             const sentMsg = await client.sendMessage(userPhone, media);
             lastMessageId = sentMsg.id._serialized;
             
@@ -392,14 +370,709 @@ async function sendGalleryMessage(client, userPhone, message) {
         }
     }
     
-    return lastMessageId || `GALLERY_${Date.now()}`;
+    if (!lastMessageId) {
+        throw new Error('No se pudo enviar ninguna imagen de la galería');
+    }
+    
+    return lastMessageId;
+}
+
+/**
+ * Envía un video
+ */
+async function sendVideoMessage(client, userPhone, message, variables) {
+    const mediaFiles = await getMessageMedia(message.id);
+    
+    if (mediaFiles.length === 0) {
+        throw new Error('No se encontró video para este mensaje');
+    }
+    
+    const media = await loadMediaFile(mediaFiles[0], 'VIDEO', 'video/mp4');
+    
+    const caption = message.content ? replaceVariables(message.content, variables) : '';
+    const sentMsg = await client.sendMessage(userPhone, media, { caption });
+    
+    return sentMsg.id._serialized;
+}
+
+/**
+ * Envía la ubicación del proyecto (payload: {latitude, longitude, name, address, url})
+ */
+async function sendLocationMessage(client, userPhone, message, variables) {
+    const { latitude, longitude, name, address, url } = message.payload;
+    
+    const location = new Location(latitude, longitude, {
+        name: name ? replaceVariables(name, variables) : undefined,
+        address: address ? replaceVariables(address, variables) : undefined,
+        url: url || undefined
+    });
+    
+    const sentMsg = await client.sendMessage(userPhone, location);
+    return sentMsg.id._serialized;
+}
+
+/**
+ * Arma la vCard de un contacto
+ * @param {object} contact - {name, phone, organization, email}
+ * @returns {string}
+ */
+function buildVCard(contact) {
+    const digits = toChatId(contact.phone, config.broadcasts.defaultCountryCode).replace('@c.us', '');
+    
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${contact.name}`,
+        contact.organization ? `ORG:${contact.organization}` : null,
+        `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+        contact.email ? `EMAIL:${contact.email}` : null,
+        'END:VCARD'
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Envía la tarjeta de contacto de un asesor (payload: {name, phone, organization, email})
+ */
+async function sendContactMessage(client, userPhone, message, variables) {
+    const { name, phone, organization, email } = message.payload;
+    
+    const vCard = buildVCard({
+        name: replaceVariables(name, variables),
+        phone,
+        organization: organization ? replaceVariables(organization, variables) : null,
+        email
+    });
+    
+    // whatsapp-web.js envía el texto como tarjeta de contacto al detectar BEGIN:VCARD
+    const sentMsg = await client.sendMessage(userPhone, vCard, { parseVCards: true });
+    return sentMsg.id._serialized;
+}
+
+/**
+ * Envía un sticker (la imagen se convierte a WebP en WhatsApp Web)
+ */
+async function sendStickerMessage(client, userPhone, message) {
+    const mediaFiles = await getMessageMedia(message.id);
+    
+    if (mediaFiles.length === 0) {
+        throw new Error('No se encontró imagen para el sticker');
+    }
+    
+    const media = await loadMediaFile(mediaFiles[0], 'STICKER', 'image/webp');
+    
+    const sentMsg = await client.sendMessage(userPhone, media, { sendMediaAsSticker: true });
+    return sentMsg.id._serialized;
+}
+
+/**
+ * Envía un texto con enlace (payload.preview: false = sin vista previa; por defecto se muestra)
+ */
+async function sendLinkMessage(client, userPhone, message, variables) {
+    const content = replaceVariables(message.content, variables);
+    const preview = !message.payload || message.payload.preview !== false;
+    
+    const sentMsg = await client.sendMessage(userPhone, content, { linkPreview: preview });
+    return sentMsg.id._serialized;
+}
+
+// ==================== ADMINISTRACIÓN DE MENSAJES ====================
+
+// Tipos de mensaje que sabe enviar sendMessageStep
+const MESSAGE_TYPES = ['TEXT', 'IMAGE', 'AUDIO', 'DOCUMENT', 'GALLERY', 'VIDEO', 'LOCATION', 'CONTACT', 'STICKER', 'LINK'];
+
+// Tipos que requieren filas en message_media y el prefijo MIME que aceptan sus senders
+const MEDIA_REQUIREMENTS = {
+    IMAGE: { mimePrefix: 'image/', min: 1 },
+    AUDIO: { mimePrefix: 'audio/', min: 1 },
+    DOCUMENT: { mimePrefix: null, min: 1 },
+    GALLERY: { mimePrefix: 'image/', min: 1 },
+    VIDEO: { mimePrefix: 'video/', min: 1 },
+    STICKER: { mimePrefix: 'image/', min: 1 }
+};
+
+/**
+ * Indica si un tipo de mensaje admite archivos en message_media
+ * @param {string} typeCode
+ * @returns {boolean}
+ */
+function acceptsMedia(typeCode) {
+    return Boolean(MEDIA_REQUIREMENTS[typeCode]);
+}
+
+/**
+ * Verifica que un mensaje tenga la media que su sender necesita
+ * @param {string} typeCode - Tipo de mensaje (TEXT, IMAGE, ...)
+ * @param {string} content - Contenido del mensaje
+ * @param {Array} mediaFiles - Filas de message_media (o media a insertar)
+ * @returns {Array<string>} - Lista de errores (vacía si es válido)
+ */
+function validateMessageMedia(typeCode, content, mediaFiles = []) {
+    const errors = [];
+    const requirement = MEDIA_REQUIREMENTS[typeCode];
+
+    if (typeCode === 'TEXT') {
+        if (!content || content.trim().length === 0) {
+            errors.push('Un mensaje TEXT requiere "content"');
+        }
+        return errors;
+    }
+
+    if (!requirement) {
+        return errors;
+    }
+
+    if (mediaFiles.length < requirement.min) {
+        errors.push(`Un mensaje ${typeCode} requiere al menos ${requirement.min} archivo(s) en message_media`);
+    }
+
+    mediaFiles.forEach((media, index) => {
+        if (!media.file_path || String(media.file_path).trim().length === 0) {
+            errors.push(`media[${index}]: "file_path" es requerido`);
+        }
+        if (requirement.mimePrefix && media.mime_type && !media.mime_type.startsWith(requirement.mimePrefix)) {
+            errors.push(`media[${index}]: mime_type "${media.mime_type}" no es válido para ${typeCode} (se espera ${requirement.mimePrefix}*)`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Verifica el payload (messages.payload) de los tipos que lo usan: LOCATION, CONTACT y LINK
+ * @param {string} typeCode - Tipo de mensaje
+ * @param {string} content - Contenido del mensaje
+ * @param {object|null} payload - Datos del tipo
+ * @returns {Array<string>} - Lista de errores (vacía si es válido)
+ */
+function validateMessagePayload(typeCode, content, payload) {
+    const errors = [];
+    const data = payload || {};
+    const isNumberInRange = (value, limit) => typeof value === 'number' && Math.abs(value) <= limit;
+
+    if (payload !== null && payload !== undefined && (typeof payload !== 'object' || Array.isArray(payload))) {
+        return ['"payload" debe ser un objeto'];
+    }
+
+    if (typeCode === 'LOCATION') {
+        if (!isNumberInRange(data.latitude, 90)) {
+            errors.push('Un mensaje LOCATION requiere payload.latitude (número entre -90 y 90)');
+        }
+        if (!isNumberInRange(data.longitude, 180)) {
+            errors.push('Un mensaje LOCATION requiere payload.longitude (número entre -180 y 180)');
+        }
+        if (data.url && !isValidUrl(data.url)) {
+            errors.push('payload.url no es una URL válida');
+        }
+    }
+
+    if (typeCode === 'CONTACT') {
+        if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+            errors.push('Un mensaje CONTACT requiere payload.name');
+        }
+        if (!data.phone || !toChatId(String(data.phone), config.broadcasts.defaultCountryCode)) {
+            errors.push('Un mensaje CONTACT requiere payload.phone (número válido)');
+        }
+    }
+
+    if (typeCode === 'LINK') {
+        if (!content || !/https?:\/\/\S+/i.test(content)) {
+            errors.push('Un mensaje LINK requiere "content" con un enlace http(s)://');
+        }
+        if (data.preview !== undefined && typeof data.preview !== 'boolean') {
+            errors.push('payload.preview debe ser true o false');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Obtiene el ID de un tipo de mensaje por su código
+ * @param {string} typeCode - Código del tipo (TEXT, IMAGE, ...)
+ * @returns {Promise<number|null>}
+ */
+async function getMessageTypeId(typeCode) {
+    const [types] = await db.query(
+        'SELECT id FROM message_types WHERE type_code = ?',
+        [typeCode]
+    );
+
+    return types.length > 0 ? types[0].id : null;
+}
+
+/**
+ * Obtiene todos los mensajes de una campaña (incluye inactivos) con su media
+ * @param {number} campaignId - ID de la campaña
+ * @returns {Promise<Array>}
+ */
+async function getAllCampaignMessages(campaignId) {
+    try {
+        const [messages] = await db.query(
+            `SELECT 
+                m.id,
+                m.campaign_id,
+                m.message_type_id,
+                mt.type_code,
+                m.content,
+                m.sort_order,
+                m.delay_seconds,
+                m.is_active,
+                m.flow_group,
+                m.payload
+            FROM messages m
+            INNER JOIN message_types mt ON m.message_type_id = mt.id
+            WHERE m.campaign_id = ?
+                AND m.deleted_at IS NULL
+            ORDER BY m.sort_order ASC`,
+            [campaignId]
+        );
+
+        for (const message of messages) {
+            message.media = await queryMessageMedia(message.id);
+        }
+
+        return messages;
+
+    } catch (error) {
+        logger.error(`[MESSAGE] Error obteniendo secuencia de campaña ${campaignId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Descarga al cache en disco la media de los mensajes activos de una campaña
+ * @param {number} campaignId - ID de la campaña
+ * @returns {Promise<{loaded: number, failed: number}>}
+ */
+async function prewarmCampaignMedia(campaignId) {
+    try {
+        const messages = await getAllCampaignMessages(campaignId);
+        // Los archivos de storage se leen directo, solo se precargan los del frontend
+        const urls = messages
+            .filter(message => message.is_active)
+            .flatMap(message => message.media)
+            .filter(media => !storageService.isStoragePath(media.file_path))
+            .map(media => buildMediaUrl(media.file_path));
+
+        logger.info(`[MESSAGE] Precargando ${urls.length} archivos de la campaña ${campaignId}`);
+
+        return await mediaCacheService.prewarm(urls);
+
+    } catch (error) {
+        logger.error(`[MESSAGE] Error precargando media de campaña ${campaignId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Revisa la media de un archivo ya adjuntado: que exista, su formato real y los límites de WhatsApp
+ * @param {string} typeCode - Tipo de mensaje
+ * @param {object} media - {file_path, file_name, mime_type}
+ * @returns {Promise<object>} - Resultado de mediaProcessingService.inspectMedia
+ */
+async function inspectMessageMedia(typeCode, media) {
+    let data;
+
+    try {
+        data = await loadMediaData(media.file_path);
+    } catch (error) {
+        return { mimeType: media.mime_type || null, errors: [`No se pudo obtener el archivo: ${error.message}`], warnings: [], conversions: [] };
+    }
+
+    return mediaProcessingService.inspectMedia(data, {
+        typeCode,
+        mimeType: media.mime_type,
+        fileName: media.file_name
+    });
+}
+
+/**
+ * Revisa la media de los mensajes activos de una campaña antes de activarla
+ * @param {number} campaignId - ID de la campaña
+ * @returns {Promise<{valid: boolean, issues: Array}>} - issues: {messageId, mediaId, filePath, errors, warnings, conversions}
+ */
+async function validateCampaignMedia(campaignId) {
+    try {
+        const messages = await getAllCampaignMessages(campaignId);
+        const issues = [];
+
+        for (const message of messages.filter(message => message.is_active)) {
+            const errors = [
+                ...validateMessageMedia(message.type_code, message.content, message.media),
+                ...validateMessagePayload(message.type_code, message.content, message.payload)
+            ];
+            if (errors.length > 0) {
+                issues.push({ messageId: message.id, mediaId: null, filePath: null, errors, warnings: [], conversions: [] });
+            }
+
+            if (!MEDIA_REQUIREMENTS[message.type_code]) {
+                continue;
+            }
+
+            for (const media of message.media) {
+                const inspection = await inspectMessageMedia(message.type_code, media);
+
+                if (inspection.errors.length > 0 || inspection.warnings.length > 0 || inspection.conversions.length > 0) {
+                    issues.push({
+                        messageId: message.id,
+                        mediaId: media.id,
+                        filePath: media.file_path,
+                        errors: inspection.errors,
+                        warnings: inspection.warnings,
+                        conversions: inspection.conversions
+                    });
+                }
+            }
+        }
+
+        const valid = issues.every(issue => issue.errors.length === 0);
+        logger.info(`[MESSAGE] Media de campaña ${campaignId} revisada: ${valid ? 'válida' : 'con errores'} (${issues.length} observaciones)`);
+
+        return { valid, issues };
+
+    } catch (error) {
+        logger.error(`[MESSAGE] Error revisando media de campaña ${campaignId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene un mensaje de una campaña (incluye inactivos) con su media
+ * @param {number} campaignId - ID de la campaña
+ * @param {number} messageId - ID del mensaje
+ * @returns {Promise<object|null>}
+ */
+async function getMessageById(campaignId, messageId) {
+    try {
+        const [messages] = await db.query(
+            `SELECT 
+                m.id,
+                m.campaign_id,
+                m.message_type_id,
+                mt.type_code,
+                m.content,
+                m.sort_order,
+                m.delay_seconds,
+                m.is_active,
+                m.flow_group,
+                m.payload
+            FROM messages m
+            INNER JOIN message_types mt ON m.message_type_id = mt.id
+            WHERE m.id = ?
+                AND m.campaign_id = ?
+                AND m.deleted_at IS NULL`,
+            [messageId, campaignId]
+        );
+
+        if (messages.length === 0) {
+            return null;
+        }
+
+        const message = messages[0];
+        message.media = await queryMessageMedia(message.id);
+
+        return message;
+
+    } catch (error) {
+        logger.error(`[MESSAGE] Error obteniendo mensaje ${messageId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Inserta una fila de message_media usando la conexión indicada
+ * @private
+ */
+async function insertMedia(connection, messageId, typeCode, media, sortOrder) {
+    const [result] = await connection.query(
+        `INSERT INTO message_media 
+        (message_id, media_type, file_path, file_name, sort_order, mime_type, thumbnail_path)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            messageId,
+            ['GALLERY', 'STICKER'].includes(typeCode) ? 'IMAGE' : typeCode,
+            media.file_path,
+            media.file_name || null,
+            media.sort_order !== undefined ? media.sort_order : sortOrder,
+            media.mime_type || null,
+            media.thumbnail_path || null
+        ]
+    );
+
+    return result.insertId;
+}
+
+/**
+ * Crea un mensaje (y su media) al final de la secuencia de una campaña
+ * @param {object} data - {campaignId, typeCode, content, payload, delaySeconds, sortOrder, isActive, flowGroup, media}
+ * @returns {Promise<number>} - ID del mensaje creado
+ */
+async function createMessage(data) {
+    const { campaignId, typeCode, content = null, payload = null, delaySeconds = config.messageDelay, sortOrder = null, isActive = true, flowGroup = null, media = [] } = data;
+
+    const messageTypeId = await getMessageTypeId(typeCode);
+    if (!messageTypeId) {
+        throw new Error(`Tipo de mensaje no existe en message_types: ${typeCode}`);
+    }
+
+    const connection = await db.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        let order = sortOrder;
+        if (order === null) {
+            const [rows] = await connection.query(
+                'SELECT COALESCE(MAX(sort_order), 0) + 1 AS next_order FROM messages WHERE campaign_id = ? AND deleted_at IS NULL',
+                [campaignId]
+            );
+            order = rows[0].next_order;
+        }
+
+        const [result] = await connection.query(
+            `INSERT INTO messages 
+            (campaign_id, message_type_id, content, payload, sort_order, delay_seconds, is_active, flow_group, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+            [campaignId, messageTypeId, content, payload ? JSON.stringify(payload) : null, order, delaySeconds, isActive, flowGroup]
+        );
+
+        for (let i = 0; i < media.length; i++) {
+            await insertMedia(connection, result.insertId, typeCode, media[i], i + 1);
+        }
+
+        await connection.commit();
+
+        logger.info(`[MESSAGE] Mensaje creado: ID ${result.insertId} - Campaña ${campaignId} - Tipo ${typeCode} - Orden ${order}`);
+        cacheService.invalidateAll(`mensaje ${result.insertId} creado`);
+
+        return result.insertId;
+
+    } catch (error) {
+        await connection.rollback();
+        logger.error(`[MESSAGE] Error creando mensaje en campaña ${campaignId}:`, error);
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Actualiza contenido, payload, delay y/o grupo del flujo de un mensaje
+ * @param {number} messageId - ID del mensaje
+ * @param {object} data - {content, payload, delaySeconds, flowGroup} (opcionales)
+ * @returns {Promise<void>}
+ */
+async function updateMessage(messageId, data) {
+    try {
+        const sets = [];
+        const params = [];
+
+        if (data.content !== undefined) {
+            sets.push('content = ?');
+            params.push(data.content);
+        }
+        if (data.payload !== undefined) {
+            sets.push('payload = ?');
+            params.push(data.payload ? JSON.stringify(data.payload) : null);
+        }
+        if (data.delaySeconds !== undefined) {
+            sets.push('delay_seconds = ?');
+            params.push(data.delaySeconds);
+        }
+        if (data.flowGroup !== undefined) {
+            sets.push('flow_group = ?');
+            params.push(data.flowGroup);
+        }
+
+        if (sets.length === 0) return;
+
+        params.push(messageId);
+
+        await db.query(
+            `UPDATE messages 
+            SET ${sets.join(', ')},
+                updated_at = NOW()
+            WHERE id = ?
+                AND deleted_at IS NULL`,
+            params
+        );
+
+        logger.info(`[MESSAGE] Mensaje actualizado: ID ${messageId}`);
+        cacheService.invalidateAll(`mensaje ${messageId} actualizado`);
+
+    } catch (error) {
+        logger.error(`[MESSAGE] Error actualizando mensaje ${messageId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Activa o desactiva un mensaje de la secuencia
+ * @param {number} messageId - ID del mensaje
+ * @param {boolean} isActive - Nuevo estado
+ * @returns {Promise<void>}
+ */
+async function setMessageActive(messageId, isActive) {
+    try {
+        await db.query(
+            `UPDATE messages 
+            SET is_active = ?,
+                updated_at = NOW()
+            WHERE id = ?
+                AND deleted_at IS NULL`,
+            [Boolean(isActive), messageId]
+        );
+
+        logger.info(`[MESSAGE] Mensaje ${messageId} ${isActive ? 'activado' : 'desactivado'}`);
+        cacheService.invalidateAll(`mensaje ${messageId} ${isActive ? 'activado' : 'desactivado'}`);
+
+    } catch (error) {
+        logger.error(`[MESSAGE] Error cambiando estado del mensaje ${messageId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Reordena la secuencia de una campaña (sort_order = posición en el arreglo)
+ * @param {number} campaignId - ID de la campaña
+ * @param {Array<number>} messageIds - IDs en el nuevo orden (deben ser todos los mensajes de la campaña)
+ * @returns {Promise<void>}
+ */
+async function reorderMessages(campaignId, messageIds) {
+    const connection = await db.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        for (let i = 0; i < messageIds.length; i++) {
+            await connection.query(
+                `UPDATE messages 
+                SET sort_order = ?,
+                    updated_at = NOW()
+                WHERE id = ?
+                    AND campaign_id = ?
+                    AND deleted_at IS NULL`,
+                [i + 1, messageIds[i], campaignId]
+            );
+        }
+
+        await connection.commit();
+
+        logger.info(`[MESSAGE] Secuencia reordenada: Campaña ${campaignId} - [${messageIds.join(', ')}]`);
+        cacheService.invalidateAll(`secuencia de campaña ${campaignId} reordenada`);
+
+    } catch (error) {
+        await connection.rollback();
+        logger.error(`[MESSAGE] Error reordenando mensajes de campaña ${campaignId}:`, error);
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Elimina un mensaje (soft delete) junto con su media
+ * @param {number} messageId - ID del mensaje
+ * @returns {Promise<void>}
+ */
+async function deleteMessage(messageId) {
+    try {
+        await db.query(
+            'UPDATE messages SET deleted_at = NOW(), is_active = FALSE, updated_at = NOW() WHERE id = ?',
+            [messageId]
+        );
+        await db.query(
+            'UPDATE message_media SET deleted_at = NOW() WHERE message_id = ? AND deleted_at IS NULL',
+            [messageId]
+        );
+
+        logger.info(`[MESSAGE] Mensaje eliminado: ID ${messageId}`);
+        cacheService.invalidateAll(`mensaje ${messageId} eliminado`);
+
+    } catch (error) {
+        logger.error(`[MESSAGE] Error eliminando mensaje ${messageId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Adjunta un archivo a un mensaje
+ * @param {number} messageId - ID del mensaje
+ * @param {string} typeCode - Tipo del mensaje
+ * @param {object} media - {file_path, file_name, mime_type, sort_order}
+ * @returns {Promise<number>} - ID de la fila en message_media
+ */
+async function addMessageMedia(messageId, typeCode, media) {
+    try {
+        const [rows] = await db.query(
+            'SELECT COALESCE(MAX(sort_order), 0) + 1 AS next_order FROM message_media WHERE message_id = ? AND deleted_at IS NULL',
+            [messageId]
+        );
+
+        const mediaId = await insertMedia(db, messageId, typeCode, media, rows[0].next_order);
+
+        logger.info(`[MESSAGE] Media ${mediaId} adjuntada al mensaje ${messageId}: ${media.file_path}`);
+        cacheService.invalidateAll(`media adjuntada al mensaje ${messageId}`);
+
+        return mediaId;
+
+    } catch (error) {
+        logger.error(`[MESSAGE] Error adjuntando media al mensaje ${messageId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Quita un archivo de un mensaje (soft delete)
+ * @param {number} messageId - ID del mensaje
+ * @param {number} mediaId - ID de la fila en message_media
+ * @returns {Promise<boolean>} - false si la media no pertenece al mensaje
+ */
+async function removeMessageMedia(messageId, mediaId) {
+    try {
+        const [result] = await db.query(
+            `UPDATE message_media 
+            SET deleted_at = NOW()
+            WHERE id = ?
+                AND message_id = ?
+                AND deleted_at IS NULL`,
+            [mediaId, messageId]
+        );
+
+        if (result.affectedRows > 0) {
+            logger.info(`[MESSAGE] Media ${mediaId} quitada del mensaje ${messageId}`);
+            cacheService.invalidateAll(`media quitada del mensaje ${messageId}`);
+        }
+
+        return result.affectedRows > 0;
+
+    } catch (error) {
+        logger.error(`[MESSAGE] Error quitando media ${mediaId} del mensaje ${messageId}:`, error);
+        throw error;
+    }
 }
 
 module.exports = {
     getCampaignMessages,
     getMessageMedia,
-    sendSequentialMessages,
+    sendMessageStep,
     logMessageSent,
     logMessageFailed,
-    buildMediaUrl
+    buildMediaUrl,
+    MESSAGE_TYPES,
+    acceptsMedia,
+    validateMessageMedia,
+    validateMessagePayload,
+    getAllCampaignMessages,
+    prewarmCampaignMedia,
+    inspectMessageMedia,
+    validateCampaignMedia,
+    getMessageById,
+    createMessage,
+    updateMessage,
+    setMessageActive,
+    reorderMessages,
+    deleteMessage,
+    addMessageMedia,
+    removeMessageMedia
 };
\ No newline at end of file
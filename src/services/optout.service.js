@@ -0,0 +1,153 @@
+const db = require('../config/database2');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { replaceVariables } = require('../utils/helpers');
+const { normalizeText, containsPhrase } = require('../utils/keyword-matcher');
+
+/**
+ * Detecta si el mensaje es un pedido de baja ("BAJA", "STOP", "no me escriban", ...)
+ * Las keywords deben ser el mensaje completo para no confundir "baja" en "¿el precio baja?"
+ * @param {string} messageText - Texto recibido
+ * @returns {string|null} - Keyword o frase detectada
+ */
+function detectOptOutRequest(messageText) {
+    const normalizedMessage = normalizeText(messageText);
+
+    const keyword = config.optOut.keywords.find(k => normalizeText(k) === normalizedMessage);
+    if (keyword) {
+        return keyword;
+    }
+
+    return config.optOut.phrases.find(phrase => containsPhrase(normalizedMessage, normalizeText(phrase), true)) || null;
+}
+
+/**
+ * Detecta si el mensaje es un pedido de volver a recibir mensajes ("ALTA")
+ * @param {string} messageText - Texto recibido
+ * @returns {string|null} - Keyword detectada
+ */
+function detectResubscribeRequest(messageText) {
+    const normalizedMessage = normalizeText(messageText);
+
+    return config.optOut.resubscribeKeywords.find(k => normalizeText(k) === normalizedMessage) || null;
+}
+
+/**
+ * Indica si un número pidió no recibir más mensajes
+ * @param {string} userPhone - Chat ID del usuario
+ * @returns {Promise<boolean>}
+ */
+async function isOptedOut(userPhone) {
+    try {
+        const [rows] = await db.query(
+            'SELECT user_phone FROM bot_opt_outs WHERE user_phone = ?',
+            [userPhone]
+        );
+
+        return rows.length > 0;
+
+    } catch (error) {
+        logger.error(`[OPT-OUT] Error verificando opt-out de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Agrega un número a la lista de supresión (si ya estaba, actualiza fecha y origen)
+ * @param {string} userPhone - Chat ID del usuario
+ * @param {string} source - Origen de la baja: KEYWORD (lo pidió el lead), ADMIN, ...
+ * @param {object} extra - {lineId, triggerMessage}
+ * @returns {Promise<void>}
+ */
+async function optOut(userPhone, source, extra = {}) {
+    try {
+        await db.query(
+            `INSERT INTO bot_opt_outs
+            (user_phone, source, line_id, trigger_message, opted_out_at)
+            VALUES (?, ?, ?, ?, NOW())
+            ON DUPLICATE KEY UPDATE
+                source = VALUES(source),
+                line_id = VALUES(line_id),
+                trigger_message = VALUES(trigger_message),
+                opted_out_at = NOW()`,
+            [userPhone, source, extra.lineId || null, extra.triggerMessage || null]
+        );
+
+        logger.info(`[OPT-OUT] 🚫 ${userPhone} dado de baja (${source}${extra.lineId ? ` - Línea ${extra.lineId}` : ''})`);
+
+    } catch (error) {
+        logger.error(`[OPT-OUT] Error dando de baja a ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Quita un número de la lista de supresión
+ * @param {string} userPhone - Chat ID del usuario
+ * @returns {Promise<boolean>} - false si el número no estaba dado de baja
+ */
+async function optIn(userPhone) {
+    try {
+        const [result] = await db.query('DELETE FROM bot_opt_outs WHERE user_phone = ?', [userPhone]);
+
+        if (result.affectedRows > 0) {
+            logger.info(`[OPT-OUT] ✅ ${userPhone} vuelve a recibir mensajes`);
+        }
+
+        return result.affectedRows > 0;
+
+    } catch (error) {
+        logger.error(`[OPT-OUT] Error reactivando a ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Envía un mensaje configurado de baja o alta (no hace nada si está vacío)
+ * @param {object} client - Cliente de WhatsApp
+ * @param {string} userPhone - Chat ID del usuario
+ * @param {string} template - Mensaje con variables {nombre}, {telefono}
+ * @param {object} variables - Variables para reemplazar
+ * @returns {Promise<void>}
+ */
+async function sendConfirmation(client, userPhone, template, variables) {
+    if (!template) return;
+
+    try {
+        await client.sendMessage(userPhone, replaceVariables(template, variables), { linkPreview: false });
+    } catch (error) {
+        logger.error(`[OPT-OUT] Error enviando confirmación a ${userPhone}:`, error);
+    }
+}
+
+/**
+ * Confirma la baja al usuario
+ * @param {object} client - Cliente de WhatsApp
+ * @param {string} userPhone - Chat ID del usuario
+ * @param {object} variables - {nombre, telefono}
+ * @returns {Promise<void>}
+ */
+async function sendOptOutConfirmation(client, userPhone, variables) {
+    await sendConfirmation(client, userPhone, config.optOut.confirmationMessage, variables);
+}
+
+/**
+ * Confirma al usuario que vuelve a recibir mensajes
+ * @param {object} client - Cliente de WhatsApp
+ * @param {string} userPhone - Chat ID del usuario
+ * @param {object} variables - {nombre, telefono}
+ * @returns {Promise<void>}
+ */
+async function sendResubscribeConfirmation(client, userPhone, variables) {
+    await sendConfirmation(client, userPhone, config.optOut.resubscribeMessage, variables);
+}
+
+module.exports = {
+    detectOptOutRequest,
+    detectResubscribeRequest,
+    isOptedOut,
+    optOut,
+    optIn,
+    sendOptOutConfirmation,
+    sendResubscribeConfirmation
+};
@@ -0,0 +1,557 @@
+const db = require('../config/database2');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { sleep } = require('../utils/helpers');
+const conversationService = require('./conversation.service');
+const messageService = require('./message.service');
+
+/*
+ * Cola de salida persistente (bot_outbound_sequences / bot_outbound_jobs)
+ *
+ * Cada secuencia enviada a un lead se guarda con un job por mensaje antes de enviar nada.
+ * Solo el primer paso tiene scheduled_at; al terminar un paso (SENT o DEAD) se programa el siguiente
+ * con su delay_seconds, así el orden se respeta aunque un paso se reintente.
+ *
+ * - Error transitorio (red, WhatsApp Web, frontend caído): el paso vuelve a PENDING con backoff exponencial
+ * - Error permanente o reintentos agotados: el paso queda DEAD (dead-letter) y la secuencia sigue
+ * - Reinicio o línea desconectada: resumePendingSequences retoma las secuencias PENDING cuando la línea está lista
+ */
+
+// Errores de los que se espera recuperarse reintentando más tarde
+const TRANSIENT_ERROR_PATTERN = /timeout|timed out|ECONN|ENOTFOUND|EAI_AGAIN|socket hang up|network|Session closed|Connection closed|Target closed|Protocol error|Execution context was destroyed/i;
+
+// El cliente de WhatsApp se cayó: se deja de enviar hasta que la línea vuelva
+const CONNECTION_ERROR_PATTERN = /Connection closed|Session closed/i;
+
+// Estados de bot_conversations en los que el bot sigue enviando (HANDOFF, COMPLETED, FAILED, CANCELLED cancelan)
+const OPEN_CONVERSATION_STATUSES = ['INITIATED', 'IN_PROGRESS'];
+
+// Secuencias que se están enviando en este proceso (las demás PENDING las retoma el poller)
+const runningSequences = new Set();
+
+let pollTimer = null;
+
+/**
+ * Parsea una columna JSON (mysql2 la devuelve como objeto o como string según la versión del servidor)
+ * @param {*} value
+ * @returns {*}
+ */
+function parseJson(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Indica si vale la pena reintentar un envío
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+    // Descarga de media (axios): 5xx y 429 son del servidor, 4xx no se arreglan reintentando
+    const status = error.response && error.response.status;
+    if (status) {
+        return status >= 500 || status === 429;
+    }
+
+    return TRANSIENT_ERROR_PATTERN.test(`${error.code || ''} ${error.message}`);
+}
+
+/**
+ * Espera antes del siguiente intento: base * 2^(intento - 1), con tope
+ * @param {number} attempts - Intentos hechos
+ * @returns {number} - Segundos
+ */
+function getBackoffSeconds(attempts) {
+    const { backoffBaseSeconds, backoffMaxSeconds } = config.outboundQueue;
+    return Math.min(backoffBaseSeconds * Math.pow(2, attempts - 1), backoffMaxSeconds);
+}
+
+/**
+ * Guarda la secuencia y un job por mensaje (solo el primero queda programado, con su delay)
+ * @param {object} data - {lineId, userPhone, conversationId, messages, variables, context}
+ * @returns {Promise<number>} - ID de la secuencia
+ */
+async function createSequence(data) {
+    const { lineId, userPhone, conversationId, messages, variables, context } = data;
+    const connection = await db.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            `INSERT INTO bot_outbound_sequences
+            (line_id, user_phone, conversation_id, variables, context, status, created_at)
+            VALUES (?, ?, ?, ?, ?, 'PENDING', NOW())`,
+            [lineId, userPhone, conversationId, JSON.stringify(variables), context ? JSON.stringify(context) : null]
+        );
+
+        const sequenceId = result.insertId;
+
+        await connection.query(
+            `INSERT INTO bot_outbound_jobs
+            (sequence_id, step_index, message_id, message, delay_seconds, status, created_at)
+            VALUES ?`,
+            [messages.map((msg, index) => [
+                sequenceId,
+                index,
+                msg.id,
+                JSON.stringify({
+                    id: msg.id,
+                    type_code: msg.type_code,
+                    content: msg.content,
+                    payload: msg.payload || null,
+                    delay_seconds: msg.delay_seconds
+                }),
+                msg.delay_seconds || 0,
+                'PENDING',
+                new Date()
+            ])]
+        );
+
+        await connection.query(
+            `UPDATE bot_outbound_jobs
+            SET scheduled_at = DATE_ADD(NOW(), INTERVAL delay_seconds SECOND)
+            WHERE sequence_id = ?
+                AND step_index = 0`,
+            [sequenceId]
+        );
+
+        await connection.commit();
+
+        return sequenceId;
+
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Siguiente paso por enviar de una secuencia, con los segundos que faltan para su hora programada
+ * @param {number} sequenceId
+ * @returns {Promise<object|null>}
+ */
+async function getNextJob(sequenceId) {
+    const [jobs] = await db.query(
+        `SELECT *,
+            GREATEST(TIMESTAMPDIFF(SECOND, NOW(), scheduled_at), 0) AS wait_seconds
+        FROM bot_outbound_jobs
+        WHERE sequence_id = ?
+            AND status IN ('PENDING', 'SENDING')
+        ORDER BY step_index ASC
+        LIMIT 1`,
+        [sequenceId]
+    );
+
+    return jobs.length > 0 ? jobs[0] : null;
+}
+
+/**
+ * Programa el paso siguiente a stepIndex con su delay (si no estaba programado)
+ * @param {number} sequenceId
+ * @param {number} stepIndex - Paso que acaba de terminar
+ * @returns {Promise<void>}
+ */
+async function scheduleNextStep(sequenceId, stepIndex) {
+    await db.query(
+        `UPDATE bot_outbound_jobs
+        SET scheduled_at = DATE_ADD(NOW(), INTERVAL delay_seconds SECOND),
+            updated_at = NOW()
+        WHERE sequence_id = ?
+            AND step_index = ?
+            AND scheduled_at IS NULL`,
+        [sequenceId, stepIndex + 1]
+    );
+}
+
+/**
+ * Cancela los pasos pendientes de una secuencia
+ * @param {number} sequenceId
+ * @param {string} reason - Motivo (queda en last_error)
+ * @returns {Promise<void>}
+ */
+async function cancelSequence(sequenceId, reason) {
+    await db.query(
+        `UPDATE bot_outbound_jobs
+        SET status = 'CANCELLED',
+            last_error = ?,
+            updated_at = NOW()
+        WHERE sequence_id = ?
+            AND status IN ('PENDING', 'SENDING')`,
+        [reason, sequenceId]
+    );
+
+    await db.query(
+        "UPDATE bot_outbound_sequences SET status = 'CANCELLED', completed_at = NOW() WHERE id = ?",
+        [sequenceId]
+    );
+
+    logger.info(`[QUEUE] Secuencia ${sequenceId} cancelada: ${reason}`);
+}
+
+/**
+ * Indica si la conversación sigue esperando los mensajes del bot
+ * (baja, handoff a un asesor o cierre cancelan los pasos que faltan)
+ * @param {number|null} conversationId
+ * @returns {Promise<boolean>}
+ */
+async function isConversationOpen(conversationId) {
+    if (!conversationId) {
+        return true;
+    }
+
+    const conversation = await conversationService.getConversationById(conversationId);
+    return Boolean(conversation && OPEN_CONVERSATION_STATUSES.includes(conversation.status));
+}
+
+/**
+ * Envía los pasos pendientes de una secuencia en orden, esperando la hora programada de cada uno
+ * @param {object} sequence - {id, user_phone, conversation_id, variables}
+ * @param {object} client - Cliente de WhatsApp de la línea
+ * @returns {Promise<{sent: number, failed: number, cancelled: boolean}>} - Solo lo enviado en esta ejecución
+ */
+async function processSequence(sequence, client) {
+    const { maxAttempts } = config.outboundQueue;
+    let sent = 0;
+    let failed = 0;
+
+    while (true) {
+        const job = await getNextJob(sequence.id);
+
+        if (!job) break;
+
+        if (job.wait_seconds > 0) {
+            logger.debug(`[QUEUE] Secuencia ${sequence.id}: esperando ${job.wait_seconds}s antes del paso ${job.step_index + 1}`);
+            await sleep(job.wait_seconds * 1000);
+        }
+
+        if (!(await isConversationOpen(sequence.conversation_id))) {
+            await cancelSequence(sequence.id, 'La conversación ya no está activa');
+            return { sent, failed, cancelled: true };
+        }
+
+        if (job.status === 'SENDING') {
+            // Se cortó a mitad del envío (reinicio): no se sabe si llegó, se reenvía
+            logger.warn(`[QUEUE] Paso ${job.id} quedó a medio enviar, se reintenta`);
+        }
+
+        const attempts = job.attempts + 1;
+        const message = parseJson(job.message);
+
+        await db.query(
+            "UPDATE bot_outbound_jobs SET status = 'SENDING', attempts = ?, updated_at = NOW() WHERE id = ?",
+            [attempts, job.id]
+        );
+
+        try {
+            logger.info(`[QUEUE] Enviando paso ${job.step_index + 1} (mensaje ${job.message_id}, ${message.type_code}) a ${sequence.user_phone} - Intento ${attempts}`);
+
+            const whatsappMessageId = await messageService.sendMessageStep(client, sequence.user_phone, message, sequence.variables);
+
+            await db.query(
+                `UPDATE bot_outbound_jobs
+                SET status = 'SENT',
+                    whatsapp_message_id = ?,
+                    last_error = NULL,
+                    sent_at = NOW(),
+                    updated_at = NOW()
+                WHERE id = ?`,
+                [whatsappMessageId, job.id]
+            );
+
+            await messageService.logMessageSent(sequence.conversation_id, job.message_id, whatsappMessageId);
+            await conversationService.incrementMessagesSent(sequence.conversation_id);
+
+            sent++;
+            logger.info(`[QUEUE] ✅ Paso ${job.step_index + 1} de la secuencia ${sequence.id} enviado`);
+
+        } catch (error) {
+            const retry = isTransientError(error) && attempts < maxAttempts;
+
+            if (retry) {
+                const backoffSeconds = getBackoffSeconds(attempts);
+
+                await db.query(
+                    `UPDATE bot_outbound_jobs
+                    SET status = 'PENDING',
+                        last_error = ?,
+                        scheduled_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+                        updated_at = NOW()
+                    WHERE id = ?`,
+                    [error.message, backoffSeconds, job.id]
+                );
+
+                logger.warn(`[QUEUE] ⚠️ Paso ${job.step_index + 1} de la secuencia ${sequence.id} falló (${error.message}), reintento ${attempts}/${maxAttempts - 1} en ${backoffSeconds}s`);
+            } else {
+                await db.query(
+                    "UPDATE bot_outbound_jobs SET status = 'DEAD', last_error = ?, updated_at = NOW() WHERE id = ?",
+                    [error.message, job.id]
+                );
+
+                await messageService.logMessageFailed(sequence.conversation_id, job.message_id, error.message, attempts - 1);
+                failed++;
+
+                logger.error(`[QUEUE] ❌ Paso ${job.step_index + 1} de la secuencia ${sequence.id} descartado tras ${attempts} intento(s): ${error.message}`);
+            }
+
+            // Sin conexión no tiene sentido seguir: el poller retoma la secuencia cuando la línea vuelva
+            if (CONNECTION_ERROR_PATTERN.test(error.message)) {
+                logger.error(`[QUEUE] Error crítico de conexión, secuencia ${sequence.id} en espera`);
+                throw error;
+            }
+
+            if (retry) continue;
+        }
+
+        await scheduleNextStep(sequence.id, job.step_index);
+    }
+
+    await db.query(
+        "UPDATE bot_outbound_sequences SET status = 'COMPLETED', completed_at = NOW() WHERE id = ?",
+        [sequence.id]
+    );
+
+    return { sent, failed, cancelled: false };
+}
+
+/**
+ * Encola y envía una secuencia de mensajes al usuario (espera a que termine, como el envío directo)
+ * @param {object} data - {client, lineId, userPhone, conversationId, messages, variables, context}
+ *   context: qué hacer si la secuencia se termina de enviar después de un reinicio (ej: {flow: {...}})
+ * @returns {Promise<{success: boolean, total: number, sent: number, failed: number}>}
+ */
+async function sendSequence(data) {
+    const { client, lineId, userPhone, conversationId, messages, variables = {}, context = null } = data;
+
+    const sequenceId = await createSequence({ lineId, userPhone, conversationId, messages, variables, context });
+    runningSequences.add(sequenceId);
+
+    try {
+        logger.info(`[QUEUE] Secuencia ${sequenceId}: ${messages.length} mensajes para ${userPhone} (línea ${lineId})`);
+
+        const result = await processSequence({
+            id: sequenceId,
+            user_phone: userPhone,
+            conversation_id: conversationId,
+            variables
+        }, client);
+
+        logger.info(`[QUEUE] Secuencia ${sequenceId} finalizada: ${result.sent} exitosos, ${result.failed} fallidos`);
+
+        return {
+            success: true,
+            total: messages.length,
+            sent: result.sent,
+            failed: result.failed
+        };
+
+    } catch (error) {
+        logger.error(`[QUEUE] Error crítico en secuencia ${sequenceId}:`, error);
+        throw error;
+    } finally {
+        runningSequences.delete(sequenceId);
+    }
+}
+
+/**
+ * Cuenta los pasos de una secuencia por resultado (incluye los enviados antes de un reinicio)
+ * @param {number} sequenceId
+ * @returns {Promise<{total: number, sent: number, failed: number}>}
+ */
+async function countSequenceJobs(sequenceId) {
+    const [rows] = await db.query(
+        `SELECT
+            COUNT(*) AS total,
+            COALESCE(SUM(status = 'SENT'), 0) AS sent,
+            COALESCE(SUM(status = 'DEAD'), 0) AS failed
+        FROM bot_outbound_jobs
+        WHERE sequence_id = ?`,
+        [sequenceId]
+    );
+
+    return {
+        total: Number(rows[0].total),
+        sent: Number(rows[0].sent),
+        failed: Number(rows[0].failed)
+    };
+}
+
+/**
+ * Termina de enviar una secuencia retomada y hace lo que el envío original iba a hacer después
+ * (seguir el flujo o cerrar la conversación)
+ * @param {object} sequence - Fila de bot_outbound_sequences
+ * @param {object} client - Cliente de WhatsApp de la línea
+ * @returns {Promise<void>}
+ */
+async function resumeSequence(sequence, client) {
+    sequence.variables = parseJson(sequence.variables) || {};
+    const context = parseJson(sequence.context) || {};
+
+    logger.info(`[QUEUE] ▶️ Reanudando secuencia ${sequence.id} de ${sequence.user_phone} (línea ${sequence.line_id})`);
+
+    const result = await processSequence(sequence, client);
+
+    if (result.cancelled || !sequence.conversation_id) {
+        return;
+    }
+
+    const counts = await countSequenceJobs(sequence.id);
+
+    if (context.flow) {
+        // require diferido: flow.service usa esta cola para enviar
+        const flowService = require('./flow.service');
+
+        await flowService.resumeAfterSequence({
+            client,
+            lineId: sequence.line_id,
+            userPhone: sequence.user_phone,
+            conversationId: sequence.conversation_id,
+            variables: sequence.variables
+        }, context.flow, counts);
+        return;
+    }
+
+    if (counts.sent > 0) {
+        await conversationService.completeConversation(sequence.conversation_id);
+    } else {
+        await conversationService.failConversation(sequence.conversation_id, 'Ningún mensaje enviado');
+    }
+}
+
+/**
+ * Retoma las secuencias PENDING que no se están enviando en este proceso
+ * (después de un reinicio o de un error de conexión), si su línea está conectada
+ * @returns {Promise<void>}
+ */
+async function resumePendingSequences() {
+    // require diferido: session.service -> whatsapp.service -> flow.service -> esta cola
+    const sessionService = require('./session.service');
+
+    try {
+        const [sequences] = await db.query(
+            `SELECT *,
+                TIMESTAMPDIFF(HOUR, created_at, NOW()) AS age_hours
+            FROM bot_outbound_sequences
+            WHERE status = 'PENDING'
+            ORDER BY id ASC`
+        );
+
+        for (const sequence of sequences) {
+            if (runningSequences.has(sequence.id)) continue;
+
+            if (sequence.age_hours >= config.outboundQueue.maxResumeAgeHours) {
+                await cancelSequence(sequence.id, `Pendiente por más de ${config.outboundQueue.maxResumeAgeHours} horas`);
+                continue;
+            }
+
+            let session = null;
+            try {
+                session = sessionService.getSession(sequence.line_id);
+            } catch (error) {
+                session = null;
+            }
+
+            // Línea desconectada: se intenta en la siguiente vuelta del poller
+            if (!session || !session.isClientReady()) continue;
+
+            runningSequences.add(sequence.id);
+
+            resumeSequence(sequence, session.client)
+                .catch(error => logger.error(`[QUEUE] Secuencia ${sequence.id} detenida por error:`, error))
+                .finally(() => runningSequences.delete(sequence.id));
+        }
+
+    } catch (error) {
+        logger.error('[QUEUE] Error buscando secuencias pendientes:', error);
+    }
+}
+
+/**
+ * Retoma las secuencias pendientes al iniciar y luego cada pollSeconds
+ */
+function startQueueWorker() {
+    if (pollTimer) return;
+
+    resumePendingSequences();
+
+    pollTimer = setInterval(resumePendingSequences, config.outboundQueue.pollSeconds * 1000);
+    pollTimer.unref();
+
+    logger.info(`[QUEUE] Cola de salida iniciada (revisión cada ${config.outboundQueue.pollSeconds}s)`);
+}
+
+/**
+ * Cantidad de pasos por estado y secuencias en curso en este proceso
+ * @returns {Promise<object>}
+ */
+async function getQueueStats() {
+    try {
+        const [rows] = await db.query(
+            'SELECT status, COUNT(*) AS total FROM bot_outbound_jobs GROUP BY status'
+        );
+
+        const jobs = { PENDING: 0, SENDING: 0, SENT: 0, DEAD: 0, CANCELLED: 0 };
+        for (const row of rows) {
+            jobs[row.status] = Number(row.total);
+        }
+
+        return {
+            jobs,
+            runningSequences: runningSequences.size
+        };
+
+    } catch (error) {
+        logger.error('[QUEUE] Error obteniendo estadísticas:', error);
+        throw error;
+    }
+}
+
+/**
+ * Pasos descartados (dead-letter), del más reciente al más antiguo
+ * @param {object} options - {page, pageSize}
+ * @returns {Promise<{jobs: Array, total: number}>}
+ */
+async function listDeadJobs(options = {}) {
+    const { page = 1, pageSize = 50 } = options;
+
+    try {
+        const [countRows] = await db.query(
+            "SELECT COUNT(*) AS total FROM bot_outbound_jobs WHERE status = 'DEAD'"
+        );
+
+        const [jobs] = await db.query(
+            `SELECT
+                j.id,
+                j.sequence_id,
+                j.step_index,
+                j.message_id,
+                j.attempts,
+                j.last_error,
+                j.updated_at,
+                s.line_id,
+                s.user_phone,
+                s.conversation_id
+            FROM bot_outbound_jobs j
+            INNER JOIN bot_outbound_sequences s ON j.sequence_id = s.id
+            WHERE j.status = 'DEAD'
+            ORDER BY j.updated_at DESC
+            LIMIT ? OFFSET ?`,
+            [pageSize, (page - 1) * pageSize]
+        );
+
+        return { jobs, total: countRows[0].total };
+
+    } catch (error) {
+        logger.error('[QUEUE] Error listando pasos descartados:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    sendSequence,
+    resumePendingSequences,
+    startQueueWorker,
+    getQueueStats,
+    listDeadJobs
+};
@@ -1,152 +1,447 @@
 const db = require('../config/database2');
 const config = require('../config/config2');
 const logger = require('../utils/logger');
+const { replaceVariables } = require('../utils/helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Copia en memoria de los triggers y respuestas de fallback de las últimas 24 horas
+// (userPhone -> [{kind, campaign_id, line_id, triggered_at}]), usada por la política MEMORY cuando la BD no responde
+const recentTriggers = new Map();
+
+// Triggers y respuestas de fallback que no se pudieron guardar en la BD, pendientes de conciliar
+const pendingTriggers = [];
+
+// Veces que se tomó el camino degradado (BD caída)
+const degradedStats = {
+    checks: { OPEN: 0, CLOSED: 0, MEMORY: 0 },
+    updates: 0,
+    reconciled: 0,
+    lastDegradedAt: null,
+    lastReconciledAt: null
+};
+
+let reconciling = false;
+
+/**
+ * Cuenta los triggers dentro de una ventana deslizante y calcula cuándo se libera un cupo
+ * @param {Array<Date>} timestamps - Triggers ordenados del más reciente al más antiguo
+ * @param {number} windowMs - Tamaño de la ventana
+ * @param {number} limit - Máximo de triggers permitidos en la ventana
+ * @param {Date} now
+ * @returns {{count: number, exceeded: boolean, retryAt: Date|null}}
+ */
+function evaluateWindow(timestamps, windowMs, limit, now) {
+    const inWindow = timestamps.filter(t => now - t < windowMs);
+    const exceeded = inWindow.length >= limit;
+
+    // Se libera un cupo cuando el trigger que ocupa la posición "limit" sale de la ventana
+    const retryAt = exceeded ? new Date(inWindow[limit - 1].getTime() + windowMs) : null;
+
+    return { count: inWindow.length, exceeded, retryAt };
+}
+
+/**
+ * Límites aplicables a un trigger: global, de la línea y de la campaña
+ * @param {string|null} lineId - Línea de WhatsApp
+ * @param {number|null} campaignId - Campaña detectada
+ * @returns {Array<{scope: string, hour: number, day: number, filter: Function}>}
+ */
+function getApplicableLimits(lineId, campaignId) {
+    const { hour, day, lines = {}, campaigns = {} } = config.rateLimits;
+    const limits = [{ scope: 'GLOBAL', hour, day, filter: () => true }];
+
+    if (lineId && lines[lineId]) {
+        limits.push({ scope: 'LINE', ...lines[lineId], filter: t => t.line_id === lineId });
+    }
+    if (campaignId && campaigns[campaignId]) {
+        limits.push({ scope: 'CAMPAIGN', ...campaigns[campaignId], filter: t => t.campaign_id === campaignId });
+    }
+
+    return limits;
+}
+
+/**
+ * Aplica los límites por hora y por día a los triggers de un usuario
+ * @param {string} userPhone - Número de teléfono
+ * @param {Array} triggers - [{campaign_id, line_id, triggered_at}] de las últimas 24 horas, del más reciente al más antiguo
+ * @param {object} context - {lineId, campaignId}
+ * @returns {{allowed: boolean, reason: string, scope: string|null, retryAt: Date|null}}
+ */
+function evaluateTriggers(userPhone, triggers, context) {
+    const now = new Date();
+
+    for (const limit of getApplicableLimits(context.lineId, context.campaignId)) {
+        const timestamps = triggers.filter(limit.filter).map(t => new Date(t.triggered_at));
+        
+        for (const [period, windowMs, reason] of [['hour', HOUR_MS, 'RATE_LIMIT_HOUR'], ['day', DAY_MS, 'RATE_LIMIT_DAY']]) {
+            if (!limit[period]) continue;
+            
+            const result = evaluateWindow(timestamps, windowMs, limit[period], now);
+            
+            if (result.exceeded) {
+                logger.warn(`[RATE-LIMIT] Límite ${limit.scope} por ${period === 'hour' ? 'hora' : 'día'} excedido: ${userPhone} (${result.count}/${limit[period]}) - libre desde ${result.retryAt.toISOString()}`);
+                return {
+                    allowed: false,
+                    reason,
+                    scope: limit.scope,
+                    retryAt: result.retryAt
+                };
+            }
+        }
+    }
+
+    return {
+        allowed: true,
+        reason: triggers.length === 0 ? 'NEW_USER' : 'OK',
+        scope: null,
+        retryAt: null
+    };
+}
+
+/**
+ * Guarda un trigger en la copia en memoria (descarta los de más de 24 horas)
+ * @param {string} userPhone - Número de teléfono
+ * @param {object} trigger - {kind, campaign_id, line_id, triggered_at}
+ */
+function rememberTrigger(userPhone, trigger) {
+    const now = Date.now();
+    const triggers = (recentTriggers.get(userPhone) || []).filter(t => now - t.triggered_at < DAY_MS);
+
+    triggers.unshift(trigger);
+    recentTriggers.set(userPhone, triggers);
+}
+
+/**
+ * Elimina de la copia en memoria los números sin triggers en las últimas 24 horas
+ */
+function sweepRecentTriggers() {
+    const now = Date.now();
+
+    for (const [userPhone, triggers] of recentTriggers) {
+        const recent = triggers.filter(t => now - t.triggered_at < DAY_MS);
+
+        if (recent.length === 0) {
+            recentTriggers.delete(userPhone);
+        } else {
+            recentTriggers.set(userPhone, recent);
+        }
+    }
+}
+
+/**
+ * Guarda un trigger en bot_rate_limit_triggers y actualiza los contadores informativos
+ * (user_rate_limit para campañas, bot_fallback_rate_limit para respuestas de fallback)
+ * @param {object} trigger - {userPhone, kind (TRIGGER o FALLBACK), campaignId, lineId, triggeredAt}
+ * @returns {Promise<void>}
+ */
+async function persistTrigger(trigger) {
+    const { userPhone, kind = 'TRIGGER', campaignId = null, lineId = null, triggeredAt } = trigger;
+
+    await db.query(
+        `INSERT INTO bot_rate_limit_triggers
+        (user_phone, campaign_id, line_id, kind, triggered_at)
+        VALUES (?, ?, ?, ?, ?)`,
+        [userPhone, campaignId, lineId, kind, triggeredAt]
+    );
+    
+    // Los triggers fuera de la ventana más grande ya no se necesitan
+    await db.query(
+        'DELETE FROM bot_rate_limit_triggers WHERE user_phone = ? AND triggered_at < NOW() - INTERVAL 1 DAY',
+        [userPhone]
+    );
+    
+    // Contadores informativos (los límites se calculan con bot_rate_limit_triggers)
+    if (kind === 'FALLBACK') {
+        await db.query(
+            `INSERT INTO bot_fallback_rate_limit 
+            (user_phone, line_id, last_reply_at, reply_count_hour, reply_count_day, reply_count_total)
+            VALUES (?, ?, ?, 1, 1, 1)
+            ON DUPLICATE KEY UPDATE
+                reply_count_hour = (
+                    SELECT COUNT(*) FROM bot_rate_limit_triggers
+                    WHERE user_phone = ? AND line_id = ? AND kind = 'FALLBACK' AND triggered_at > NOW() - INTERVAL 1 HOUR
+                ),
+                reply_count_day = (
+                    SELECT COUNT(*) FROM bot_rate_limit_triggers
+                    WHERE user_phone = ? AND line_id = ? AND kind = 'FALLBACK'
+                ),
+                reply_count_total = reply_count_total + 1,
+                last_reply_at = GREATEST(COALESCE(last_reply_at, ?), ?)`,
+            [userPhone, lineId, triggeredAt, userPhone, lineId, userPhone, lineId, triggeredAt, triggeredAt]
+        );
+        return;
+    }
+    
+    await db.query(
+        `INSERT INTO user_rate_limit 
+        (user_phone, last_trigger_at, trigger_count_hour, trigger_count_day, trigger_count_total, is_blocked)
+        VALUES (?, ?, 1, 1, 1, FALSE)
+        ON DUPLICATE KEY UPDATE
+            trigger_count_hour = (
+                SELECT COUNT(*) FROM bot_rate_limit_triggers
+                WHERE user_phone = ? AND kind = 'TRIGGER' AND triggered_at > NOW() - INTERVAL 1 HOUR
+            ),
+            trigger_count_day = (
+                SELECT COUNT(*) FROM bot_rate_limit_triggers
+                WHERE user_phone = ? AND kind = 'TRIGGER'
+            ),
+            trigger_count_total = trigger_count_total + 1,
+            last_trigger_at = GREATEST(COALESCE(last_trigger_at, ?), ?)`,
+        [userPhone, triggeredAt, userPhone, userPhone, triggeredAt, triggeredAt]
+    );
+}
+
+/**
+ * Guarda en la BD los triggers registrados mientras estuvo caída
+ * Se detiene en el primer error y reintenta en la próxima llamada
+ * @returns {Promise<void>}
+ */
+async function reconcilePendingTriggers() {
+    if (reconciling || pendingTriggers.length === 0) {
+        return;
+    }
+
+    reconciling = true;
+
+    try {
+        while (pendingTriggers.length > 0) {
+            await persistTrigger(pendingTriggers[0]);
+
+            pendingTriggers.shift();
+            degradedStats.reconciled++;
+        }
+
+        degradedStats.lastReconciledAt = new Date();
+        logger.info('[RATE-LIMIT] ✅ Triggers pendientes conciliados con la BD');
+
+    } catch (error) {
+        logger.warn(`[RATE-LIMIT] BD aún no disponible, ${pendingTriggers.length} triggers pendientes de conciliar`);
+    } finally {
+        reconciling = false;
+    }
+}
+
+setInterval(() => {
+    sweepRecentTriggers();
+    reconcilePendingTriggers();
+}, 60 * 1000).unref();
+
+/**
+ * Resultado de checkRateLimit cuando la BD no responde, según config.rateLimits.onDatabaseError
+ * @param {string} userPhone - Número de teléfono
+ * @param {object} context - {lineId, campaignId}
+ * @returns {{allowed: boolean, reason: string, scope: string|null, retryAt: Date|null}}
+ */
+function checkRateLimitDegraded(userPhone, context) {
+    const policy = config.rateLimits.onDatabaseError;
+
+    degradedStats.lastDegradedAt = new Date();
+
+    if (policy === 'OPEN') {
+        degradedStats.checks.OPEN++;
+        return { allowed: true, reason: 'ERROR_CHECK', scope: null, retryAt: null };
+    }
+
+    if (policy === 'CLOSED') {
+        degradedStats.checks.CLOSED++;
+        return { allowed: false, reason: 'ERROR_CHECK', scope: null, retryAt: null };
+    }
+
+    // MEMORY: mismos límites, con los triggers que este proceso vio en las últimas 24 horas
+    degradedStats.checks.MEMORY++;
+    const triggers = (recentTriggers.get(userPhone) || []).filter(t => t.kind === 'TRIGGER');
+    const result = evaluateTriggers(userPhone, triggers, context);
+
+    return { ...result, reason: result.allowed ? 'MEMORY_CHECK' : result.reason };
+}
 
 /**
- * Verifica si un usuario puede recibir mensajes (rate limiting)
+ * Verifica si un usuario puede recibir mensajes (rate limiting con ventana deslizante)
+ * Si la BD falla aplica config.rateLimits.onDatabaseError (OPEN, CLOSED o MEMORY)
  * @param {string} userPhone - Número de teléfono del usuario
- * @returns {Promise<{allowed: boolean, reason: string}>}
+ * @param {object} context - {lineId, campaignId} para aplicar los límites por línea y por campaña
+ * @returns {Promise<{allowed: boolean, reason: string, scope: string|null, retryAt: Date|null}>}
  */
-async function checkRateLimit(userPhone) {
+async function checkRateLimit(userPhone, context = {}) {
+    const { lineId = null, campaignId = null } = context;
+    
     try {
         // Verificar si está en lista de bloqueados permanentemente
-        const [blockedRows] = await db.query(
-            'SELECT phone_number FROM blocked_numbers WHERE phone_number = ?',
-            [userPhone]
-        );
-        
-        if (blockedRows.length > 0) {
+        if (await isPermanentlyBlocked(userPhone)) {
             logger.warn(`[RATE-LIMIT] Usuario bloqueado permanentemente: ${userPhone}`);
             return {
                 allowed: false,
-                reason: 'BLOCKED_PERMANENT'
+                reason: 'BLOCKED_PERMANENT',
+                scope: null,
+                retryAt: null
             };
         }
         
-        // Obtener información de rate limit del usuario
+        // La BD respondió: conciliar lo registrado mientras estuvo caída
+        reconcilePendingTriggers();
+        
+        // Verificar bloqueo temporal
         const [rateLimitRows] = await db.query(
-            `SELECT 
-                is_blocked,
-                blocked_until,
-                trigger_count_hour,
-                trigger_count_day,
-                last_trigger_at
-            FROM user_rate_limit 
-            WHERE user_phone = ?`,
+            'SELECT is_blocked, blocked_until FROM user_rate_limit WHERE user_phone = ?',
             [userPhone]
         );
         
-        // Si no existe registro, el usuario puede continuar
-        if (rateLimitRows.length === 0) {
-            logger.info(`[RATE-LIMIT] Usuario nuevo: ${userPhone} - PERMITIDO`);
-            return {
-                allowed: true,
-                reason: 'NEW_USER'
-            };
-        }
-        
-        const rateLimitData = rateLimitRows[0];
-        
-        // Verificar bloqueo temporal
-        if (rateLimitData.is_blocked) {
-            // Si tiene blocked_until y ya pasó la fecha, desbloquear
-            if (rateLimitData.blocked_until) {
-                const now = new Date();
-                const blockedUntil = new Date(rateLimitData.blocked_until);
-                
-                if (now > blockedUntil) {
-                    // Desbloquear automáticamente
-                    await db.query(
-                        'UPDATE user_rate_limit SET is_blocked = FALSE, blocked_until = NULL WHERE user_phone = ?',
-                        [userPhone]
-                    );
-                    logger.info(`[RATE-LIMIT] Usuario desbloqueado automáticamente: ${userPhone}`);
-                    return {
-                        allowed: true,
-                        reason: 'UNBLOCKED'
-                    };
-                }
-            }
+        if (rateLimitRows.length > 0 && rateLimitRows[0].is_blocked) {
+            const blockedUntil = new Date(rateLimitRows[0].blocked_until);
             
-            logger.warn(`[RATE-LIMIT] Usuario bloqueado temporalmente: ${userPhone}`);
-            return {
-                allowed: false,
-                reason: 'BLOCKED_TEMPORARY'
-            };
-        }
-        
-        const lastTrigger = rateLimitData.last_trigger_at ? new Date(rateLimitData.last_trigger_at) : null;
-        const now = new Date();
-        
-        // Verificar límite por hora (3 mensajes)
-        if (lastTrigger) {
-            const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-            
-            if (lastTrigger > hourAgo && rateLimitData.trigger_count_hour >= config.rateLimits.hour) {
-                logger.warn(`[RATE-LIMIT] Límite por hora excedido: ${userPhone} (${rateLimitData.trigger_count_hour}/${config.rateLimits.hour})`);
+            if (new Date() <= blockedUntil) {
+                logger.warn(`[RATE-LIMIT] Usuario bloqueado temporalmente: ${userPhone}`);
                 return {
                     allowed: false,
-                    reason: 'RATE_LIMIT_HOUR'
+                    reason: 'BLOCKED_TEMPORARY',
+                    scope: null,
+                    retryAt: blockedUntil
                 };
             }
             
-            // Verificar límite por día (8 mensajes)
-            const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-            
-            if (lastTrigger > dayAgo && rateLimitData.trigger_count_day >= config.rateLimits.day) {
-                logger.warn(`[RATE-LIMIT] Límite por día excedido: ${userPhone} (${rateLimitData.trigger_count_day}/${config.rateLimits.day})`);
-                return {
-                    allowed: false,
-                    reason: 'RATE_LIMIT_DAY'
-                };
-            }
+            // El bloqueo ya venció: desbloquear automáticamente
+            await db.query(
+                'UPDATE user_rate_limit SET is_blocked = FALSE, blocked_until = NULL WHERE user_phone = ?',
+                [userPhone]
+            );
+            logger.info(`[RATE-LIMIT] Usuario desbloqueado automáticamente: ${userPhone}`);
         }
         
-        logger.info(`[RATE-LIMIT] Usuario permitido: ${userPhone} (hora: ${rateLimitData.trigger_count_hour}, día: ${rateLimitData.trigger_count_day})`);
-        return {
-            allowed: true,
-            reason: 'OK'
-        };
+        // Triggers de las últimas 24 horas (la ventana más grande)
+        const [triggers] = await db.query(
+            `SELECT campaign_id, line_id, triggered_at
+            FROM bot_rate_limit_triggers
+            WHERE user_phone = ?
+                AND kind = 'TRIGGER'
+                AND triggered_at > NOW() - INTERVAL 1 DAY
+            ORDER BY triggered_at DESC`,
+            [userPhone]
+        );
+        
+        const result = evaluateTriggers(userPhone, triggers, { lineId, campaignId });
+        
+        if (result.allowed) {
+            logger.info(`[RATE-LIMIT] Usuario permitido: ${userPhone} (${triggers.length} triggers en 24 h)`);
+        }
+        
+        return result;
         
     } catch (error) {
-        logger.error(`[RATE-LIMIT] Error verificando límites para ${userPhone}:`, error);
-        // En caso de error, permitir para no bloquear el servicio
-        return {
-            allowed: true,
-            reason: 'ERROR_CHECK'
-        };
+        logger.error(`[RATE-LIMIT] Error verificando límites para ${userPhone} (política: ${config.rateLimits.onDatabaseError}):`, error);
+        return checkRateLimitDegraded(userPhone, { lineId, campaignId });
     }
 }
 
 /**
- * Actualiza los contadores de rate limit después de iniciar conversación
+ * Aplica config.rateLimits.onDatabaseError cuando no se pudo guardar un trigger
+ * - CLOSED: relanza el error (no se envía nada sin poder contarlo)
+ * - OPEN: se sigue sin registrarlo
+ * - MEMORY: queda pendiente y se concilia al volver la BD
+ * @param {Error} error - Error de la BD
+ * @param {object} trigger - {userPhone, kind, campaignId, lineId, triggeredAt}
+ */
+function handleUpdateError(error, trigger) {
+    const policy = config.rateLimits.onDatabaseError;
+
+    if (policy === 'CLOSED') {
+        throw error;
+    }
+
+    if (policy === 'MEMORY') {
+        pendingTriggers.push(trigger);
+    }
+
+    degradedStats.updates++;
+    degradedStats.lastDegradedAt = new Date();
+}
+
+/**
+ * Registra un trigger (campaña enviada) y actualiza los contadores de user_rate_limit
+ * Si la BD falla aplica config.rateLimits.onDatabaseError (ver handleUpdateError)
  * @param {string} userPhone - Número de teléfono
+ * @param {object} context - {lineId, campaignId}
  * @returns {Promise<void>}
  */
-async function updateRateLimit(userPhone) {
+async function updateRateLimit(userPhone, context = {}) {
+    const campaignId = context.campaignId || null;
+    const lineId = context.lineId || null;
+    const triggeredAt = new Date();
+    
+    rememberTrigger(userPhone, { kind: 'TRIGGER', campaign_id: campaignId, line_id: lineId, triggered_at: triggeredAt });
+    
+    try {
+        await persistTrigger({ userPhone, kind: 'TRIGGER', campaignId, lineId, triggeredAt });
+        
+        logger.info(`[RATE-LIMIT] Trigger registrado para: ${userPhone} (línea ${lineId || '-'}, campaña ${campaignId || '-'})`);
+        
+    } catch (error) {
+        logger.error(`[RATE-LIMIT] Error actualizando límites para ${userPhone}:`, error);
+        
+        handleUpdateError(error, { userPhone, kind: 'TRIGGER', campaignId, lineId, triggeredAt });
+    }
+}
+
+/**
+ * Métricas del camino degradado del rate limiter
+ * @returns {object}
+ */
+function getDegradedStats() {
+    return {
+        policy: config.rateLimits.onDatabaseError,
+        ...degradedStats,
+        checks: { ...degradedStats.checks },
+        pendingTriggers: pendingTriggers.length,
+        trackedNumbers: recentTriggers.size
+    };
+}
+
+/**
+ * Responde "ya te enviamos la información" a quien alcanzó el límite
+ * (como máximo un aviso por número cada noticeCooldownMinutes; no hace nada si el mensaje está vacío)
+ * @param {object} client - Cliente de WhatsApp
+ * @param {string} userPhone - Número de teléfono
+ * @param {object} variables - {nombre, telefono, campana}
+ * @returns {Promise<boolean>} - true si se envió el aviso
+ */
+async function sendLimitNotice(client, userPhone, variables) {
+    const { alreadySentMessage, noticeCooldownMinutes } = config.rateLimits;
+    
+    if (!alreadySentMessage) {
+        return false;
+    }
+    
     try {
-        const now = new Date();
-        const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-        const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+        const [recent] = await db.query(
+            `SELECT id FROM bot_rate_limit_triggers
+            WHERE user_phone = ?
+                AND kind = 'NOTICE'
+                AND triggered_at > NOW() - INTERVAL ? MINUTE
+            LIMIT 1`,
+            [userPhone, noticeCooldownMinutes]
+        );
+        
+        if (recent.length > 0) {
+            return false;
+        }
         
-        // Usar INSERT ... ON DUPLICATE KEY UPDATE para manejar nuevo usuario o actualización
         await db.query(
-            `INSERT INTO user_rate_limit 
-            (user_phone, last_trigger_at, trigger_count_hour, trigger_count_day, trigger_count_total, is_blocked)
-            VALUES (?, NOW(), 1, 1, 1, FALSE)
-            ON DUPLICATE KEY UPDATE
-                trigger_count_hour = IF(last_trigger_at < ?, 1, trigger_count_hour + 1),
-                trigger_count_day = IF(last_trigger_at < ?, 1, trigger_count_day + 1),
-                trigger_count_total = trigger_count_total + 1,
-                last_trigger_at = NOW()`,
-            [userPhone, hourAgo, dayAgo]
+            `INSERT INTO bot_rate_limit_triggers
+            (user_phone, kind, triggered_at)
+            VALUES (?, 'NOTICE', NOW())`,
+            [userPhone]
         );
         
-        logger.info(`[RATE-LIMIT] Contadores actualizados para: ${userPhone}`);
+        await client.sendMessage(userPhone, replaceVariables(alreadySentMessage, variables), { linkPreview: false });
+        
+        logger.info(`[RATE-LIMIT] Aviso de límite enviado a ${userPhone}`);
+        return true;
         
     } catch (error) {
-        logger.error(`[RATE-LIMIT] Error actualizando límites para ${userPhone}:`, error);
-        throw error;
+        // Ante un error no se insiste: es preferible callar
+        logger.error(`[RATE-LIMIT] Error enviando aviso de límite a ${userPhone}:`, error);
+        return false;
     }
 }
 
@@ -183,8 +478,375 @@ async function blockUser(userPhone, reason, hoursBlocked = null) {
     }
 }
 
+/**
+ * Indica si un número está bloqueado sin fecha de fin
+ * (lista blocked_numbers o bloqueo indefinido en user_rate_limit)
+ * @param {string} userPhone - Número de teléfono
+ * @returns {Promise<boolean>}
+ */
+async function isPermanentlyBlocked(userPhone) {
+    try {
+        const [blockedRows] = await db.query(
+            `SELECT phone_number FROM blocked_numbers WHERE phone_number = ?
+            UNION ALL
+            SELECT user_phone FROM user_rate_limit
+            WHERE user_phone = ?
+                AND is_blocked = TRUE
+                AND blocked_until IS NULL`,
+            [userPhone, userPhone]
+        );
+        
+        return blockedRows.length > 0;
+        
+    } catch (error) {
+        logger.error(`[RATE-LIMIT] Error verificando bloqueo de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Indica si un número tiene un bloqueo vigente: permanente (blocked_numbers o indefinido)
+ * o temporal (manual o automático por abuso) que todavía no venció
+ * @param {string} userPhone - Número de teléfono
+ * @returns {Promise<boolean>}
+ */
+async function isBlocked(userPhone) {
+    try {
+        if (await isPermanentlyBlocked(userPhone)) {
+            return true;
+        }
+        
+        const [rows] = await db.query(
+            `SELECT user_phone FROM user_rate_limit
+            WHERE user_phone = ?
+                AND is_blocked = TRUE
+                AND blocked_until > NOW()`,
+            [userPhone]
+        );
+        
+        return rows.length > 0;
+        
+    } catch (error) {
+        logger.error(`[RATE-LIMIT] Error verificando bloqueo de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Desbloquea a un usuario (bloqueo temporal, indefinido y lista blocked_numbers)
+ * @param {string} userPhone - Número de teléfono
+ * @returns {Promise<boolean>} - false si el número no estaba bloqueado
+ */
+async function unblockUser(userPhone) {
+    try {
+        const [rateLimitResult] = await db.query(
+            `UPDATE user_rate_limit
+            SET is_blocked = FALSE,
+                blocked_until = NULL
+            WHERE user_phone = ?
+                AND is_blocked = TRUE`,
+            [userPhone]
+        );
+        const [blockedResult] = await db.query(
+            'DELETE FROM blocked_numbers WHERE phone_number = ?',
+            [userPhone]
+        );
+        
+        const unblocked = rateLimitResult.affectedRows + blockedResult.affectedRows > 0;
+        
+        if (unblocked) {
+            logger.info(`[RATE-LIMIT] Usuario desbloqueado manualmente: ${userPhone}`);
+        }
+        
+        return unblocked;
+        
+    } catch (error) {
+        logger.error(`[RATE-LIMIT] Error desbloqueando usuario ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Reinicia los contadores de un usuario (campañas y fallback); no toca los bloqueos
+ * @param {string} userPhone - Número de teléfono
+ * @returns {Promise<void>}
+ */
+async function resetRateLimit(userPhone) {
+    try {
+        await db.query(
+            `UPDATE user_rate_limit
+            SET trigger_count_hour = 0,
+                trigger_count_day = 0
+            WHERE user_phone = ?`,
+            [userPhone]
+        );
+        await db.query('DELETE FROM bot_rate_limit_triggers WHERE user_phone = ?', [userPhone]);
+        await db.query('DELETE FROM bot_fallback_rate_limit WHERE user_phone = ?', [userPhone]);
+        
+        logger.info(`[RATE-LIMIT] Contadores reiniciados para: ${userPhone}`);
+        
+    } catch (error) {
+        logger.error(`[RATE-LIMIT] Error reiniciando contadores de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Estado de rate limit de un número: bloqueos, triggers recientes y límites de fallback por línea
+ * @param {string} userPhone - Número de teléfono
+ * @returns {Promise<object>}
+ */
+async function getRateLimitState(userPhone) {
+    try {
+        const [blockedRows] = await db.query(
+            'SELECT phone_number FROM blocked_numbers WHERE phone_number = ?',
+            [userPhone]
+        );
+        const [rateLimitRows] = await db.query(
+            `SELECT 
+                is_blocked,
+                blocked_reason,
+                blocked_at,
+                blocked_until,
+                trigger_count_hour,
+                trigger_count_day,
+                trigger_count_total,
+                last_trigger_at
+            FROM user_rate_limit 
+            WHERE user_phone = ?`,
+            [userPhone]
+        );
+        const [triggers] = await db.query(
+            `SELECT campaign_id, line_id, triggered_at
+            FROM bot_rate_limit_triggers
+            WHERE user_phone = ?
+                AND kind = 'TRIGGER'
+                AND triggered_at > NOW() - INTERVAL 1 DAY
+            ORDER BY triggered_at DESC`,
+            [userPhone]
+        );
+        const [fallbackRows] = await db.query(
+            `SELECT 
+                line_id,
+                reply_count_hour,
+                reply_count_day,
+                reply_count_total,
+                last_reply_at
+            FROM bot_fallback_rate_limit
+            WHERE user_phone = ?`,
+            [userPhone]
+        );
+        
+        return {
+            userPhone,
+            inBlockedNumbers: blockedRows.length > 0,
+            rateLimit: rateLimitRows[0] || null,
+            // Triggers de las últimas 24 horas (base de los límites por hora y por día)
+            triggers,
+            fallback: fallbackRows,
+            limits: config.rateLimits
+        };
+        
+    } catch (error) {
+        logger.error(`[RATE-LIMIT] Error obteniendo estado de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Lista los números bloqueados (blocked_numbers y bloqueos vigentes de user_rate_limit)
+ * @param {object} filters - {page, pageSize}
+ * @returns {Promise<{blocked: Array, total: number}>}
+ */
+async function listBlocked(filters = {}) {
+    try {
+        const { page = 1, pageSize = 50 } = filters;
+        
+        const blockedQuery = `
+            SELECT
+                phone_number as user_phone,
+                'blocked_numbers' as source,
+                'PERMANENT' as block_type,
+                NULL as reason,
+                NULL as blocked_at,
+                NULL as blocked_until
+            FROM blocked_numbers
+            UNION ALL
+            SELECT
+                user_phone,
+                'user_rate_limit' as source,
+                IF(blocked_until IS NULL, 'PERMANENT', 'TEMPORARY') as block_type,
+                blocked_reason as reason,
+                blocked_at,
+                blocked_until
+            FROM user_rate_limit
+            WHERE is_blocked = TRUE
+                AND (blocked_until IS NULL OR blocked_until > NOW())`;
+        
+        const [[{ total }]] = await db.query(`SELECT COUNT(*) as total FROM (${blockedQuery}) blocked`);
+        
+        const [blocked] = await db.query(
+            `SELECT * FROM (${blockedQuery}) blocked
+            ORDER BY blocked_at IS NULL, blocked_at DESC, user_phone ASC
+            LIMIT ? OFFSET ?`,
+            [pageSize, (page - 1) * pageSize]
+        );
+        
+        return { blocked, total };
+        
+    } catch (error) {
+        logger.error('[RATE-LIMIT] Error listando bloqueados:', error);
+        throw error;
+    }
+}
+
+/**
+ * Lista los números que alcanzaron el límite global por hora o por día (ventana deslizante)
+ * @param {object} filters - {page, pageSize}
+ * @returns {Promise<{throttled: Array, total: number}>}
+ */
+async function listThrottled(filters = {}) {
+    try {
+        const { page = 1, pageSize = 50 } = filters;
+        
+        const throttledQuery = `
+            SELECT
+                user_phone,
+                SUM(triggered_at > NOW() - INTERVAL 1 HOUR) as count_hour,
+                COUNT(*) as count_day,
+                MAX(triggered_at) as last_trigger_at
+            FROM bot_rate_limit_triggers
+            WHERE kind = 'TRIGGER'
+                AND triggered_at > NOW() - INTERVAL 1 DAY
+            GROUP BY user_phone
+            HAVING count_hour >= ? OR count_day >= ?`;
+        const params = [config.rateLimits.hour, config.rateLimits.day];
+        
+        const [[{ total }]] = await db.query(
+            `SELECT COUNT(*) as total FROM (${throttledQuery}) throttled`,
+            params
+        );
+        
+        const [throttled] = await db.query(
+            `SELECT * FROM (${throttledQuery}) throttled
+            ORDER BY last_trigger_at DESC
+            LIMIT ? OFFSET ?`,
+            [...params, pageSize, (page - 1) * pageSize]
+        );
+        
+        return { throttled, total };
+        
+    } catch (error) {
+        logger.error('[RATE-LIMIT] Error listando usuarios limitados:', error);
+        throw error;
+    }
+}
+
+/**
+ * Aplica los límites por hora y por día (ventana deslizante) a las respuestas de fallback de una línea
+ * @param {string} userPhone - Número de teléfono
+ * @param {string} lineId - Línea de WhatsApp
+ * @param {Array<Date>} timestamps - Respuestas de las últimas 24 horas, de la más reciente a la más antigua
+ * @param {object} limits - {hour, day}
+ * @returns {{allowed: boolean, reason: string}}
+ */
+function evaluateFallbackReplies(userPhone, lineId, timestamps, limits) {
+    const now = new Date();
+
+    for (const [period, windowMs, reason] of [['hour', HOUR_MS, 'FALLBACK_LIMIT_HOUR'], ['day', DAY_MS, 'FALLBACK_LIMIT_DAY']]) {
+        if (!limits[period]) continue;
+
+        const result = evaluateWindow(timestamps, windowMs, limits[period], now);
+
+        if (result.exceeded) {
+            logger.warn(`[RATE-LIMIT] Límite de fallback por ${period === 'hour' ? 'hora' : 'día'} excedido: ${userPhone} en línea ${lineId} (${result.count}/${limits[period]})`);
+            return { allowed: false, reason };
+        }
+    }
+
+    return {
+        allowed: true,
+        reason: timestamps.length === 0 ? 'NEW_USER' : 'OK'
+    };
+}
+
+/**
+ * Verifica si se puede enviar otra respuesta de fallback a un usuario en una línea
+ * (límite propio, independiente del de campañas, con la misma ventana deslizante)
+ * @param {string} userPhone - Número de teléfono
+ * @param {string} lineId - Línea de WhatsApp
+ * @param {object} limits - {hour, day}
+ * @returns {Promise<{allowed: boolean, reason: string}>}
+ */
+async function checkFallbackLimit(userPhone, lineId, limits) {
+    try {
+        const [replies] = await db.query(
+            `SELECT triggered_at
+            FROM bot_rate_limit_triggers
+            WHERE user_phone = ?
+                AND line_id = ?
+                AND kind = 'FALLBACK'
+                AND triggered_at > NOW() - INTERVAL 1 DAY
+            ORDER BY triggered_at DESC`,
+            [userPhone, lineId]
+        );
+        
+        return evaluateFallbackReplies(userPhone, lineId, replies.map(r => new Date(r.triggered_at)), limits);
+        
+    } catch (error) {
+        logger.error(`[RATE-LIMIT] Error verificando límite de fallback para ${userPhone}:`, error);
+        
+        if (config.rateLimits.onDatabaseError === 'MEMORY') {
+            const timestamps = (recentTriggers.get(userPhone) || [])
+                .filter(t => t.kind === 'FALLBACK' && t.line_id === lineId)
+                .map(t => t.triggered_at);
+            
+            return evaluateFallbackReplies(userPhone, lineId, timestamps, limits);
+        }
+        
+        // A diferencia de las campañas, ante un error no se responde: es preferible callar a insistir
+        return {
+            allowed: false,
+            reason: 'ERROR_CHECK'
+        };
+    }
+}
+
+/**
+ * Registra una respuesta de fallback enviada
+ * Si la BD falla aplica config.rateLimits.onDatabaseError (ver handleUpdateError)
+ * @param {string} userPhone - Número de teléfono
+ * @param {string} lineId - Línea de WhatsApp
+ * @returns {Promise<void>}
+ */
+async function registerFallbackReply(userPhone, lineId) {
+    const triggeredAt = new Date();
+    
+    rememberTrigger(userPhone, { kind: 'FALLBACK', campaign_id: null, line_id: lineId, triggered_at: triggeredAt });
+    
+    try {
+        await persistTrigger({ userPhone, kind: 'FALLBACK', lineId, triggeredAt });
+        
+    } catch (error) {
+        logger.error(`[RATE-LIMIT] Error registrando fallback para ${userPhone}:`, error);
+        
+        handleUpdateError(error, { userPhone, kind: 'FALLBACK', campaignId: null, lineId, triggeredAt });
+    }
+}
+
 module.exports = {
     checkRateLimit,
     updateRateLimit,
-    blockUser
+    sendLimitNotice,
+    getDegradedStats,
+    blockUser,
+    isPermanentlyBlocked,
+    isBlocked,
+    unblockUser,
+    resetRateLimit,
+    getRateLimitState,
+    listBlocked,
+    listThrottled,
+    checkFallbackLimit,
+    registerFallbackReply
 };
\ No newline at end of file
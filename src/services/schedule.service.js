@@ -0,0 +1,85 @@
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { replaceVariables } = require('../utils/helpers');
+const { formatLocalDateTime, isOpenAt, getNextOpening, describeOpening } = require('../utils/schedule');
+
+/**
+ * Configuración de horario de una línea (config.schedule + config.schedule.lines[lineId])
+ * @param {string} lineId - Línea de WhatsApp
+ * @returns {{businessHours: object, afterHoursMessages: Array<string>}}
+ */
+function getLineSchedule(lineId) {
+    const lineConfig = (config.schedule.lines || {})[lineId] || {};
+
+    return {
+        businessHours: lineConfig.businessHours || config.schedule.businessHours,
+        afterHoursMessages: lineConfig.afterHoursMessages || config.schedule.afterHoursMessages
+    };
+}
+
+/**
+ * Indica si la línea está en horario de atención
+ * @param {string} lineId - Línea de WhatsApp
+ * @param {Date} now
+ * @returns {{open: boolean, nextOpening: string|null}} - nextOpening: "mañana a las 09:00" (si está cerrada)
+ */
+function getBusinessHoursStatus(lineId, now = new Date()) {
+    const { businessHours } = getLineSchedule(lineId);
+    const { timezone } = config.schedule;
+
+    if (isOpenAt(businessHours, now, timezone)) {
+        return { open: true, nextOpening: null };
+    }
+
+    return {
+        open: false,
+        nextOpening: describeOpening(getNextOpening(businessHours, now, timezone))
+    };
+}
+
+/**
+ * Indica si una campaña está dentro de su ventana de vigencia (starts_at / ends_at en hora local)
+ * @param {object} campaign - {startsAt, endsAt} como 'YYYY-MM-DD HH:mm:ss' o null
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isCampaignInWindow(campaign, now = new Date()) {
+    const localNow = formatLocalDateTime(now, config.schedule.timezone);
+
+    if (campaign.startsAt && localNow < campaign.startsAt) return false;
+    if (campaign.endsAt && localNow >= campaign.endsAt) return false;
+
+    return true;
+}
+
+/**
+ * Envía la secuencia "fuera de horario" indicando cuándo responderá un asesor
+ * @param {object} ctx - {client, userPhone, lineId, variables, status}
+ *   status: resultado de getBusinessHoursStatus
+ * @returns {Promise<number>} - Mensajes enviados
+ */
+async function sendAfterHoursMessages(ctx) {
+    const { client, userPhone, lineId, variables, status } = ctx;
+    const { afterHoursMessages } = getLineSchedule(lineId);
+    let sent = 0;
+
+    for (const content of afterHoursMessages || []) {
+        try {
+            await client.sendMessage(userPhone, replaceVariables(content, { ...variables, apertura: status.nextOpening }), { linkPreview: false });
+            sent++;
+        } catch (error) {
+            logger.error(`[SCHEDULE] Error enviando mensaje fuera de horario a ${userPhone}:`, error);
+        }
+    }
+
+    logger.info(`[SCHEDULE] 🌙 Fuera de horario en línea ${lineId}: ${sent} mensajes enviados a ${userPhone} (apertura: ${status.nextOpening})`);
+
+    return sent;
+}
+
+module.exports = {
+    getLineSchedule,
+    getBusinessHoursStatus,
+    isCampaignInWindow,
+    sendAfterHoursMessages
+};
@@ -0,0 +1,120 @@
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const WhatsAppService = require('./whatsapp.service');
+
+// Registro de sesiones de WhatsApp por línea (lineId -> WhatsAppService)
+const sessions = new Map();
+
+// LocalAuth solo acepta caracteres alfanuméricos, guiones y guiones bajos en el clientId
+const LINE_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Normaliza y valida el identificador de línea
+ * @param {string} lineId - Identificador recibido (opcional)
+ * @returns {string} - Identificador válido (usa la línea por defecto si no se envía)
+ */
+function resolveLineId(lineId) {
+    const resolved = lineId ? String(lineId).trim() : config.whatsapp.defaultLineId;
+
+    if (!LINE_ID_PATTERN.test(resolved)) {
+        throw new Error(`Identificador de línea inválido: "${resolved}" (solo letras, números, "-" y "_")`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Obtiene la sesión de una línea, creándola si no existe
+ * @param {string} lineId - Identificador de la línea
+ * @returns {WhatsAppService}
+ */
+function getOrCreateSession(lineId) {
+    const id = resolveLineId(lineId);
+
+    if (!sessions.has(id)) {
+        logger.info(`[SESSION] Registrando nueva línea: ${id}`);
+        sessions.set(id, new WhatsAppService(id));
+    }
+
+    return sessions.get(id);
+}
+
+/**
+ * Obtiene la sesión de una línea si está registrada
+ * @param {string} lineId - Identificador de la línea
+ * @returns {WhatsAppService|null}
+ */
+function getSession(lineId) {
+    return sessions.get(resolveLineId(lineId)) || null;
+}
+
+/**
+ * Busca la sesión conectada con un número de bot (corse)
+ * @param {string} botPhoneNumber - Número de la línea
+ * @returns {WhatsAppService|null}
+ */
+function getSessionByPhone(botPhoneNumber) {
+    for (const session of sessions.values()) {
+        if (session.getBotPhoneNumber() === botPhoneNumber) {
+            return session;
+        }
+    }
+    return null;
+}
+
+/**
+ * Lista todas las sesiones registradas
+ * @returns {Array<WhatsAppService>}
+ */
+function listSessions() {
+    return Array.from(sessions.values());
+}
+
+/**
+ * Estado de todas las líneas registradas
+ * @returns {Array<object>}
+ */
+function getAllStatuses() {
+    return listSessions().map(session => session.getStatus());
+}
+
+/**
+ * Destruye el cliente de una línea y la elimina del registro
+ * @param {string} lineId - Identificador de la línea
+ * @returns {Promise<void>}
+ */
+async function removeSession(lineId) {
+    const id = resolveLineId(lineId);
+    const session = sessions.get(id);
+
+    if (!session) return;
+
+    await session.destroy();
+    sessions.delete(id);
+    logger.info(`[SESSION] Línea eliminada del registro: ${id}`);
+}
+
+/**
+ * Destruye todas las sesiones (usado al apagar el servidor)
+ * @returns {Promise<void>}
+ */
+async function destroyAll() {
+    for (const session of listSessions()) {
+        try {
+            await session.destroy();
+        } catch (error) {
+            logger.error(`[SESSION] Error destruyendo línea ${session.lineId}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    resolveLineId,
+    getOrCreateSession,
+    getSession,
+    getSessionByPhone,
+    listSessions,
+    getAllStatuses,
+    removeSession,
+    destroyAll
+};
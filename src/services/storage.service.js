@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+
+// Prefijo de file_path para archivos guardados por el bot (el resto de rutas son del frontend)
+const STORAGE_PREFIX = 'storage:';
+
+const LOCAL_DIR = config.storage.local.directory || path.join(__dirname, '..', '..', 'storage');
+
+const MIME_BY_EXTENSION = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.opus': 'audio/ogg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.mp4': 'video/mp4',
+    '.3gp': 'video/3gpp',
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Indica si un file_path apunta a un archivo guardado por el bot
+ * @param {string} filePath - file_path de message_media
+ * @returns {boolean}
+ */
+function isStoragePath(filePath) {
+    return typeof filePath === 'string' && filePath.startsWith(STORAGE_PREFIX);
+}
+
+/**
+ * Extrae la key de almacenamiento de un file_path ("storage:campaigns/3/abc-foto.jpg" -> "campaigns/3/abc-foto.jpg")
+ * @param {string} filePath
+ * @returns {string}
+ */
+function getKey(filePath) {
+    return filePath.substring(STORAGE_PREFIX.length);
+}
+
+/**
+ * Valida una key (sin "..", sin rutas absolutas) para que no salga de la carpeta de almacenamiento
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isValidKey(key) {
+    return /^[a-zA-Z0-9_-]+(\/[a-zA-Z0-9._-]+)*$/.test(key) && !key.split('/').includes('..');
+}
+
+/**
+ * Tipo MIME según la extensión del archivo
+ * @param {string} key - Key o nombre del archivo
+ * @returns {string}
+ */
+function getMimeType(key) {
+    return MIME_BY_EXTENSION[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Extensión para un tipo MIME (la primera registrada)
+ * @param {string} mimeType
+ * @returns {string} - Ej: ".jpg" o "" si no se conoce
+ */
+function getExtension(mimeType) {
+    const entry = Object.entries(MIME_BY_EXTENSION).find(([, mime]) => mime === mimeType);
+    return entry ? entry[0] : '';
+}
+
+// ==================== S3 (firma AWS Signature V4, sin SDK) ====================
+
+/**
+ * HMAC-SHA256
+ * @private
+ */
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Hace una petición firmada al bucket S3 (o compatible: MinIO, R2, Spaces) con URLs path-style
+ * @param {string} method - GET o PUT
+ * @param {string} key - Key del objeto
+ * @param {object} options - {body, contentType}
+ * @returns {Promise<object>} - Respuesta de axios
+ */
+async function s3Request(method, key, options = {}) {
+    const { endpoint, region, bucket, accessKeyId, secretAccessKey } = config.storage.s3;
+    const body = options.body || Buffer.alloc(0);
+
+    const url = new URL(endpoint);
+    const canonicalUri = `/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.substring(0, 8);
+    const payloadHash = crypto.createHash('sha256').update(body).digest('hex');
+
+    const headers = {
+        host: url.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    };
+    if (options.contentType) {
+        headers['content-type'] = options.contentType;
+    }
+
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalHeaders = Object.keys(headers).sort().map(name => `${name}:${headers[name]}\n`).join('');
+    const canonicalRequest = [method, canonicalUri, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    delete headers.host;
+    headers.Authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+    return axios({
+        method,
+        url: `${url.origin}${canonicalUri}`,
+        data: method === 'PUT' ? body : undefined,
+        headers,
+        responseType: 'arraybuffer',
+        timeout: 60000,
+        maxBodyLength: Infinity
+    });
+}
+
+// ==================== API ====================
+
+/**
+ * Guarda un archivo en el almacenamiento configurado (config.storage.driver)
+ * @param {Buffer} data - Contenido
+ * @param {object} options - {folder (ej: "campaigns/3"), fileName, mimeType}
+ * @returns {Promise<string>} - file_path para message_media ("storage:<key>")
+ */
+async function saveFile(data, options) {
+    const { folder, fileName, mimeType } = options;
+
+    try {
+        const hash = crypto.createHash('sha256').update(data).digest('hex').substring(0, 16);
+        const baseName = path.basename(fileName || 'archivo', path.extname(fileName || ''))
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-zA-Z0-9_-]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 60) || 'archivo';
+        const extension = path.extname(fileName || '').toLowerCase() || getExtension(mimeType);
+        const key = `${folder}/${hash}-${baseName}${extension}`;
+
+        if (config.storage.driver === 's3') {
+            await s3Request('PUT', key, { body: data, contentType: mimeType });
+        } else {
+            const filePath = path.join(LOCAL_DIR, key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, data);
+        }
+
+        logger.info(`[STORAGE] Archivo guardado (${config.storage.driver}): ${key} (${data.length} bytes)`);
+
+        return `${STORAGE_PREFIX}${key}`;
+
+    } catch (error) {
+        logger.error(`[STORAGE] Error guardando archivo ${fileName}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Lee un archivo del almacenamiento
+ * @param {string} key - Key del archivo (sin el prefijo "storage:")
+ * @returns {Promise<Buffer|null>} - null si no existe
+ */
+async function readFile(key) {
+    if (!isValidKey(key)) {
+        return null;
+    }
+
+    try {
+        if (config.storage.driver === 's3') {
+            const response = await s3Request('GET', key);
+            return Buffer.from(response.data);
+        }
+
+        return await fs.promises.readFile(path.join(LOCAL_DIR, key));
+
+    } catch (error) {
+        if (error.code === 'ENOENT' || (error.response && error.response.status === 404)) {
+            return null;
+        }
+        logger.error(`[STORAGE] Error leyendo archivo ${key}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * URL pública de un archivo guardado
+ * S3 con publicUrl: se sirve directo desde el bucket; si no, desde GET /media/<key> del bot
+ * @param {string} key - Key del archivo
+ * @returns {string}
+ */
+function getPublicUrl(key) {
+    if (config.storage.driver === 's3' && config.storage.s3.publicUrl) {
+        return `${config.storage.s3.publicUrl}/${key}`;
+    }
+
+    return `${config.storage.publicBaseUrl}/media/${key}`;
+}
+
+module.exports = {
+    isStoragePath,
+    getKey,
+    getMimeType,
+    saveFile,
+    readFile,
+    getPublicUrl
+};
@@ -4,10 +4,21 @@ const logger = require('../utils/logger');
 const campaignService = require('./campaign.service');
 const rateLimitService = require('./ratelimit.service');
 const conversationService = require('./conversation.service');
-const messageService = require('./message.service');
+const flowService = require('./flow.service');
+const handoffService = require('./handoff.service');
+const fallbackService = require('./fallback.service');
+const disambiguationService = require('./disambiguation.service');
+const scheduleService = require('./schedule.service');
+const optOutService = require('./optout.service');
+const abuseService = require('./abuse.service');
 
 class WhatsAppService {
-    constructor() {
+    /**
+     * @param {string} lineId - Identificador de la línea (se usa como clientId de LocalAuth)
+     */
+    constructor(lineId) {
+        this.lineId = lineId;
+        this.logTag = `[WHATSAPP:${lineId}]`;
         this.client = null;
         this.qrCodeData = null;
         this.isReady = false;
@@ -27,13 +38,13 @@ class WhatsAppService {
     async initialize(role = 'user', permissions = []) {
         // ✅ PROTECCIÓN: Si ya se está inicializando, retornar la promesa existente
         if (this.initializationPromise) {
-            logger.warn('[WHATSAPP] Ya hay una inicialización en curso, esperando...');
+            logger.warn(`${this.logTag} Ya hay una inicialización en curso, esperando...`);
             return this.initializationPromise;
         }
 
         // ✅ PROTECCIÓN: Si ya está inicializado, no hacer nada
         if (this.client && this.isReady) {
-            logger.warn('[WHATSAPP] El cliente ya está inicializado y listo');
+            logger.warn(`${this.logTag} El cliente ya está inicializado y listo`);
             return Promise.resolve();
         }
 
@@ -58,11 +69,12 @@ class WhatsAppService {
             this.currentPermissions = permissions;
             this.qrCodeData = null;
 
-            logger.info(`[WHATSAPP] Inicializando cliente con rol: ${role}`);
+            logger.info(`${this.logTag} Inicializando cliente con rol: ${role}`);
 
             // Crear cliente con LocalAuth
             this.client = new Client({
                 authStrategy: new LocalAuth({
+                    clientId: this.lineId,
                     dataPath: './.wwebjs_auth'
                 }),
                 puppeteer: {
@@ -92,11 +104,11 @@ class WhatsAppService {
             // Inicializar cliente
             await this.client.initialize();
 
-            logger.info('[WHATSAPP] Cliente inicializado correctamente');
+            logger.info(`${this.logTag} Cliente inicializado correctamente`);
 
         } catch (error) {
             this.isInitializing = false;
-            logger.error('[WHATSAPP] Error inicializando cliente:', error);
+            logger.error(`${this.logTag} Error inicializando cliente:`, error);
             throw error;
         }
     }
@@ -111,18 +123,18 @@ class WhatsAppService {
         // Evento: QR Code generado
         this.client.once('qr', async (qr) => { // ← CAMBIO: once en vez de on
             try {
-                logger.info('[WHATSAPP] QR Code generado');
+                logger.info(`${this.logTag} QR Code generado`);
                 this.qrCodeData = await qrcode.toDataURL(qr);
-                logger.info('[WHATSAPP] QR Code convertido a base64, listo para mostrar');
+                logger.info(`${this.logTag} QR Code convertido a base64, listo para mostrar`);
             } catch (error) {
-                logger.error('[WHATSAPP] Error generando QR Code:', error);
+                logger.error(`${this.logTag} Error generando QR Code:`, error);
             }
         });
 
         // Evento: Cliente listo (SOLO UNA VEZ)
         this.client.once('ready', async () => { // ← CAMBIO: once en vez de on
             if (this.isReady) {
-                logger.warn('[WHATSAPP] Evento ready ya procesado, ignorando duplicado');
+                logger.warn(`${this.logTag} Evento ready ya procesado, ignorando duplicado`);
                 return;
             }
 
@@ -133,21 +145,21 @@ class WhatsAppService {
             const info = this.client.info;
             this.botPhoneNumber = info.wid.user;
             
-            logger.info(`[WHATSAPP] ✅ Cliente conectado exitosamente`);
-            logger.info(`[WHATSAPP] Número: ${this.botPhoneNumber}`);
-            logger.info(`[WHATSAPP] Nombre: ${info.pushname}`);
+            logger.info(`${this.logTag} ✅ Cliente conectado exitosamente`);
+            logger.info(`${this.logTag} Número: ${this.botPhoneNumber}`);
+            logger.info(`${this.logTag} Nombre: ${info.pushname}`);
         });
 
         // Evento: Autenticación exitosa
         this.client.on('authenticated', () => {
-            logger.info('[WHATSAPP] Autenticación exitosa');
+            logger.info(`${this.logTag} Autenticación exitosa`);
         });
 
         // Evento: Fallo de autenticación
         this.client.on('auth_failure', (msg) => {
             this.isReady = false;
             this.isInitializing = false;
-            logger.error('[WHATSAPP] ❌ Fallo de autenticación:', msg);
+            logger.error(`${this.logTag} ❌ Fallo de autenticación:`, msg);
         });
 
         // Evento: Cliente desconectado
@@ -156,11 +168,11 @@ class WhatsAppService {
             this.qrCodeData = null;
             this.botPhoneNumber = null;
             
-            logger.warn(`[WHATSAPP] Cliente desconectado: ${reason}`);
+            logger.warn(`${this.logTag} Cliente desconectado: ${reason}`);
             
             // NO reconectar automáticamente en LOGOUT
             if (reason === 'LOGOUT') {
-                logger.info('[WHATSAPP] Logout detectado, no se intentará reconectar automáticamente');
+                logger.info(`${this.logTag} Logout detectado, no se intentará reconectar automáticamente`);
                 return;
             }
         });
@@ -172,12 +184,12 @@ class WhatsAppService {
 
         // Evento: Error
         this.client.on('error', (error) => {
-            logger.error('[WHATSAPP] Error en el cliente:', error);
+            logger.error(`${this.logTag} Error en el cliente:`, error);
         });
 
         // Evento: Cargando
         this.client.on('loading_screen', (percent, message) => {
-            logger.info(`[WHATSAPP] Cargando: ${percent}% - ${message}`);
+            logger.info(`${this.logTag} Cargando: ${percent}% - ${message}`);
         });
     }
 
@@ -188,7 +200,7 @@ class WhatsAppService {
         try {
             if (message.fromMe) return;
             if (message.from.includes('@g.us')) {
-                logger.debug('[WHATSAPP] Mensaje de grupo ignorado');
+                logger.debug(`${this.logTag} Mensaje de grupo ignorado`);
                 return;
             }
 
@@ -200,29 +212,171 @@ class WhatsAppService {
             const contact = await message.getContact();
             const userName = contact.pushname || contact.name || 'Usuario';
 
-            logger.info(`[WHATSAPP] 📨 Mensaje recibido de ${userPhone} (${userName}): "${messageText}"`);
+            logger.info(`${this.logTag} 📨 Mensaje recibido de ${userPhone} (${userName}): "${messageText}"`);
 
-            const activeConversation = await conversationService.getActiveConversation(userPhone);
-            if (activeConversation) {
-                logger.info(`[WHATSAPP] Usuario ${userPhone} tiene conversación activa (ID: ${activeConversation.id}), ignorando mensaje`);
+            const variables = { nombre: userName, telefono: userPhone };
+
+            let activeConversation = await conversationService.getActiveConversation(userPhone, this.botPhoneNumber);
+
+            // Baja ("BAJA", "STOP", "no me escriban"): se atiende antes que cualquier otra cosa
+            const optOutKeyword = optOutService.detectOptOutRequest(messageText);
+            if (optOutKeyword) {
+                logger.info(`${this.logTag} 🚫 ${userPhone} pidió la baja ("${optOutKeyword}")`);
+                await this.handleOptOut(userPhone, messageText, variables, activeConversation);
+                return;
+            }
+
+            // Conversación atendida por un asesor: el bot no responde, solo registra el mensaje
+            if (activeConversation && activeConversation.status === 'HANDOFF') {
+                logger.info(`${this.logTag} 🙋 ${userPhone} está con un asesor (conversación ${activeConversation.id}), bot en silencio`);
+                await handoffService.recordInboundMessage(activeConversation.id, messageText);
+                return;
+            }
+
+            // Número bloqueado (manual o por abuso): solo se atiende la baja
+            let blocked = false;
+            try {
+                blocked = await rateLimitService.isBlocked(userPhone);
+            } catch (error) {
+                // BD caída: decide checkRateLimit según config.rateLimits.onDatabaseError
+                blocked = false;
+            }
+
+            if (blocked) {
+                logger.info(`${this.logTag} ${userPhone} está bloqueado, mensaje ignorado`);
                 return;
             }
 
-            const rateLimitCheck = await rateLimitService.checkRateLimit(userPhone);
+            // Ráfagas o mensajes repetidos: advertencia o bloqueo automático
+            if (await abuseService.recordInbound(this.client, userPhone, messageText)) {
+                return;
+            }
+
+            // Una respuesta al flujo (FREE_TEXT, QUESTION) puede mencionar "agente" o "asesor" sin pedir uno
+            const awaitingFlowReply = activeConversation
+                && flowService.isWaitingReply(activeConversation)
+                && !flowService.isReplyExpired(activeConversation);
+
+            const handoffKeyword = awaitingFlowReply ? null : handoffService.detectHandoffRequest(messageText);
+            if (handoffKeyword) {
+                logger.info(`${this.logTag} 🙋 ${userPhone} pidió un asesor ("${handoffKeyword}")`);
+                await this.startHandoff(userPhone, userName, messageText, 'KEYWORD', activeConversation);
+                return;
+            }
+
+            // Número dado de baja: no recibe campañas ni fallback, solo se atiende la keyword de alta
+            if (await optOutService.isOptedOut(userPhone)) {
+                if (optOutService.detectResubscribeRequest(messageText) && await optOutService.optIn(userPhone)) {
+                    await optOutService.sendResubscribeConfirmation(this.client, userPhone, variables);
+                } else {
+                    logger.info(`${this.logTag} ${userPhone} está dado de baja, mensaje ignorado`);
+                }
+                return;
+            }
+
+            // Respuesta a "¿Sobre cuál proyecto quieres información?"
+            if (activeConversation && disambiguationService.isAwaitingChoice(activeConversation)) {
+                const choice = disambiguationService.isChoiceExpired(activeConversation)
+                    ? null
+                    : await disambiguationService.resolveChoice(activeConversation, messageText);
+
+                if (choice) {
+                    await this.runCampaignFlow(userPhone, activeConversation.id, choice.campaignId, variables);
+                    return;
+                }
+
+                // Sin elección válida: se cierra la pregunta y el mensaje se trata como uno nuevo
+                logger.info(`${this.logTag} Conversación ${activeConversation.id} sin elección de campaña, cerrando`);
+                await conversationService.completeConversation(activeConversation.id);
+                activeConversation = null;
+            }
+
+            if (activeConversation) {
+                if (!flowService.isWaitingReply(activeConversation)) {
+                    logger.info(`${this.logTag} Usuario ${userPhone} tiene conversación activa (ID: ${activeConversation.id}), ignorando mensaje`);
+                    return;
+                }
+
+                if (!flowService.isReplyExpired(activeConversation)) {
+                    logger.info(`${this.logTag} ↩️ Respuesta de ${userPhone} para conversación ${activeConversation.id}`);
+                    await flowService.handleReply({
+                        client: this.client,
+                        lineId: this.lineId,
+                        userPhone,
+                        conversation: activeConversation,
+                        variables
+                    }, messageText);
+                    return;
+                }
+
+                // La espera expiró: se cierra y el mensaje se trata como uno nuevo
+                logger.info(`${this.logTag} Espera de respuesta expirada en conversación ${activeConversation.id}, cerrando`);
+                await conversationService.completeConversation(activeConversation.id);
+            }
+
+            const campaignMatch = await campaignService.detectCampaign(messageText, { lineId: this.lineId });
+
+            // Los límites por campaña solo aplican si hay una campaña ganadora
+            const rateLimitContext = {
+                lineId: this.lineId,
+                campaignId: campaignMatch && !campaignMatch.ambiguous ? campaignMatch.campaignId : null
+            };
+
+            const rateLimitCheck = await rateLimitService.checkRateLimit(userPhone, rateLimitContext);
             if (!rateLimitCheck.allowed) {
-                logger.warn(`[WHATSAPP] Rate limit excedido para ${userPhone}: ${rateLimitCheck.reason}`);
+                logger.warn(`${this.logTag} Rate limit excedido para ${userPhone}: ${rateLimitCheck.reason} (${rateLimitCheck.scope || '-'})`);
+
+                // A quien pide de nuevo una campaña se le avisa en vez de ignorarlo; a los bloqueados no.
+                // Solo cuenta como rechazo (abuso) si se suprimió una campaña, no la charla normal
+                if (rateLimitCheck.reason.startsWith('RATE_LIMIT') && campaignMatch) {
+                    const abuseAction = await abuseService.recordRateLimitHit(this.client, userPhone, rateLimitCheck.reason);
+
+                    if (!abuseAction) {
+                        await rateLimitService.sendLimitNotice(this.client, userPhone, { ...variables, campana: campaignMatch.campaignName });
+                    }
+                }
                 return;
             }
 
-            const campaignMatch = await campaignService.detectCampaign(messageText);
             if (!campaignMatch) {
-                logger.info(`[WHATSAPP] No se detectó ninguna campaña para el mensaje: "${messageText}"`);
+                logger.info(`${this.logTag} No se detectó ninguna campaña para el mensaje: "${messageText}"`);
+
+                await fallbackService.handleNoMatch({
+                    client: this.client,
+                    lineId: this.lineId,
+                    userPhone,
+                    messageText,
+                    variables,
+                    startHandoff: () => this.startHandoff(userPhone, userName, messageText, 'NO_MATCH', null)
+                });
                 return;
             }
 
-            logger.info(`[WHATSAPP] 🎯 Campaña detectada: "${campaignMatch.campaignName}" (ID: ${campaignMatch.campaignId})`);
+            await rateLimitService.updateRateLimit(userPhone, rateLimitContext);
+
+            // Campañas empatadas: se pregunta al lead antes de enviar nada
+            if (campaignMatch.ambiguous) {
+                const conversationId = await conversationService.createConversation({
+                    userPhone,
+                    userName,
+                    campaignId: null,
+                    triggerMessage: messageText,
+                    matchedKeyword: null,
+                    matchType: 'AMBIGUOUS',
+                    corse: this.botPhoneNumber
+                });
+
+                await conversationService.updateSessionMetadata(conversationId, 'candidates', campaignMatch.candidates);
+                await disambiguationService.startDisambiguation({
+                    client: this.client,
+                    userPhone,
+                    conversationId,
+                    candidates: campaignMatch.ambiguous
+                });
+                return;
+            }
 
-            await rateLimitService.updateRateLimit(userPhone);
+            logger.info(`${this.logTag} 🎯 Campaña detectada: "${campaignMatch.campaignName}" (ID: ${campaignMatch.campaignId})`);
 
             const conversationId = await conversationService.createConversation({
                 userPhone,
@@ -234,45 +388,106 @@ class WhatsAppService {
                 corse: this.botPhoneNumber
             });
 
-            logger.info(`[WHATSAPP] 💬 Conversación creada: ID ${conversationId} - Bot: ${this.botPhoneNumber}`);
+            logger.info(`${this.logTag} 💬 Conversación creada: ID ${conversationId} - Bot: ${this.botPhoneNumber}`);
 
-            const messages = await messageService.getCampaignMessages(campaignMatch.campaignId);
-            
-            if (messages.length === 0) {
-                logger.warn(`[WHATSAPP] La campaña ${campaignMatch.campaignId} no tiene mensajes configurados`);
-                await conversationService.failConversation(conversationId, 'Sin mensajes configurados');
-                return;
+            await conversationService.updateSessionMetadata(conversationId, 'candidates', campaignMatch.candidates);
+            await this.runCampaignFlow(userPhone, conversationId, campaignMatch.campaignId, variables);
+
+            // Fuera de horario: se avisa cuándo responderá un asesor
+            if (campaignMatch.afterHours) {
+                await scheduleService.sendAfterHoursMessages({
+                    client: this.client,
+                    userPhone,
+                    lineId: this.lineId,
+                    variables,
+                    status: campaignMatch.afterHours
+                });
             }
 
-            logger.info(`[WHATSAPP] 📤 Iniciando envío de ${messages.length} mensajes a ${userPhone}`);
+        } catch (error) {
+            logger.error(`${this.logTag} Error procesando mensaje:`, error);
+        }
+    }
 
-            const variables = { nombre: userName, telefono: userPhone };
-            const result = await messageService.sendSequentialMessages(
-                this.client,
-                userPhone,
-                conversationId,
-                messages,
-                variables
-            );
-
-            if (result.sent === messages.length) {
-                await conversationService.completeConversation(conversationId);
-                logger.info(`[WHATSAPP] ✅ Conversación ${conversationId} completada: ${result.sent}/${result.total}`);
-            } else if (result.failed === messages.length) {
-                await conversationService.failConversation(conversationId, 'Todos los mensajes fallaron');
-                logger.error(`[WHATSAPP] ❌ Conversación ${conversationId} fallida: ${result.failed}/${result.total}`);
+    /**
+     * Envía la secuencia de una campaña (o el primer tramo del flujo si tiene flow_definition)
+     * @param {string} userPhone - Número del usuario
+     * @param {number} conversationId - Conversación ya creada
+     * @param {number} campaignId - Campaña a enviar
+     * @param {object} variables - {nombre, telefono}
+     */
+    async runCampaignFlow(userPhone, conversationId, campaignId, variables) {
+        logger.info(`${this.logTag} 📤 Iniciando flujo de la campaña ${campaignId} para ${userPhone}`);
+
+        const result = await flowService.startFlow({
+            client: this.client,
+            lineId: this.lineId,
+            userPhone,
+            conversationId,
+            campaignId,
+            variables
+        });
+
+        logger.info(`${this.logTag} Conversación ${conversationId}: ${result.status} (${result.sent} enviados, ${result.failed} fallidos)`);
+    }
+
+    /**
+     * Da de baja al usuario: lo agrega a la lista de supresión, cierra la conversación del bot y confirma
+     * @param {string} userPhone - Número del usuario
+     * @param {string} messageText - Mensaje con el pedido de baja
+     * @param {object} variables - {nombre, telefono}
+     * @param {object|null} activeConversation - Conversación activa en la línea
+     */
+    async handleOptOut(userPhone, messageText, variables, activeConversation) {
+        await optOutService.optOut(userPhone, 'KEYWORD', { lineId: this.lineId, triggerMessage: messageText });
+
+        if (activeConversation) {
+            if (activeConversation.status === 'HANDOFF') {
+                // El asesor ve el pedido de baja en el historial del handoff
+                await handoffService.recordInboundMessage(activeConversation.id, messageText);
             } else {
-                await conversationService.completeConversation(conversationId);
-                logger.warn(`[WHATSAPP] ⚠️ Conversación ${conversationId} completada con errores: ${result.sent}/${result.total}`);
+                await conversationService.updateConversationStatus(activeConversation.id, 'CANCELLED');
             }
+        }
 
-        } catch (error) {
-            logger.error('[WHATSAPP] Error procesando mensaje:', error);
+        await optOutService.sendOptOutConfirmation(this.client, userPhone, variables);
+    }
+
+    /**
+     * Pasa la conversación del usuario a un asesor humano
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del contacto
+     * @param {string} messageText - Mensaje que originó el handoff
+     * @param {string} reason - KEYWORD, NO_MATCH, ...
+     * @param {object|null} activeConversation - Conversación activa a reutilizar
+     */
+    async startHandoff(userPhone, userName, messageText, reason, activeConversation) {
+        await handoffService.startHandoff({
+            client: this.client,
+            lineId: this.lineId,
+            corse: this.botPhoneNumber,
+            userPhone,
+            userName,
+            conversationId: activeConversation ? activeConversation.id : null,
+            reason,
+            triggerMessage: messageText
+        });
+
+        const businessHours = scheduleService.getBusinessHoursStatus(this.lineId);
+        if (!businessHours.open) {
+            await scheduleService.sendAfterHoursMessages({
+                client: this.client,
+                userPhone,
+                lineId: this.lineId,
+                variables: { nombre: userName, telefono: userPhone },
+                status: businessHours
+            });
         }
     }
 
     getStatus() {
         return {
+            lineId: this.lineId,
             isReady: this.isReady,
             isInitializing: this.isInitializing,
             hasQR: this.qrCodeData !== null,
@@ -292,7 +507,7 @@ class WhatsAppService {
     async destroy() {
         try {
             if (this.client) {
-                logger.info('[WHATSAPP] Destruyendo cliente...');
+                logger.info(`${this.logTag} Destruyendo cliente...`);
                 this.client.removeAllListeners(); // ← NUEVO: Limpiar listeners
                 await this.client.destroy();
                 this.client = null;
@@ -301,10 +516,10 @@ class WhatsAppService {
                 this.qrCodeData = null;
                 this.botPhoneNumber = null;
                 this.initializationPromise = null;
-                logger.info('[WHATSAPP] Cliente destruido exitosamente');
+                logger.info(`${this.logTag} Cliente destruido exitosamente`);
             }
         } catch (error) {
-            logger.error('[WHATSAPP] Error destruyendo cliente:', error);
+            logger.error(`${this.logTag} Error destruyendo cliente:`, error);
             throw error;
         }
     }
@@ -314,4 +529,4 @@ class WhatsAppService {
     }
 }
 
-module.exports = new WhatsAppService();
\ No newline at end of file
+module.exports = WhatsAppService;
\ No newline at end of file
@@ -0,0 +1,151 @@
+// utils/answer-validator.js
+const { normalizeText, containsKeyword } = require('./keyword-matcher');
+
+// Tipos de respuesta soportados en las preguntas de captura de leads
+const INPUT_TYPES = ['TEXT', 'EMAIL', 'NUMBER', 'DATE', 'OPTION'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+
+/**
+ * Interpreta montos como "S/ 120,000", "120 mil", "85k", "1.5 millones"
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseNumber(text) {
+    let clean = text
+        .toLowerCase()
+        .replace(/s\/\.?|\$|usd|soles|dolares|dólares|pen/g, '')
+        .trim();
+
+    let multiplier = 1;
+    if (/\b(millon|millones|mill[oó]n)\b/.test(clean)) {
+        multiplier = 1000000;
+    } else if (/\bmil\b|\d\s*k\b/.test(clean)) {
+        multiplier = 1000;
+    }
+
+    const match = clean.match(/\d[\d.,]*/);
+    if (!match) return null;
+
+    let numeric = match[0];
+
+    // "120,000" / "120.000.000" → separadores de miles; "1,5" → decimal
+    if (/^\d{1,3}([.,]\d{3})+$/.test(numeric)) {
+        numeric = numeric.replace(/[.,]/g, '');
+    } else {
+        numeric = numeric.replace(',', '.');
+    }
+
+    const value = parseFloat(numeric);
+    return Number.isFinite(value) ? value * multiplier : null;
+}
+
+/**
+ * Interpreta fechas dd/mm/aaaa, dd-mm-aaaa, dd/mm (año actual) o aaaa-mm-dd
+ * @param {string} text
+ * @returns {string|null} - Fecha en formato YYYY-MM-DD
+ */
+function parseDate(text) {
+    const trimmed = text.trim();
+    let year, month, day;
+
+    const iso = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const local = trimmed.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?$/);
+
+    if (iso) {
+        [, year, month, day] = iso.map(Number);
+    } else if (local) {
+        day = Number(local[1]);
+        month = Number(local[2]);
+        year = local[3] ? Number(local[3]) : new Date().getFullYear();
+        if (year < 100) year += 2000;
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+
+    return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Valida y normaliza la respuesta a una pregunta
+ * @param {object} question - {input, choices, min, max}
+ * @param {string} text - Respuesta del usuario
+ * @returns {{valid: boolean, value: *, error: string|null}}
+ */
+function validateAnswer(question, text) {
+    const answer = (text || '').trim();
+    const invalid = (error) => ({ valid: false, value: null, error });
+
+    if (answer.length === 0) {
+        return invalid('La respuesta está vacía');
+    }
+
+    switch (question.input || 'TEXT') {
+        case 'TEXT':
+            return { valid: true, value: answer, error: null };
+
+        case 'EMAIL':
+            return EMAIL_REGEX.test(answer)
+                ? { valid: true, value: answer.toLowerCase(), error: null }
+                : invalid('Ese correo no parece válido (ejemplo: nombre@correo.com)');
+
+        case 'NUMBER': {
+            const value = parseNumber(answer);
+
+            if (value === null) {
+                return invalid('Por favor responde con un número');
+            }
+            if (question.min !== undefined && value < question.min) {
+                return invalid(`El valor mínimo es ${question.min}`);
+            }
+            if (question.max !== undefined && value > question.max) {
+                return invalid(`El valor máximo es ${question.max}`);
+            }
+
+            return { valid: true, value, error: null };
+        }
+
+        case 'DATE': {
+            const value = parseDate(answer);
+            return value
+                ? { valid: true, value, error: null }
+                : invalid('Indica la fecha como día/mes/año (ejemplo: 25/12/2025)');
+        }
+
+        case 'OPTION': {
+            const choices = question.choices || [];
+            const normalized = normalizeText(answer);
+
+            // Por número de opción ("2") o por texto ("lote de 200 m2")
+            const index = /^\d+$/.test(normalized) ? Number(normalized) - 1 : -1;
+            if (index >= 0 && index < choices.length) {
+                return { valid: true, value: choices[index], error: null };
+            }
+
+            const byText = choices.find(choice => {
+                const normalizedChoice = normalizeText(choice);
+                return normalized === normalizedChoice || containsKeyword(normalized, normalizedChoice);
+            });
+
+            return byText
+                ? { valid: true, value: byText, error: null }
+                : invalid(`Elige una opción: ${choices.map((choice, i) => `${i + 1}) ${choice}`).join(', ')}`);
+        }
+
+        default:
+            return invalid(`Tipo de respuesta no soportado: ${question.input}`);
+    }
+}
+
+module.exports = {
+    INPUT_TYPES,
+    validateAnswer,
+    parseNumber,
+    parseDate
+};
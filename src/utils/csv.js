@@ -0,0 +1,71 @@
+// utils/csv.js
+
+/**
+ * Parsea un CSV con encabezado (separador "," o ";", comillas dobles opcionales)
+ * @param {string} text - Contenido del archivo
+ * @returns {{headers: Array<string>, rows: Array<object>}} - rows: [{header: valor}]
+ */
+function parseCsv(text) {
+    const content = String(text || '').replace(/^﻿/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field.length > 0 || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(value => value.trim().length > 0));
+
+    if (nonEmpty.length === 0) {
+        return { headers: [], rows: [] };
+    }
+
+    const headers = nonEmpty[0].map(header => header.trim().toLowerCase());
+    const rows = nonEmpty.slice(1).map(values => {
+        const row = {};
+        headers.forEach((header, i) => {
+            row[header] = (values[i] || '').trim();
+        });
+        return row;
+    });
+
+    return { headers, rows };
+}
+
+module.exports = {
+    parseCsv
+};
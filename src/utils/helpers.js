@@ -15,6 +15,25 @@ function formatPhone(phone) {
     return phone.replace(/[^\d]/g, '');
 }
 
+/**
+ * Convierte un teléfono escrito por una persona ("+51 999 888 777", "999888777") en chat ID de WhatsApp
+ * @param {string} phone - Número de teléfono
+ * @param {string} defaultCountryCode - Código de país para números sin él (ej: '51')
+ * @returns {string|null} - '51999888777@c.us' o null si no parece un número válido
+ */
+function toChatId(phone, defaultCountryCode) {
+    if (!phone) return null;
+
+    let digits = formatPhone(String(phone).replace(/@c\.us$/, ''));
+
+    // Números locales de 9 dígitos (celulares de Perú empiezan con 9)
+    if (digits.length === 9 && defaultCountryCode) {
+        digits = defaultCountryCode + digits;
+    }
+
+    return digits.length >= 10 && digits.length <= 15 ? `${digits}@c.us` : null;
+}
+
 /**
  * Reemplaza variables en el contenido del mensaje
  * @param {string} content - Contenido del mensaje
@@ -46,9 +65,21 @@ function isValidUrl(url) {
     }
 }
 
+/**
+ * Convierte un parámetro (ej: req.params.id) en un entero positivo
+ * @param {string|number} value
+ * @returns {number|null} - null si no es un ID válido
+ */
+function parseId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
 module.exports = {
     sleep,
     formatPhone,
+    toChatId,
     replaceVariables,
-    isValidUrl
+    isValidUrl,
+    parseId
 };
\ No newline at end of file
@@ -20,13 +20,29 @@ function normalizeText(text) {
         .trim();
 }
 
+/**
+ * Verifica si la frase aparece en el mensaje respetando límites de palabra
+ * - wholeWord=false: la frase debe empezar en inicio de palabra ("lote" en "lotes", no en "chocolote")
+ * - wholeWord=true: la frase debe coincidir con palabras completas ("no" no coincide con "nos")
+ * @param {string} normalizedMessage - Mensaje normalizado
+ * @param {string} normalizedPhrase - Frase normalizada
+ * @param {boolean} wholeWord
+ * @returns {boolean}
+ */
+function containsPhrase(normalizedMessage, normalizedPhrase, wholeWord = false) {
+    if (!normalizedPhrase) return false;
+
+    const haystack = ` ${normalizedMessage} `;
+    return haystack.includes(wholeWord ? ` ${normalizedPhrase} ` : ` ${normalizedPhrase}`);
+}
+
 /**
  * Verifica si el mensaje contiene la keyword completa
  * Búsqueda flexible: busca la frase completa O todas las palabras presentes
  */
 function containsKeyword(normalizedMessage, normalizedKeyword) {
-    // Intento 1: Búsqueda de frase completa (ideal)
-    if (normalizedMessage.includes(normalizedKeyword)) {
+    // Intento 1: Búsqueda de frase completa (ideal), desde inicio de palabra
+    if (containsPhrase(normalizedMessage, normalizedKeyword)) {
         return true;
     }
 
@@ -43,32 +59,407 @@ function containsKeyword(normalizedMessage, normalizedKeyword) {
 }
 
 /**
- * Detecta si un mensaje coincide con las keywords de una campaña
+ * Distancia de edición (Levenshtein) entre dos textos
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Similitud entre 0 y 1 de una keyword con el fragmento más parecido del mensaje
+ * (compara contra grupos de palabras consecutivas del mismo largo que la keyword)
+ * @param {string} normalizedMessage - Mensaje normalizado
+ * @param {string} normalizedKeyword - Keyword normalizada
+ * @returns {number}
+ */
+function keywordSimilarity(normalizedMessage, normalizedKeyword) {
+    const messageWords = normalizedMessage.split(' ').filter(w => w.length > 0);
+    const keywordWordCount = normalizedKeyword.split(' ').length;
+
+    if (messageWords.length === 0 || normalizedKeyword.length === 0) {
+        return 0;
+    }
+
+    let best = 0;
+    const windowSize = Math.min(keywordWordCount, messageWords.length);
+
+    for (let i = 0; i + windowSize <= messageWords.length; i++) {
+        const fragment = messageWords.slice(i, i + windowSize).join(' ');
+        const distance = levenshtein(fragment, normalizedKeyword);
+        const score = 1 - distance / Math.max(fragment.length, normalizedKeyword.length);
+        best = Math.max(best, score);
+    }
+
+    return best;
+}
+
+/**
+ * Stemming liviano para español: quita plurales
+ * ("lotes" → "lote", "precios" → "precio", "papeles" → "papel", "luces" → "luz")
+ * - "s" tras vocal: el singular termina en vocal (lotes, clases, dulces)
+ * - "es" tras l, r, n, d, j, y: el singular termina en consonante (papeles, colores, ciudades);
+ *   "ll" y "rr" no terminan palabras, así que "calles" y "torres" solo pierden la "s"
+ * - "ces" tras vocal: el singular termina en z (luces, veces, lápices); "dulces" → "dulce"
+ * @param {string} word - Palabra normalizada
+ * @returns {string}
+ */
+function stemWord(word) {
+    if (word.length <= 3 || !word.endsWith('s')) return word;
+
+    if (/[aeiou]ces$/.test(word)) {
+        return word.slice(0, -3) + 'z';
+    }
+    if (/[lrndjy]es$/.test(word) && !/(ll|rr)es$/.test(word) && word.length > 4) {
+        return word.slice(0, -2);
+    }
+    if (/[aeiou]s$/.test(word)) {
+        return word.slice(0, -1);
+    }
+
+    return word;
+}
+
+/**
+ * Ediciones permitidas según el largo de la palabra (palabras cortas no toleran errores)
+ * @param {number} length - Largo de la palabra de la keyword
+ * @returns {number}
+ */
+function maxEditsFor(length) {
+    if (length <= 3) return 0;
+    if (length <= 6) return 1;
+    return 2;
+}
+
+/**
+ * Confianza (0 a 1) con la que una palabra de la keyword aparece en el mensaje
+ * tolerando plurales y errores de tipeo
+ * @param {Array<string>} messageWords - Palabras del mensaje normalizado
+ * @param {string} keywordWord - Palabra de la keyword normalizada
+ * @returns {number} - 0 si no aparece
+ */
+function fuzzyWordScore(messageWords, keywordWord) {
+    const keywordStem = stemWord(keywordWord);
+    const maxEdits = maxEditsFor(keywordWord.length);
+    let best = 0;
+
+    for (const word of messageWords) {
+        if (word === keywordWord) return 1;
+
+        const wordStem = stemWord(word);
+
+        if (wordStem === keywordStem) {
+            best = Math.max(best, 0.95);
+            continue;
+        }
+
+        // Abreviaturas: "info" → "informacion", "depa" → "departamento"
+        if (word.length >= 4 && keywordWord.startsWith(word)) {
+            best = Math.max(best, 0.85);
+            continue;
+        }
+
+        if (maxEdits === 0 || Math.abs(wordStem.length - keywordStem.length) > maxEdits) {
+            continue;
+        }
+
+        const distance = levenshtein(wordStem, keywordStem);
+        if (distance <= maxEdits) {
+            best = Math.max(best, 0.9 * (1 - distance / Math.max(wordStem.length, keywordStem.length)));
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Confianza (0 a 1) con la que una keyword aparece en el mensaje
+ * - 1 si aparece tal cual (misma regla que containsKeyword o, si phraseOnly=true, containsPhrase)
+ * - En modo fuzzy: promedio de la confianza de cada palabra (todas deben aparecer)
+ * @param {string} normalizedMessage - Mensaje normalizado
+ * @param {string} normalizedKeyword - Keyword normalizada
+ * @param {object} options - {fuzzy, phraseOnly}
+ * @returns {number} - 0 si no hay match
+ */
+function keywordScore(normalizedMessage, normalizedKeyword, options = {}) {
+    const literal = options.phraseOnly
+        ? containsPhrase(normalizedMessage, normalizedKeyword)
+        : containsKeyword(normalizedMessage, normalizedKeyword);
+
+    if (literal) return 1;
+    if (!options.fuzzy) return 0;
+
+    const messageWords = normalizedMessage.split(' ').filter(w => w.length > 0);
+    const keywordWords = normalizedKeyword.split(' ').filter(w => w.length > 0);
+
+    if (keywordWords.length === 0) return 0;
+
+    let total = 0;
+    for (const keywordWord of keywordWords) {
+        const score = fuzzyWordScore(messageWords, keywordWord);
+        if (score === 0) return 0;
+        total += score;
+    }
+
+    return Math.round((total / keywordWords.length) * 100) / 100;
+}
+
+// Palabras que niegan un término cuando aparecen poco antes ("no quiero info")
+const DEFAULT_NEGATION_WORDS = ['no', 'nunca', 'ni', 'tampoco', 'jamas', 'sin'];
+
+// Límites para las reglas regex de trigger_keywords
+const MAX_REGEX_RULES = 20;
+const MAX_REGEX_LENGTH = 200;
+
+// Las regex se evalúan solo sobre el inicio del mensaje (acota el costo de cada regla)
+const MAX_REGEX_INPUT_LENGTH = 500;
+
+/**
+ * Configuración de negación de una campaña (trigger_keywords.negation)
+ * @param {object} triggerKeywords - JSON trigger_keywords
+ * @returns {{window: number, words: Array<string>}|null} - null si está desactivada
+ */
+function resolveNegation(triggerKeywords) {
+    const negation = triggerKeywords.negation;
+
+    if (!negation || !Number.isInteger(negation.window) || negation.window <= 0) {
+        return null;
+    }
+
+    return {
+        window: negation.window,
+        words: (negation.words || DEFAULT_NEGATION_WORDS).map(normalizeText)
+    };
+}
+
+/**
+ * Verifica si un término está negado: todas sus apariciones tienen una palabra de
+ * negación en las `window` palabras anteriores ("no quiero info" niega "info" con window >= 2)
+ * @param {string} normalizedMessage - Mensaje normalizado
+ * @param {string} normalizedTerm - Término que hizo match
+ * @param {object} negation - {window, words}
+ * @param {boolean} fuzzy - Si el término pudo coincidir con errores de tipeo
+ * @returns {boolean}
+ */
+function isNegated(normalizedMessage, normalizedTerm, negation, fuzzy) {
+    const messageWords = normalizedMessage.split(' ').filter(w => w.length > 0);
+    const firstWord = normalizedTerm.split(' ')[0];
+
+    const positions = [];
+    messageWords.forEach((word, i) => {
+        if (word.startsWith(firstWord) || (fuzzy && fuzzyWordScore([word], firstWord) > 0)) {
+            positions.push(i);
+        }
+    });
+
+    if (positions.length === 0) {
+        return false;
+    }
+
+    return positions.every(position => messageWords
+        .slice(Math.max(0, position - negation.window), position)
+        .some(word => negation.words.includes(word)));
+}
+
+/**
+ * Detecta patrones con backtracking catastrófico: grupos repetidos (*, +, {n}, {n,m})
+ * que contienen otro cuantificador o alternativas ("(a+)+", "(\w*)*", "(a|aa)+"),
+ * y referencias hacia atrás ("\1")
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function isUnsafeRegex(pattern) {
+    const groups = [{ quantified: false, alternation: false }];
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const top = groups[groups.length - 1];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) return true;
+            i++;
+            continue;
+        }
+
+        if (inClass) {
+            if (char === ']') inClass = false;
+            continue;
+        }
+
+        if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push({ quantified: false, alternation: false });
+            // "(?:", "(?=", "(?<nombre>": el "?" no es un cuantificador
+            if (pattern[i + 1] === '?') i++;
+        } else if (char === ')' && groups.length > 1) {
+            const group = groups.pop();
+            const next = pattern[i + 1] || '';
+            const repeated = next === '*' || next === '+' || /^\{\d+(,\d*)?\}/.test(pattern.substring(i + 1));
+
+            if (repeated && (group.quantified || group.alternation)) return true;
+
+            const parent = groups[groups.length - 1];
+            parent.quantified = parent.quantified || group.quantified || repeated || next === '?' || next === '{';
+        } else if (char === '|') {
+            top.alternation = true;
+        } else if (char === '*' || char === '+' || char === '?' || char === '{') {
+            top.quantified = true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Compila una regla regex de trigger_keywords (se evalúa sobre el mensaje normalizado, sin
+ * distinguir mayúsculas). Rechaza patrones que pueden bloquear el event loop.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function compileRegexRule(pattern) {
+    if (pattern.length > MAX_REGEX_LENGTH) {
+        throw new Error(`supera ${MAX_REGEX_LENGTH} caracteres`);
+    }
+    if (isUnsafeRegex(pattern)) {
+        throw new Error('cuantificadores anidados, alternativas repetidas o referencias hacia atrás no permitidos');
+    }
+
+    return new RegExp(pattern, 'i');
+}
+
+/**
+ * Pre-normaliza los términos y pre-compila las regex de un trigger_keywords para no repetirlo
+ * en cada mensaje (lo usa el cache de campañas). El resultado queda en una propiedad no
+ * enumerable `_compiled`, así el objeto se sigue serializando igual.
+ * @param {object} triggerKeywords - JSON trigger_keywords parseado
+ * @returns {object} - El mismo objeto
+ */
+function compileTriggerKeywords(triggerKeywords) {
+    if (!triggerKeywords || typeof triggerKeywords !== 'object') {
+        return triggerKeywords;
+    }
+
+    const { exact_matches = [], keywords = [], excluded_words = [], synonyms = {}, regex = [] } = triggerKeywords;
+    const terms = [...exact_matches, ...keywords, ...excluded_words];
+
+    for (const [mainWord, synonymList] of Object.entries(synonyms || {})) {
+        terms.push(mainWord, ...(Array.isArray(synonymList) ? synonymList : []));
+    }
+
+    const normalized = new Map(terms.filter(term => typeof term === 'string').map(term => [term, normalizeText(term)]));
+    const compiledRegex = new Map();
+
+    for (const pattern of Array.isArray(regex) ? regex : []) {
+        try {
+            compiledRegex.set(pattern, compileRegexRule(pattern));
+        } catch (error) {
+            // Se reporta al evaluar el mensaje
+        }
+    }
+
+    Object.defineProperty(triggerKeywords, '_compiled', {
+        value: { normalized, regex: compiledRegex },
+        enumerable: false,
+        configurable: true
+    });
+
+    return triggerKeywords;
+}
+
+/**
+ * Evalúa un mensaje contra las keywords de una campaña y devuelve el detalle
+ * de cada regla revisada (usado por matchKeywords y por el simulador)
  * @param {string} messageText - Texto del mensaje recibido
- * @param {object} triggerKeywords - JSON con keywords, synonyms, exact_matches, excluded_words
- * @returns {object|null} - {matched: string, type: string} o null
+ * @param {object} triggerKeywords - JSON con keywords, synonyms, exact_matches, excluded_words,
+ *   fuzzy, negation {window, words} y regex
+ * @param {object} options - {collectAll}: si es true evalúa todas las reglas en lugar de cortar
+ *   en el primer match (usado para puntuar campañas)
+ * @returns {object} - {normalizedMessage, match, matches, excludedBy, checks}
+ *   match: {matched, type, rule, score} o null (el primero según el orden de reglas);
+ *   matches: todos los matches encontrados (solo más de uno con collectAll);
+ *   excludedBy: palabra excluida que bloqueó o null;
+ *   checks: reglas revisadas en orden hasta el primer match [{type, rule, normalized, matched, score, negated}]
+ *   Orden: EXCLUDED → EXACT → KEYWORD → REGEX → SYNONYM.
+ *   Con fuzzy=true, keywords y sinónimos toleran plurales y errores de tipeo (score < 1);
+ *   exact_matches y excluded_words siempre son literales. excluded_words se compara por palabra
+ *   completa; el resto desde inicio de palabra. Con negation, un término negado no cuenta.
  */
-function matchKeywords(messageText, triggerKeywords) {
+function explainMatch(messageText, triggerKeywords, options = {}) {
+    const result = {
+        normalizedMessage: normalizeText(messageText),
+        match: null,
+        matches: [],
+        excludedBy: null,
+        checks: []
+    };
+
     if (!messageText || !triggerKeywords) {
-        return null;
+        return result;
     }
 
     // Normalizar mensaje completo
-    const normalizedMessage = normalizeText(messageText);
+    const normalizedMessage = result.normalizedMessage;
     
     logger.debug(`[KEYWORD-MATCHER] Mensaje original: "${messageText}"`);
     logger.debug(`[KEYWORD-MATCHER] Mensaje normalizado: "${normalizedMessage}"`);
 
     const { exact_matches, keywords, synonyms, excluded_words } = triggerKeywords;
+    const fuzzy = triggerKeywords.fuzzy === true;
+    const negation = resolveNegation(triggerKeywords);
+
+    // Términos y regex pre-compilados (compileTriggerKeywords) o calculados al vuelo
+    const compiled = triggerKeywords._compiled || null;
+    const norm = (term) => (compiled && compiled.normalized.has(term) ? compiled.normalized.get(term) : normalizeText(term));
+    const regexFor = (pattern) => (compiled && compiled.regex.has(pattern) ? compiled.regex.get(pattern) : compileRegexRule(pattern));
+
+    const check = (type, rule, normalized, score, negated = false) => {
+        result.checks.push({ type, rule, normalized, matched: score > 0, score, negated });
+        return score > 0;
+    };
+
+    // Registra un match; devuelve true si hay que cortar la evaluación (modo normal)
+    const recordMatch = (match) => {
+        result.matches.push(match);
+        result.match = result.match || match;
+        return !options.collectAll;
+    };
+
+    // Confianza de un término descontando las apariciones negadas
+    const scoreTerm = (normalized, options) => {
+        const score = keywordScore(normalizedMessage, normalized, options);
+        const negated = score > 0 && negation !== null && isNegated(normalizedMessage, normalized, negation, options.fuzzy);
+
+        return negated ? { score: 0, negated } : { score, negated };
+    };
     
     // PASO 1: Verificar excluded_words primero (CRÍTICO)
     if (excluded_words && Array.isArray(excluded_words)) {
         for (const word of excluded_words) {
-            const normalizedExcluded = normalizeText(word);
+            const normalizedExcluded = norm(word);
             
-            if (normalizedMessage.includes(normalizedExcluded)) {
+            if (check('EXCLUDED', word, normalizedExcluded, containsPhrase(normalizedMessage, normalizedExcluded, true) ? 1 : 0)) {
                 logger.debug(`[KEYWORD-MATCHER] ❌ Palabra excluida detectada: "${word}"`);
-                return null;
+                result.excludedBy = word;
+                return result;
             }
         }
     }
@@ -76,16 +467,22 @@ function matchKeywords(messageText, triggerKeywords) {
     // PASO 2: Verificar exact_matches (máxima prioridad)
     if (exact_matches && Array.isArray(exact_matches)) {
         for (const phrase of exact_matches) {
-            const normalizedPhrase = normalizeText(phrase);
+            const normalizedPhrase = norm(phrase);
             
             logger.debug(`[KEYWORD-MATCHER] Verificando exact_match: "${phrase}" → "${normalizedPhrase}"`);
             
-            if (containsKeyword(normalizedMessage, normalizedPhrase)) {
+            const { score, negated } = scoreTerm(normalizedPhrase, { fuzzy: false });
+            
+            if (check('EXACT', phrase, normalizedPhrase, score, negated)) {
                 logger.info(`[KEYWORD-MATCHER] ✅ EXACT MATCH: "${phrase}"`);
-                return { 
+                if (recordMatch({ 
                     matched: phrase, 
-                    type: 'EXACT' 
-                };
+                    type: 'EXACT',
+                    rule: phrase,
+                    score: 1
+                })) {
+                    return result;
+                }
             }
         }
     }
@@ -93,57 +490,226 @@ function matchKeywords(messageText, triggerKeywords) {
     // PASO 3: Verificar keywords principales
     if (keywords && Array.isArray(keywords)) {
         for (const keyword of keywords) {
-            const normalizedKeyword = normalizeText(keyword);
+            const normalizedKeyword = norm(keyword);
             
             logger.debug(`[KEYWORD-MATCHER] Verificando keyword: "${keyword}" → "${normalizedKeyword}"`);
             
-            if (containsKeyword(normalizedMessage, normalizedKeyword)) {
-                logger.info(`[KEYWORD-MATCHER] ✅ KEYWORD MATCH: "${keyword}"`);
-                return { 
+            const { score, negated } = scoreTerm(normalizedKeyword, { fuzzy });
+            
+            if (check('KEYWORD', keyword, normalizedKeyword, score, negated)) {
+                logger.info(`[KEYWORD-MATCHER] ✅ KEYWORD MATCH: "${keyword}" (confianza: ${score})`);
+                if (recordMatch({ 
                     matched: keyword, 
-                    type: 'KEYWORD' 
-                };
+                    type: 'KEYWORD',
+                    rule: keyword,
+                    score
+                })) {
+                    return result;
+                }
+            }
+        }
+    }
+    
+    // PASO 4: Verificar reglas regex sobre el mensaje normalizado
+    if (triggerKeywords.regex && Array.isArray(triggerKeywords.regex)) {
+        for (const pattern of triggerKeywords.regex) {
+            let matched = false;
+            
+            try {
+                matched = regexFor(pattern).test(normalizedMessage.substring(0, MAX_REGEX_INPUT_LENGTH));
+            } catch (error) {
+                logger.warn(`[KEYWORD-MATCHER] Regex inválida ignorada: "${pattern}" - ${error.message}`);
+            }
+            
+            if (check('REGEX', pattern, pattern, matched ? 1 : 0)) {
+                logger.info(`[KEYWORD-MATCHER] ✅ REGEX MATCH: /${pattern}/`);
+                if (recordMatch({ 
+                    matched: pattern, 
+                    type: 'REGEX',
+                    rule: pattern,
+                    score: 1
+                })) {
+                    return result;
+                }
             }
         }
     }
     
-    // PASO 4: Verificar synonyms (menor prioridad)
+    // PASO 5: Verificar synonyms (menor prioridad)
     if (synonyms && typeof synonyms === 'object') {
         for (const [mainWord, synonymList] of Object.entries(synonyms)) {
             // Verificar palabra principal
-            const normalizedMain = normalizeText(mainWord);
+            const normalizedMain = norm(mainWord);
+            const { score: mainScore, negated: mainNegated } = scoreTerm(normalizedMain, { fuzzy, phraseOnly: true });
             
-            if (normalizedMessage.includes(normalizedMain)) {
-                logger.info(`[KEYWORD-MATCHER] ✅ SYNONYM MATCH (palabra principal): "${mainWord}"`);
-                return { 
+            if (check('SYNONYM', mainWord, normalizedMain, mainScore, mainNegated)) {
+                logger.info(`[KEYWORD-MATCHER] ✅ SYNONYM MATCH (palabra principal): "${mainWord}" (confianza: ${mainScore})`);
+                if (recordMatch({ 
                     matched: mainWord,
-                    type: 'SYNONYM' 
-                };
+                    type: 'SYNONYM',
+                    rule: mainWord,
+                    score: mainScore
+                })) {
+                    return result;
+                }
+                // Cada grupo de sinónimos cuenta como un solo término
+                continue;
             }
 
             // Verificar cada sinónimo
             if (Array.isArray(synonymList)) {
                 for (const synonym of synonymList) {
-                    const normalizedSyn = normalizeText(synonym);
+                    const normalizedSyn = norm(synonym);
+                    const { score: synScore, negated: synNegated } = scoreTerm(normalizedSyn, { fuzzy, phraseOnly: true });
                     
-                    if (normalizedMessage.includes(normalizedSyn)) {
-                        logger.info(`[KEYWORD-MATCHER] ✅ SYNONYM MATCH: "${synonym}" → "${mainWord}"`);
-                        return { 
+                    if (check('SYNONYM', synonym, normalizedSyn, synScore, synNegated)) {
+                        logger.info(`[KEYWORD-MATCHER] ✅ SYNONYM MATCH: "${synonym}" → "${mainWord}" (confianza: ${synScore})`);
+                        if (recordMatch({ 
                             matched: mainWord, // Retornar palabra principal
-                            type: 'SYNONYM' 
-                        };
+                            type: 'SYNONYM',
+                            rule: synonym,
+                            score: synScore
+                        })) {
+                            return result;
+                        }
+                        break;
                     }
                 }
             }
         }
     }
     
-    logger.debug('[KEYWORD-MATCHER] ❌ Sin coincidencias');
-    return null;
+    if (!result.match) {
+        logger.debug('[KEYWORD-MATCHER] ❌ Sin coincidencias');
+    }
+    return result;
+}
+
+/**
+ * Detecta si un mensaje coincide con las keywords de una campaña
+ * @param {string} messageText - Texto del mensaje recibido
+ * @param {object} triggerKeywords - JSON con keywords, synonyms, exact_matches, excluded_words
+ * @returns {object|null} - {matched: string, type: string, rule: string, score: number} o null
+ */
+function matchKeywords(messageText, triggerKeywords) {
+    return explainMatch(messageText, triggerKeywords).match;
+}
+
+// Claves permitidas en el JSON trigger_keywords de una campaña
+const TRIGGER_KEYWORD_FIELDS = ['keywords', 'synonyms', 'exact_matches', 'excluded_words', 'fuzzy', 'negation', 'regex'];
+
+/**
+ * Valida la estructura del JSON trigger_keywords antes de guardarlo
+ * @param {object|string} triggerKeywords - Objeto o JSON en texto
+ * @returns {{valid: boolean, errors: Array<string>, value: object|null}} - value es el objeto parseado
+ */
+function validateTriggerKeywords(triggerKeywords) {
+    const errors = [];
+    let value = triggerKeywords;
+
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch (error) {
+            return { valid: false, errors: [`JSON inválido: ${error.message}`], value: null };
+        }
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, errors: ['trigger_keywords debe ser un objeto'], value: null };
+    }
+
+    const isStringList = (list) => Array.isArray(list)
+        && list.every(item => typeof item === 'string' && normalizeText(item).length > 0);
+
+    for (const key of Object.keys(value)) {
+        if (!TRIGGER_KEYWORD_FIELDS.includes(key)) {
+            errors.push(`Campo no reconocido: "${key}" (permitidos: ${TRIGGER_KEYWORD_FIELDS.join(', ')})`);
+        }
+    }
+
+    for (const field of ['keywords', 'exact_matches', 'excluded_words']) {
+        if (value[field] !== undefined && !isStringList(value[field])) {
+            errors.push(`"${field}" debe ser un arreglo de textos no vacíos`);
+        }
+    }
+
+    if (value.fuzzy !== undefined && typeof value.fuzzy !== 'boolean') {
+        errors.push('"fuzzy" debe ser true o false');
+    }
+
+    if (value.negation !== undefined) {
+        const negation = value.negation;
+
+        if (!negation || typeof negation !== 'object' || Array.isArray(negation)) {
+            errors.push('"negation" debe ser un objeto { window, words }');
+        } else {
+            if (!Number.isInteger(negation.window) || negation.window < 1 || negation.window > 10) {
+                errors.push('"negation.window" debe ser un entero entre 1 y 10');
+            }
+            if (negation.words !== undefined && !isStringList(negation.words)) {
+                errors.push('"negation.words" debe ser un arreglo de textos no vacíos');
+            }
+        }
+    }
+
+    if (value.regex !== undefined) {
+        if (!Array.isArray(value.regex) || value.regex.length > MAX_REGEX_RULES) {
+            errors.push(`"regex" debe ser un arreglo de hasta ${MAX_REGEX_RULES} patrones`);
+        } else {
+            for (const pattern of value.regex) {
+                if (typeof pattern !== 'string' || pattern.length === 0 || pattern.length > MAX_REGEX_LENGTH) {
+                    errors.push(`"regex" debe contener textos de 1 a ${MAX_REGEX_LENGTH} caracteres`);
+                    continue;
+                }
+                try {
+                    compileRegexRule(pattern);
+                } catch (error) {
+                    errors.push(`Regex inválida "${pattern}": ${error.message}`);
+                }
+            }
+        }
+    }
+
+    if (value.synonyms !== undefined) {
+        if (!value.synonyms || typeof value.synonyms !== 'object' || Array.isArray(value.synonyms)) {
+            errors.push('"synonyms" debe ser un objeto { palabra: [sinónimos] }');
+        } else {
+            for (const [mainWord, synonymList] of Object.entries(value.synonyms)) {
+                if (normalizeText(mainWord).length === 0) {
+                    errors.push('"synonyms" contiene una palabra principal vacía');
+                }
+                if (!isStringList(synonymList)) {
+                    errors.push(`"synonyms.${mainWord}" debe ser un arreglo de textos no vacíos`);
+                }
+            }
+        }
+    }
+
+    const hasTriggers = ['keywords', 'exact_matches', 'regex'].some(field => Array.isArray(value[field]) && value[field].length > 0)
+        || (value.synonyms && typeof value.synonyms === 'object' && Object.keys(value.synonyms).length > 0);
+
+    if (!hasTriggers) {
+        errors.push('Se requiere al menos una keyword, exact_match, regex o sinónimo');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        value: errors.length === 0 ? value : null
+    };
 }
 
 module.exports = { 
     matchKeywords,
+    explainMatch,
+    validateTriggerKeywords,
+    compileTriggerKeywords,
     normalizeText,
-    containsKeyword
+    containsKeyword,
+    containsPhrase,
+    levenshtein,
+    keywordSimilarity,
+    keywordScore,
+    stemWord
 };
\ No newline at end of file
@@ -0,0 +1,151 @@
+// utils/schedule.js
+// Fechas y horarios en una zona horaria (ej: America/Lima) sin depender de la zona del servidor
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+const RANGE_REGEX = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+const DATETIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * Partes de una fecha en la zona horaria indicada
+ * @param {Date} date
+ * @param {string} timeZone - Ej: 'America/Lima'
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ */
+function getLocalParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short'
+    }).formatToParts(date);
+
+    const get = (type) => parts.find(part => part.type === type).value;
+
+    return {
+        year: Number(get('year')),
+        month: Number(get('month')),
+        day: Number(get('day')),
+        hour: Number(get('hour')),
+        minute: Number(get('minute')),
+        second: Number(get('second')),
+        weekday: WEEKDAYS.indexOf(get('weekday').toLowerCase().substring(0, 3))
+    };
+}
+
+/**
+ * Fecha local como texto 'YYYY-MM-DD HH:mm:ss' (comparable como string)
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatLocalDateTime(date, timeZone) {
+    const p = getLocalParts(date, timeZone);
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/**
+ * Normaliza una fecha 'YYYY-MM-DD' o 'YYYY-MM-DD HH:mm[:ss]' a 'YYYY-MM-DD HH:mm:ss'
+ * @param {string} value
+ * @returns {string|null} - null si el formato o la fecha no son válidos
+ */
+function normalizeLocalDateTime(value) {
+    const match = typeof value === 'string' ? value.trim().match(DATETIME_REGEX) : null;
+    if (!match) return null;
+
+    const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)));
+
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day) || Number(hour) > 23) {
+        return null;
+    }
+
+    return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+}
+
+/**
+ * Convierte un rango 'HH:mm-HH:mm' en minutos desde medianoche
+ * @param {string} range
+ * @returns {{start: number, end: number}|null}
+ */
+function parseRange(range) {
+    const match = typeof range === 'string' ? range.match(RANGE_REGEX) : null;
+    if (!match) return null;
+
+    const start = Number(match[1]) * 60 + Number(match[2]);
+    const end = Number(match[3]) * 60 + Number(match[4]);
+
+    return end > start ? { start, end } : null;
+}
+
+/**
+ * Indica si el horario está abierto en una fecha
+ * @param {object} businessHours - {mon: '09:00-18:00', ..., sun: null}
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isOpenAt(businessHours, date, timeZone) {
+    const p = getLocalParts(date, timeZone);
+    const range = parseRange(businessHours[WEEKDAYS[p.weekday]]);
+    const minutes = p.hour * 60 + p.minute;
+
+    return Boolean(range) && minutes >= range.start && minutes < range.end;
+}
+
+/**
+ * Próxima apertura del horario a partir de una fecha (en la próxima semana)
+ * @param {object} businessHours
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{daysAhead: number, weekday: number, time: string}|null}
+ */
+function getNextOpening(businessHours, date, timeZone) {
+    const p = getLocalParts(date, timeZone);
+    const minutes = p.hour * 60 + p.minute;
+
+    for (let daysAhead = 0; daysAhead <= 7; daysAhead++) {
+        const weekday = (p.weekday + daysAhead) % 7;
+        const range = parseRange(businessHours[WEEKDAYS[weekday]]);
+
+        if (!range || (daysAhead === 0 && minutes >= range.start)) {
+            continue;
+        }
+
+        const time = `${String(Math.floor(range.start / 60)).padStart(2, '0')}:${String(range.start % 60).padStart(2, '0')}`;
+        return { daysAhead, weekday, time };
+    }
+
+    return null;
+}
+
+/**
+ * Describe una apertura para el lead: "hoy a las 09:00", "mañana a las 09:00", "el lunes a las 09:00"
+ * @param {object|null} opening - Resultado de getNextOpening
+ * @returns {string}
+ */
+function describeOpening(opening) {
+    if (!opening) return 'en cuanto sea posible';
+    if (opening.daysAhead === 0) return `hoy a las ${opening.time}`;
+    if (opening.daysAhead === 1) return `mañana a las ${opening.time}`;
+    return `el ${WEEKDAY_NAMES[opening.weekday]} a las ${opening.time}`;
+}
+
+module.exports = {
+    WEEKDAYS,
+    getLocalParts,
+    formatLocalDateTime,
+    normalizeLocalDateTime,
+    parseRange,
+    isOpenAt,
+    getNextOpening,
+    describeOpening
+};
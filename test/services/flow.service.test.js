@@ -0,0 +1,34 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { validateFlowDefinition } = require('../../src/services/flow.service');
+
+function flowWithWait(wait) {
+    return {
+        start: 'inicio',
+        nodes: {
+            inicio: { wait: { type: 'YES_NO', yes: 'fin', no: 'fin', ...wait } },
+            fin: {}
+        }
+    };
+}
+
+describe('validateFlowDefinition', () => {
+    test('acepta max_attempts e invalid_message válidos', () => {
+        const result = validateFlowDefinition(flowWithWait({ max_attempts: 2, invalid_message: 'Responde sí o no' }));
+        assert.strictEqual(result.valid, true);
+    });
+
+    test('rechaza max_attempts que no es un entero positivo', () => {
+        for (const maxAttempts of [0, -1, 1.5, '3']) {
+            const result = validateFlowDefinition(flowWithWait({ max_attempts: maxAttempts }));
+            assert.deepStrictEqual(result.errors, ['nodes.inicio.wait.max_attempts: debe ser un entero positivo']);
+        }
+    });
+
+    test('rechaza invalid_message vacío o que no es texto', () => {
+        for (const invalidMessage of ['', '   ', 42]) {
+            const result = validateFlowDefinition(flowWithWait({ invalid_message: invalidMessage }));
+            assert.deepStrictEqual(result.errors, ['nodes.inicio.wait.invalid_message: debe ser un texto no vacío']);
+        }
+    });
+});
@@ -0,0 +1,17 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { detectHandoffRequest } = require('../../src/services/handoff.service');
+
+describe('detectHandoffRequest', () => {
+    test('detecta las keywords como palabras completas', () => {
+        assert.strictEqual(detectHandoffRequest('Quiero hablar con un asesor'), 'asesor');
+        assert.strictEqual(detectHandoffRequest('¿Puedo hablar con alguien?'), 'hablar con alguien');
+        assert.strictEqual(detectHandoffRequest('HUMANO'), 'humano');
+    });
+
+    test('no confunde palabras que empiezan igual', () => {
+        assert.strictEqual(detectHandoffRequest('necesito asesoría legal'), null);
+        assert.strictEqual(detectHandoffRequest('tienen agentes inmobiliarios?'), null);
+        assert.strictEqual(detectHandoffRequest('somos humanos'), null);
+    });
+});
@@ -0,0 +1,139 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const db = require('../../src/config/database2');
+const config = require('../../src/config/config2');
+const conversationService = require('../../src/services/conversation.service');
+const messageService = require('../../src/services/message.service');
+const outboundQueueService = require('../../src/services/outbound-queue.service');
+
+/**
+ * BD en memoria con las consultas de la cola de salida
+ */
+function createFakeDb() {
+    const sequences = [];
+    const jobs = [];
+    const jobById = (id) => jobs.find(job => job.id === id);
+    const open = (job) => job.status === 'PENDING' || job.status === 'SENDING';
+
+    const query = async (sql, params = []) => {
+        sql = sql.replace(/\s+/g, ' ').trim();
+
+        if (sql.startsWith('INSERT INTO bot_outbound_sequences')) {
+            sequences.push({ id: sequences.length + 1, conversation_id: params[2], status: 'PENDING' });
+            return [{ insertId: sequences.length }];
+        }
+        if (sql.startsWith('INSERT INTO bot_outbound_jobs')) {
+            for (const [sequenceId, stepIndex, messageId, message] of params[0]) {
+                jobs.push({ id: jobs.length + 1, sequence_id: sequenceId, step_index: stepIndex, message_id: messageId, message, status: 'PENDING', attempts: 0 });
+            }
+            return [{}];
+        }
+        if (sql.includes('ORDER BY step_index ASC LIMIT 1')) {
+            const job = jobs.filter(j => j.sequence_id === params[0] && open(j)).sort((a, b) => a.step_index - b.step_index)[0];
+            return [job ? [{ ...job, wait_seconds: 0 }] : []];
+        }
+        if (sql.includes("SET status = 'SENDING'")) {
+            Object.assign(jobById(params[1]), { status: 'SENDING', attempts: params[0] });
+        } else if (sql.includes("SET status = 'SENT'")) {
+            Object.assign(jobById(params[1]), { status: 'SENT' });
+        } else if (sql.includes("SET status = 'PENDING'")) {
+            Object.assign(jobById(params[2]), { status: 'PENDING', last_error: params[0] });
+        } else if (sql.includes("SET status = 'DEAD'")) {
+            Object.assign(jobById(params[1]), { status: 'DEAD', last_error: params[0] });
+        } else if (sql.startsWith("UPDATE bot_outbound_jobs SET status = 'CANCELLED'")) {
+            jobs.filter(j => j.sequence_id === params[1] && open(j)).forEach(j => { j.status = 'CANCELLED'; });
+        } else if (sql.startsWith('UPDATE bot_outbound_sequences')) {
+            sequences[params[0] - 1].status = sql.includes("'COMPLETED'") ? 'COMPLETED' : 'CANCELLED';
+        }
+
+        return [{ affectedRows: 1 }];
+    };
+
+    const connection = {
+        query,
+        beginTransaction: async () => {},
+        commit: async () => {},
+        rollback: async () => {},
+        release: () => {}
+    };
+
+    return { sequences, jobs, query, getConnection: async () => connection };
+}
+
+const messages = [1, 2, 3].map(id => ({ id, type_code: 'TEXT', content: `Mensaje ${id}`, delay_seconds: 0 }));
+
+describe('outbound-queue.service sendSequence', () => {
+    let fakeDb;
+    let conversationStatus;
+    let sent;
+    let failures;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb();
+        db.query = fakeDb.query;
+        db.getConnection = fakeDb.getConnection;
+
+        config.outboundQueue.backoffBaseSeconds = 0;
+        config.outboundQueue.maxAttempts = 3;
+
+        conversationStatus = 'INITIATED';
+        sent = [];
+        failures = {};
+
+        conversationService.getConversationById = async () => ({ id: 7, status: conversationStatus });
+        conversationService.incrementMessagesSent = async () => {
+            if (conversationStatus === 'INITIATED') {
+                conversationStatus = 'IN_PROGRESS';
+            }
+        };
+        messageService.logMessageSent = async () => {};
+        messageService.logMessageFailed = async () => {};
+        messageService.sendMessageStep = async (client, userPhone, msg) => {
+            if (failures[msg.id] && failures[msg.id].length > 0) {
+                throw new Error(failures[msg.id].shift());
+            }
+            sent.push(msg.id);
+            return `wa-${msg.id}`;
+        };
+    });
+
+    const send = () => outboundQueueService.sendSequence({
+        client: {},
+        lineId: 'default',
+        userPhone: '51999888777@c.us',
+        conversationId: 7,
+        messages
+    });
+
+    test('envía todos los pasos de una conversación recién creada (INITIATED)', async () => {
+        const result = await send();
+
+        assert.deepStrictEqual(result, { success: true, total: 3, sent: 3, failed: 0 });
+        assert.deepStrictEqual(sent, [1, 2, 3]);
+        assert.strictEqual(fakeDb.sequences[0].status, 'COMPLETED');
+    });
+
+    test('reintenta los errores transitorios y descarta los permanentes', async () => {
+        failures = { 2: ['Protocol error (Runtime.callFunctionOn)'], 3: ['Tipo de mensaje no soportado: X'] };
+
+        const result = await send();
+
+        assert.deepStrictEqual(result, { success: true, total: 3, sent: 2, failed: 1 });
+        assert.deepStrictEqual(fakeDb.jobs.map(job => [job.status, job.attempts]), [['SENT', 1], ['SENT', 2], ['DEAD', 1]]);
+    });
+
+    test('cancela los pasos que faltan si la conversación pasó a un asesor', async () => {
+        messageService.sendMessageStep = async (client, userPhone, msg) => {
+            sent.push(msg.id);
+            conversationStatus = 'HANDOFF';
+            return `wa-${msg.id}`;
+        };
+
+        const result = await send();
+
+        assert.deepStrictEqual(sent, [1]);
+        assert.strictEqual(result.sent, 1);
+        assert.deepStrictEqual(fakeDb.jobs.map(job => job.status), ['SENT', 'CANCELLED', 'CANCELLED']);
+        assert.strictEqual(fakeDb.sequences[0].status, 'CANCELLED');
+    });
+});
@@ -0,0 +1,113 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const db = require('../../src/config/database2');
+const config = require('../../src/config/config2');
+const rateLimitService = require('../../src/services/ratelimit.service');
+
+const MINUTE_MS = 60 * 1000;
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * MINUTE_MS);
+
+describe('límite de fallback (ventana deslizante)', () => {
+    const limits = { hour: 2, day: 3 };
+    let replies;
+    let queries;
+
+    beforeEach(() => {
+        replies = [];
+        queries = [];
+        config.rateLimits.onDatabaseError = 'MEMORY';
+        db.query = async (sql, params) => {
+            queries.push({ sql, params });
+            if (sql.includes('SELECT triggered_at')) {
+                return [replies.map(triggered_at => ({ triggered_at }))];
+            }
+            return [{ affectedRows: 1 }];
+        };
+    });
+
+    test('permite al primer mensaje', async () => {
+        const result = await rateLimitService.checkFallbackLimit('1@c.us', 'l1', limits);
+        assert.deepStrictEqual(result, { allowed: true, reason: 'NEW_USER' });
+    });
+
+    test('bloquea al alcanzar el límite dentro de la última hora', async () => {
+        replies = [minutesAgo(10), minutesAgo(50)];
+        const result = await rateLimitService.checkFallbackLimit('1@c.us', 'l1', limits);
+        assert.deepStrictEqual(result, { allowed: false, reason: 'FALLBACK_LIMIT_HOUR' });
+    });
+
+    test('una respuesta que salió de la ventana libera un cupo', async () => {
+        replies = [minutesAgo(10), minutesAgo(61)];
+        const result = await rateLimitService.checkFallbackLimit('1@c.us', 'l1', limits);
+        assert.strictEqual(result.allowed, true);
+    });
+
+    test('respuestas espaciadas cuentan para el límite diario', async () => {
+        replies = [minutesAgo(50), minutesAgo(110), minutesAgo(170)];
+        const result = await rateLimitService.checkFallbackLimit('1@c.us', 'l1', limits);
+        assert.deepStrictEqual(result, { allowed: false, reason: 'FALLBACK_LIMIT_DAY' });
+    });
+
+    test('registra cada respuesta en bot_rate_limit_triggers', async () => {
+        await rateLimitService.registerFallbackReply('1@c.us', 'l1');
+        const insert = queries.find(q => q.sql.includes('INSERT INTO bot_rate_limit_triggers'));
+        assert.deepStrictEqual(insert.params.slice(0, 4), ['1@c.us', null, 'l1', 'FALLBACK']);
+    });
+
+    test('con la BD caída y política MEMORY usa la copia en memoria y queda pendiente de conciliar', async () => {
+        db.query = async () => {
+            throw new Error('ECONNREFUSED');
+        };
+        const pendingBefore = rateLimitService.getDegradedStats().pendingTriggers;
+
+        await rateLimitService.registerFallbackReply('2@c.us', 'l1');
+        await rateLimitService.registerFallbackReply('2@c.us', 'l1');
+
+        assert.strictEqual(rateLimitService.getDegradedStats().pendingTriggers, pendingBefore + 2);
+
+        const result = await rateLimitService.checkFallbackLimit('2@c.us', 'l1', limits);
+        assert.deepStrictEqual(result, { allowed: false, reason: 'FALLBACK_LIMIT_HOUR' });
+
+        const otherLine = await rateLimitService.checkFallbackLimit('2@c.us', 'l2', limits);
+        assert.strictEqual(otherLine.allowed, true);
+    });
+});
+
+describe('updateRateLimit con la BD caída', () => {
+    beforeEach(() => {
+        db.query = async () => {
+            throw new Error('ECONNREFUSED');
+        };
+    });
+
+    test('OPEN: no relanza el error y lo cuenta en las métricas', async () => {
+        config.rateLimits.onDatabaseError = 'OPEN';
+        const before = rateLimitService.getDegradedStats();
+
+        await rateLimitService.updateRateLimit('3@c.us', { lineId: 'l1', campaignId: 1 });
+
+        const after = rateLimitService.getDegradedStats();
+        assert.strictEqual(after.updates, before.updates + 1);
+        assert.strictEqual(after.pendingTriggers, before.pendingTriggers);
+    });
+
+    test('MEMORY: no relanza el error y deja el trigger pendiente de conciliar', async () => {
+        config.rateLimits.onDatabaseError = 'MEMORY';
+        const before = rateLimitService.getDegradedStats();
+
+        await rateLimitService.updateRateLimit('3@c.us', { lineId: 'l1', campaignId: 1 });
+
+        const after = rateLimitService.getDegradedStats();
+        assert.strictEqual(after.updates, before.updates + 1);
+        assert.strictEqual(after.pendingTriggers, before.pendingTriggers + 1);
+    });
+
+    test('CLOSED: relanza el error', async () => {
+        config.rateLimits.onDatabaseError = 'CLOSED';
+
+        await assert.rejects(
+            rateLimitService.updateRateLimit('3@c.us', { lineId: 'l1', campaignId: 1 }),
+            /ECONNREFUSED/
+        );
+    });
+});
@@ -0,0 +1,133 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const {
+    normalizeText,
+    containsPhrase,
+    matchKeywords,
+    compileTriggerKeywords,
+    validateTriggerKeywords,
+    stemWord,
+    keywordScore
+} = require('../../src/utils/keyword-matcher');
+
+describe('stemWord', () => {
+    const pairs = [
+        ['lotes', 'lote'],
+        ['precios', 'precio'],
+        ['clases', 'clase'],
+        ['dulces', 'dulce'],
+        ['luces', 'luz'],
+        ['veces', 'vez'],
+        ['papeles', 'papel'],
+        ['ciudades', 'ciudad'],
+        ['calles', 'calle'],
+        ['torres', 'torre']
+    ];
+
+    for (const [plural, singular] of pairs) {
+        test(`"${plural}" y "${singular}" tienen la misma raíz`, () => {
+            assert.strictEqual(stemWord(plural), singular);
+            assert.strictEqual(stemWord(singular), singular);
+        });
+    }
+
+    test('no modifica palabras cortas', () => {
+        assert.strictEqual(stemWord('mes'), 'mes');
+        assert.strictEqual(stemWord('los'), 'los');
+    });
+});
+
+describe('keywordScore (fuzzy)', () => {
+    test('el plural coincide con la keyword en singular y viceversa', () => {
+        assert.ok(keywordScore('quiero ver los lotes', 'lote', { fuzzy: true }) > 0);
+        assert.ok(keywordScore('info del lote', 'lotes', { fuzzy: true }) > 0);
+        assert.ok(keywordScore('tienen clases', 'clase', { fuzzy: true }) > 0);
+    });
+
+    test('tolera errores de tipeo según el largo de la palabra', () => {
+        assert.ok(keywordScore('info de yanachga', 'yanachaga', { fuzzy: true }) > 0);
+        assert.strictEqual(keywordScore('info de yanachga', 'yanachaga', { fuzzy: false }), 0);
+        assert.strictEqual(keywordScore('sol', 'sal', { fuzzy: true }), 0);
+    });
+});
+
+describe('normalizeText', () => {
+    test('quita acentos, ñ y mayúsculas', () => {
+        assert.strictEqual(normalizeText('Información del PROYECTO Ñaña'), 'informacion del proyecto nana');
+        assert.strictEqual(normalizeText('Ecovillage Yanachaga: ¿qué precio?'), 'ecovillage yanachaga que precio');
+    });
+
+    test('reemplaza puntuación por espacios y colapsa espacios', () => {
+        assert.strictEqual(normalizeText('¡Hola!!!  info,por favor...'), 'hola info por favor');
+        assert.strictEqual(normalizeText('lote-A (etapa 2)'), 'lote a etapa 2');
+    });
+
+    test('devuelve texto vacío para null o vacío', () => {
+        assert.strictEqual(normalizeText(null), '');
+        assert.strictEqual(normalizeText('  ¿?  '), '');
+    });
+});
+
+describe('límites de palabra', () => {
+    test('una palabra excluida no bloquea palabras que la contienen', () => {
+        const triggerKeywords = { keywords: ['info'], excluded_words: ['no'] };
+
+        assert.ok(matchKeywords('nos pasas info', triggerKeywords));
+        assert.ok(matchKeywords('info del casino', triggerKeywords));
+        assert.strictEqual(matchKeywords('no, info no', triggerKeywords), null);
+    });
+
+    test('un sinónimo no coincide dentro de otra palabra', () => {
+        const triggerKeywords = { synonyms: { terreno: ['lote'] } };
+
+        assert.strictEqual(matchKeywords('quiero chocolote', triggerKeywords), null);
+        assert.strictEqual(matchKeywords('precio del lote', triggerKeywords).matched, 'terreno');
+    });
+
+    test('containsPhrase respeta el inicio de palabra y wholeWord', () => {
+        assert.ok(containsPhrase('ver lotes', 'lote'));
+        assert.ok(!containsPhrase('chocolote', 'lote'));
+        assert.ok(!containsPhrase('ver lotes', 'lote', true));
+    });
+});
+
+describe('negación', () => {
+    const triggerKeywords = { keywords: ['info'], negation: { window: 2 } };
+
+    test('un término precedido por una negación no cuenta', () => {
+        assert.strictEqual(matchKeywords('no quiero info', triggerKeywords), null);
+        assert.strictEqual(matchKeywords('ya no, gracias por la info', triggerKeywords).type, 'KEYWORD');
+    });
+
+    test('basta una aparición sin negar', () => {
+        assert.ok(matchKeywords('no quiero info de casas, solo info de lotes', triggerKeywords));
+    });
+
+    test('sin negation configurada no se evalúa', () => {
+        assert.ok(matchKeywords('no quiero info', { keywords: ['info'] }));
+    });
+});
+
+describe('reglas regex', () => {
+    test('se evalúan sobre el mensaje normalizado', () => {
+        const triggerKeywords = { regex: ['\\blote \\d+\\b'] };
+
+        assert.strictEqual(matchKeywords('¿Precio del LOTE 25?', triggerKeywords).type, 'REGEX');
+        assert.strictEqual(matchKeywords('precio del lote', triggerKeywords), null);
+    });
+
+    test('validateTriggerKeywords rechaza patrones con backtracking catastrófico', () => {
+        for (const pattern of ['(a+)+$', '(\\w*)*', '(a|aa)+', '(.*a){20}', '(a)\\1']) {
+            assert.strictEqual(validateTriggerKeywords({ regex: [pattern] }).valid, false, pattern);
+        }
+        assert.strictEqual(validateTriggerKeywords({ regex: ['^(precio|costo)s?\\b', 'lotes? en \\w+'] }).valid, true);
+    });
+
+    test('ignora patrones inseguros guardados antes de la validación', () => {
+        const triggerKeywords = compileTriggerKeywords({ regex: ['(a+)+$'] });
+        const started = Date.now();
+
+        assert.strictEqual(matchKeywords(`${'a'.repeat(40)}!`, triggerKeywords), null);
+        assert.ok(Date.now() - started < 1000);
+    });
+});